@@ -6,12 +6,10 @@
 
 var DateLayer = require('./layerBody/date');
 var MonthLayer = require('./layerBody/month');
+var QuarterLayer = require('./layerBody/quarter');
 var YearLayer = require('./layerBody/year');
-var constants = require('../constants');
-
-var TYPE_DATE = constants.TYPE_DATE;
-var TYPE_MONTH = constants.TYPE_MONTH;
-var TYPE_YEAR = constants.TYPE_YEAR;
+var DecadeLayer = require('./layerBody/decade');
+var CenturyLayer = require('./layerBody/century');
 
 /**
  * @ignore
@@ -33,7 +31,7 @@ var Body = tui.util.defineClass(/** @lends Body.prototype */{
          * @type {DateLayer}
          * @private
          */
-        this._dateLayer = new DateLayer(language);
+        this._dateLayer = new DateLayer(language, option);
 
         /**
          * MonthLayer
@@ -42,6 +40,13 @@ var Body = tui.util.defineClass(/** @lends Body.prototype */{
          */
         this._monthLayer = new MonthLayer(language);
 
+        /**
+         * QuarterLayer
+         * @type {QuarterLayer}
+         * @private
+         */
+        this._quarterLayer = new QuarterLayer(language);
+
         /**
          * YearLayer
          * @type {YearLayer}
@@ -49,9 +54,23 @@ var Body = tui.util.defineClass(/** @lends Body.prototype */{
          */
         this._yearLayer = new YearLayer(language);
 
+        /**
+         * DecadeLayer
+         * @type {DecadeLayer}
+         * @private
+         */
+        this._decadeLayer = new DecadeLayer(language);
+
+        /**
+         * CenturyLayer
+         * @type {CenturyLayer}
+         * @private
+         */
+        this._centuryLayer = new CenturyLayer(language);
+
         /**
          * Current Layer
-         * @type {DateLayer|MonthLayer|YearLayer}
+         * @type {DateLayer|MonthLayer|QuarterLayer|YearLayer|DecadeLayer|CenturyLayer}
          * @private
          */
         this._currentLayer = this._dateLayer;
@@ -64,16 +83,19 @@ var Body = tui.util.defineClass(/** @lends Body.prototype */{
      * @private
      */
     _getLayer: function(type) {
-        switch (type) {
-            case TYPE_DATE:
-                return this._dateLayer;
-            case TYPE_MONTH:
-                return this._monthLayer;
-            case TYPE_YEAR:
-                return this._yearLayer;
-            default:
-                return this._currentLayer;
-        }
+        var matchedLayer = this._currentLayer;
+
+        this._eachLayer(function(layer) {
+            if (layer.getType() === type) {
+                matchedLayer = layer;
+
+                return false;
+            }
+
+            return true;
+        });
+
+        return matchedLayer;
     },
 
     /**
@@ -82,7 +104,14 @@ var Body = tui.util.defineClass(/** @lends Body.prototype */{
      * @private
      */
     _eachLayer: function(fn) {
-        tui.util.forEach([this._dateLayer, this._monthLayer, this._yearLayer], fn);
+        tui.util.forEach([
+            this._dateLayer,
+            this._monthLayer,
+            this._quarterLayer,
+            this._yearLayer,
+            this._decadeLayer,
+            this._centuryLayer
+        ], fn);
     },
 
     /**
@@ -111,6 +140,14 @@ var Body = tui.util.defineClass(/** @lends Body.prototype */{
         this._currentLayer = nextLayer;
     },
 
+    /**
+     * Returns the first day of the week on the date layer
+     * @returns {number}
+     */
+    getFirstDayOfWeek: function() {
+        return this._dateLayer.getFirstDayOfWeek();
+    },
+
     /**
      * Returns date jQuery elements
      * @returns {jQuery}
@@ -127,7 +164,8 @@ var Body = tui.util.defineClass(/** @lends Body.prototype */{
             layer.remove();
         });
 
-        this._$container = this._currentLayer = this._dateLayer = this._monthLayer = this._yearLayer = null;
+        this._$container = this._currentLayer = this._dateLayer = this._monthLayer = this._quarterLayer
+            = this._yearLayer = this._decadeLayer = this._centuryLayer = null;
     }
 });
 
@@ -5,14 +5,16 @@
 
 'use strict';
 
-var localeTexts = require('./../localeTexts');
+var locale = require('./../locale');
 var headerTmpl = require('./../../template/calendar/header.hbs');
 var DateTimeFormatter = require('../dateTimeFormatter');
 var constants = require('../constants');
+var dateUtil = require('../dateUtil');
 
 var TYPE_DATE = constants.TYPE_DATE;
 var TYPE_MONTH = constants.TYPE_MONTH;
-var TYPE_YEAR = constants.TYPE_YEAR;
+var TYPE_QUARTER = constants.TYPE_QUARTER;
+var YEAR_TO_YEAR_TYPES = [constants.TYPE_YEAR, constants.TYPE_DECADE, constants.TYPE_CENTURY];
 
 var CLASS_NAME_PREV_MONTH_BTN = constants.CLASS_NAME_PREV_MONTH_BTN;
 var CLASS_NAME_PREV_YEAR_BTN = constants.CLASS_NAME_PREV_YEAR_BTN;
@@ -33,6 +35,7 @@ var YEAR_TITLE_FORMAT = 'yyyy';
  * @param {string} option.language - Header language
  * @param {boolean} option.showToday - Has today box or not.
  * @param {boolean} option.showJumpButtons - Has jump buttons or not.
+ * @param {?string} [option.timeZone] - IANA time zone name of today
  */
 var Header = tui.util.defineClass(/** @lends Header.prototype */{
     init: function(container, option) {
@@ -64,6 +67,13 @@ var Header = tui.util.defineClass(/** @lends Header.prototype */{
          */
         this._showJumpButtons = option.showJumpButtons;
 
+        /**
+         * IANA time zone name of today
+         * @type {?string}
+         * @private
+         */
+        this._timeZone = option.timeZone || null;
+
         /**
          * Year_Month title formatter
          * @type {DateTimeFormatter}
@@ -85,7 +95,14 @@ var Header = tui.util.defineClass(/** @lends Header.prototype */{
          */
         this._todayFormatter = null;
 
-        this._setFormatters(localeTexts[option.language]);
+        /**
+         * Year_Month formatter for screen reader announcements
+         * @type {DateTimeFormatter}
+         * @private
+         */
+        this._navigationFormatter = null;
+
+        this._setFormatters(locale.getLocaleText(option.language));
         this._setEvents(option);
     },
 
@@ -98,6 +115,10 @@ var Header = tui.util.defineClass(/** @lends Header.prototype */{
         this._yearMonthTitleFormatter = new DateTimeFormatter(localeText.titleFormat, localeText.titles);
         this._yearTitleFormatter = new DateTimeFormatter(YEAR_TITLE_FORMAT, localeText.titles);
         this._todayFormatter = new DateTimeFormatter(localeText.todayFormat, localeText.titles);
+        this._navigationFormatter = new DateTimeFormatter(
+            localeText.navigationFormat || localeText.titleFormat,
+            localeText.titles
+        );
     },
 
     /**
@@ -129,13 +150,16 @@ var Header = tui.util.defineClass(/** @lends Header.prototype */{
      * @private
      */
     _getTitleClass: function(type) {
+        if (isYearToYearType(type)) {
+            return CLASS_NAME_TITLE_YEAR_TO_YEAR;
+        }
+
         switch (type) {
             case TYPE_DATE:
                 return CLASS_NAME_TITLE_MONTH;
             case TYPE_MONTH:
+            case TYPE_QUARTER:
                 return CLASS_NAME_TITLE_YEAR;
-            case TYPE_YEAR:
-                return CLASS_NAME_TITLE_YEAR_TO_YEAR;
             default:
                 return '';
         }
@@ -149,30 +173,47 @@ var Header = tui.util.defineClass(/** @lends Header.prototype */{
      * @private
      */
     _getTitleText: function(date, type) {
-        var currentYear, start, end;
+        var yearRange, start, end;
+
+        if (isYearToYearType(type)) {
+            yearRange = dateUtil.getYearRangeOfLayer(date, type);
+            start = new Date(yearRange.start, 0, 1);
+            end = new Date(yearRange.end, 0, 1);
+
+            return this._yearTitleFormatter.format(start) + ' - ' + this._yearTitleFormatter.format(end);
+        }
 
         switch (type) {
             case TYPE_DATE:
                 return this._yearMonthTitleFormatter.format(date);
             case TYPE_MONTH:
+            case TYPE_QUARTER:
                 return this._yearTitleFormatter.format(date);
-            case TYPE_YEAR:
-                currentYear = date.getFullYear();
-                start = new Date(currentYear - 4, 0, 1);
-                end = new Date(currentYear + 4, 0, 1);
-
-                return this._yearTitleFormatter.format(start) + ' - ' + this._yearTitleFormatter.format(end);
             default:
                 return '';
         }
     },
 
+    /**
+     * Returns the title text to announce to screen readers
+     * @param {Date} date - date
+     * @param {string} type - Calendar type
+     * @returns {string}
+     */
+    getTitleAnnouncement: function(date, type) {
+        if (type === TYPE_DATE) {
+            return this._navigationFormatter.format(date);
+        }
+
+        return this._getTitleText(date, type);
+    },
+
     /**
      * Change langauge
      * @param {string} language - Language
      */
     changeLanguage: function(language) {
-        this._setFormatters(localeTexts[language]);
+        this._setFormatters(locale.getLocaleText(language));
     },
 
     /**
@@ -184,7 +225,7 @@ var Header = tui.util.defineClass(/** @lends Header.prototype */{
         var context = {
             showToday: this._showToday,
             showJumpButtons: this._showJumpButtons,
-            todayText: this._todayFormatter.format(new Date()),
+            todayText: this._todayFormatter.format(dateUtil.toZonedDate(new Date(), this._timeZone)),
             isDateCalendar: type === TYPE_DATE,
             titleClass: this._getTitleClass(type),
             title: this._getTitleText(date, type)
@@ -205,13 +246,25 @@ var Header = tui.util.defineClass(/** @lends Header.prototype */{
         this._$container
             = this._showToday
             = this._showJumpButtons
+            = this._timeZone
             = this._yearMonthTitleFormatter
             = this._yearTitleFormatter
             = this._todayFormatter
+            = this._navigationFormatter
             = this._$element
             = null;
     }
 });
 
+/**
+ * Returns whether the title of the calendar type is the "year - year" text
+ * @ignore
+ * @param {string} type - Calendar type
+ * @returns {boolean}
+ */
+function isYearToYearType(type) {
+    return tui.util.inArray(type, YEAR_TO_YEAR_TYPES) > -1;
+}
+
 tui.util.CustomEvents.mixin(Header);
 module.exports = Header;
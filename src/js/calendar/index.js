@@ -8,14 +8,19 @@ var tmpl = require('./../../template/calendar/index.hbs');
 var Header = require('./header');
 var Body = require('./body');
 var localeTexts = require('../localeTexts');
+var locale = require('../locale');
 var constants = require('../constants');
 var dateUtil = require('../dateUtil');
+var setTouchClickEvent = require('../setTouchClickEvent');
 
 var DEFAULT_LANGUAGE_TYPE = constants.DEFAULT_LANGUAGE_TYPE;
 
 var TYPE_DATE = constants.TYPE_DATE;
 var TYPE_MONTH = constants.TYPE_MONTH;
+var TYPE_QUARTER = constants.TYPE_QUARTER;
 var TYPE_YEAR = constants.TYPE_YEAR;
+var TYPE_DECADE = constants.TYPE_DECADE;
+var TYPE_CENTURY = constants.TYPE_CENTURY;
 
 var CLASS_NAME_PREV_MONTH_BTN = constants.CLASS_NAME_PREV_MONTH_BTN;
 var CLASS_NAME_PREV_YEAR_BTN = constants.CLASS_NAME_PREV_YEAR_BTN;
@@ -23,10 +28,61 @@ var CLASS_NAME_NEXT_YEAR_BTN = constants.CLASS_NAME_NEXT_YEAR_BTN;
 var CLASS_NAME_NEXT_MONTH_BTN = constants.CLASS_NAME_NEXT_MONTH_BTN;
 
 var CLASS_NAME_CALENDAR_MONTH = 'tui-calendar-month';
+var CLASS_NAME_CALENDAR_QUARTER = 'tui-calendar-quarter';
 var CLASS_NAME_CALENDAR_YEAR = 'tui-calendar-year';
+var CLASS_NAME_CALENDAR_DECADE = 'tui-calendar-decade';
+var CLASS_NAME_CALENDAR_CENTURY = 'tui-calendar-century';
+var CLASS_NAME_WEEK_NUMBER = 'tui-calendar-week-number';
+var CLASS_NAME_PREV_MONTH_DATE = 'tui-calendar-prev-month';
+var CLASS_NAME_NEXT_MONTH_DATE = 'tui-calendar-next-month';
+
+var KEYCODE_PAGE_UP = 33;
+var KEYCODE_PAGE_DOWN = 34;
+
+// Cells to move the focus by the arrow, home and end keys
+var CELL_OFFSETS_OF_KEY = {
+    35: function(row) { // end
+        return row.length - row.index - 1;
+    },
+    36: function(row) { // home
+        return -row.index;
+    },
+    37: function() { // left
+        return -1;
+    },
+    38: function(row) { // up
+        return -row.length;
+    },
+    39: function() { // right
+        return 1;
+    },
+    40: function(row) { // down
+        return row.length;
+    }
+};
+
+// Months of a cell on each layer (The date layer moves by days)
+var MONTHS_OF_CELL = {
+    month: 1,
+    quarter: 3,
+    year: 12,
+    decade: 12,
+    century: 120 // 10 years
+};
+
+// Months to move a page by the prev/next-year buttons
+var MONTHS_OF_YEAR_PAGE = {
+    date: 12, // 1 year
+    month: 12,
+    quarter: 12,
+    year: 108, // 9 years
+    decade: 120, // 10 years
+    century: 1200 // 100 years
+};
 
 var HEADER_SELECTOR = '.tui-calendar-header';
 var BODY_SELECTOR = '.tui-calendar-body';
+var LIVE_REGION_SELECTOR = '.tui-calendar-live-region';
 
 var util = tui.util;
 /**
@@ -35,10 +91,17 @@ var util = tui.util;
  * @param {HTMLElement|jQuery|string} wrapperElement - Wrapper element or selector
  * @param {Object} [option] - Options for initialize
  * @param {string} [option.language = 'en'] - Calendar language - {@link Calendar.localeTexts}
+ *                                            It accepts any BCP 47 tag supported by the Intl API of the browser.
+ *                                            ('en-GB' falls back to 'en' and an unsupported language to 'en')
  * @param {boolean} [option.showToday] - If true, shows today
  * @param {boolean} [option.showJumpButtons] - If true, shows jump buttons (next,prev-year in 'date'-Calendar)
  * @param {Date} [option.date = new Date()] - Initial date
- * @param {string} [option.type = 'date'] - Calendar types - 'date', 'month', 'year'
+ * @param {string} [option.timeZone] - IANA time zone name of "today". ex) 'America/New_York'.
+ *                                     Default - The local time zone
+ * @param {string} [option.type = 'date'] - Calendar types - 'date', 'month', 'quarter', 'year', 'decade', 'century'
+ * @param {number} [option.firstDayOfWeek] - First day of the week (0: sunday, 1: monday, ..., 6: saturday).
+ *                                           Default - The "firstDayOfWeek" of locale text or 0
+ * @param {boolean} [option.showWeekNumbers = false] - If true, shows week numbers in front of weeks
  * @tutorial calendars
  * @example
  * var calendar = new tui.component.Calendar('#calendar-wrapper', {
@@ -46,7 +109,9 @@ var util = tui.util;
  *     showToday: true,
  *     showJumpButtons: false,
  *     date: new Date(),
- *     type: 'date'
+ *     type: 'date',
+ *     firstDayOfWeek: 1, // monday
+ *     showWeekNumbers: true
  * });
  *
  * calendar.on('draw', function(event) {
@@ -58,6 +123,10 @@ var util = tui.util;
  *         console.log(date);
  *     });
  * });
+ *
+ * calendar.on('clickWeek', function(event) {
+ *     console.log(event.weekNumber, event.start, event.end);
+ * });
  */
 var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
     static: {
@@ -82,23 +151,55 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
          *         MMM: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
          *     },
          *     titleFormat: 'MMM yyyy',
-         *     todayFormat: 'D, MMMM dd, yyyy'
+         *     todayFormat: 'D, MMMM dd, yyyy',
+         *     firstDayOfWeek: 1, // (optional) monday
+         *     navigationFormat: 'MMMM yyyy' // (optional) announced to screen readers. Default - titleFormat
          * };
          *
          * var calendar = new tui.component.Calendar('#calendar-wrapper', {
          *     language: 'customKey',
          * });
          */
-        localeTexts: localeTexts
+        localeTexts: localeTexts,
+
+        /**
+         * Register locale texts of a language.
+         * Missing keys are inherited from the locale texts the language falls back to.
+         * @function
+         * @memberof Calendar
+         * @static
+         * @param {string} language - Language key or BCP 47 tag
+         * @param {object} localeText - Locale texts - {@link Calendar.localeTexts}
+         * @returns {object} Registered locale texts
+         * @example
+         *
+         * tui.component.Calendar.registerLocale('en-GB', {
+         *     firstDayOfWeek: 1
+         * });
+         */
+        registerLocale: locale.registerLocale,
+
+        /**
+         * Create locale texts of a language by the Intl API of the browser
+         * @function
+         * @memberof Calendar
+         * @static
+         * @param {string} tag - BCP 47 language tag
+         * @returns {?object} Locale texts - Null if the browser does not support the tag
+         * @see {@link Datepicker.createLocaleText}
+         */
+        createLocaleText: locale.createLocaleText
     },
     init: function(container, option) {
         option = tui.util.extend({
             language: DEFAULT_LANGUAGE_TYPE,
             showToday: true,
             showJumpButtons: false,
-            date: new Date(),
+            showWeekNumbers: false,
+            timeZone: null,
             type: TYPE_DATE
         }, option);
+        option.date = option.date || dateUtil.toZonedDate(new Date(), option.timeZone);
 
         /**
          * Container element
@@ -128,6 +229,13 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
          */
         this._type = null;
 
+        /**
+         * Date of the cell having the roving focus (tabindex=0)
+         * @type {Date}
+         * @private
+         */
+        this._focusedDate = null;
+
         /**
          * Header box
          * @type {Header}
@@ -142,8 +250,16 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
          */
         this._body = null;
 
+        /**
+         * Whether the rendered texts are of the previous language
+         * @type {boolean}
+         * @private
+         */
+        this._isLanguageChanged = false;
+
         this._initHeader(option);
         this._initBody(option);
+        this._setEvents();
         this.draw({
             date: option.date,
             type: option.type
@@ -184,6 +300,227 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
         this._body = new Body($bodyContainer, option);
     },
 
+    /**
+     * Set events
+     * @private
+     */
+    _setEvents: function() {
+        setTouchClickEvent(this._$element, $.proxy(this._onClickWeekNumber, this), {
+            selector: '.' + CLASS_NAME_WEEK_NUMBER,
+            namespace: 'calendar'
+        });
+
+        this._$element.on('keydown.calendar', BODY_SELECTOR, $.proxy(this._onKeydownBody, this));
+    },
+
+    /**
+     * keydownHandler - body
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onKeydownBody: function(ev) {
+        var $cell = this._getFocusableElements().filter(ev.target);
+        var date;
+
+        if (!$cell.length) {
+            return;
+        }
+
+        date = this._getDateToFocus($cell, ev);
+        if (date) {
+            ev.preventDefault();
+            this._focusDate(date);
+        }
+    },
+
+    /**
+     * Returns the date to move the focus by a key
+     * @param {jQuery} $cell - Focused cell
+     * @param {jQuery.Event} ev - Keydown event object
+     * @returns {?Date}
+     * @private
+     */
+    _getDateToFocus: function($cell, ev) {
+        var keyCode = ev.which || ev.keyCode;
+        var date = new Date($cell.data('timestamp'));
+        var getCellOffset = CELL_OFFSETS_OF_KEY[keyCode];
+
+        if (keyCode === KEYCODE_PAGE_UP || keyCode === KEYCODE_PAGE_DOWN) {
+            return this._getPageMovedDate(date, (keyCode === KEYCODE_PAGE_UP) ? -1 : 1, ev.shiftKey);
+        }
+
+        if (getCellOffset) {
+            return this._getCellMovedDate(date, getCellOffset(this._getRowPosition($cell)));
+        }
+
+        return null;
+    },
+
+    /**
+     * Returns the position of a cell in its row
+     * @param {jQuery} $cell - Cell
+     * @returns {{index: number, length: number}}
+     * @private
+     */
+    _getRowPosition: function($cell) {
+        var $row = $cell.parent().children().filter(this.getDateElements());
+
+        return {
+            index: $row.index($cell),
+            length: $row.length
+        };
+    },
+
+    /**
+     * Returns the date of the cell moved from a cell
+     * @param {Date} date - Date of the cell
+     * @param {number} cells - Cells to move
+     * @returns {Date}
+     * @private
+     */
+    _getCellMovedDate: function(date, cells) {
+        var type = this.getType();
+
+        if (type === TYPE_DATE) {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() + cells);
+        }
+
+        return new Date(date.getFullYear(), date.getMonth() + (cells * MONTHS_OF_CELL[type]), 1);
+    },
+
+    /**
+     * Returns the date of the cell moved by pages
+     * - The date layer moves by a month (a year with the shift key).
+     * @param {Date} date - Date of the cell
+     * @param {number} step - Page step (-1 or 1)
+     * @param {boolean} isYearStep - Whether to move the date layer by a year
+     * @returns {Date}
+     * @private
+     */
+    _getPageMovedDate: function(date, step, isYearStep) {
+        var months, lastDayInMonth;
+
+        if (this.getType() !== TYPE_DATE) {
+            return new Date(date.getFullYear(), date.getMonth() + (step * this._getMonthsOfYearPage()), 1);
+        }
+
+        months = step * (isYearStep ? 12 : 1);
+        lastDayInMonth = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+
+        return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDayInMonth));
+    },
+
+    /**
+     * Move the focus to the cell of a date
+     * - Draws the page of the date if the cell is not on the current page.
+     * @param {Date} date - Date to focus
+     * @private
+     */
+    _focusDate: function(date) {
+        if (!this._findFocusableElement(date).length) {
+            this.draw({
+                date: date
+            });
+        }
+
+        this._updateFocusableElement(date).focus();
+    },
+
+    /**
+     * Returns the focusable cell of a date
+     * @param {Date} date - Date (Start of a cell)
+     * @returns {jQuery}
+     * @private
+     */
+    _findFocusableElement: function(date) {
+        var timestamp = date.getTime();
+
+        return this._getFocusableElements().filter(function() {
+            return $(this).data('timestamp') === timestamp;
+        });
+    },
+
+    /**
+     * Returns the cells which can have the focus
+     * - Dates of the prev/next month are hidden on the date layer.
+     * @returns {jQuery}
+     * @private
+     */
+    _getFocusableElements: function() {
+        return this.getDateElements()
+            .not('.' + CLASS_NAME_PREV_MONTH_DATE + ', .' + CLASS_NAME_NEXT_MONTH_DATE);
+    },
+
+    /**
+     * Give the roving tabindex to the cell containing the focused date
+     * @param {Date} [focusedDate] - New focused date
+     * @param {boolean} [shouldRestoreFocus] - Whether to focus the cell if the body lost the focus by rendering
+     * @returns {jQuery} The cell having the tabindex
+     * @private
+     */
+    _updateFocusableElement: function(focusedDate, shouldRestoreFocus) {
+        var $elements = this._getFocusableElements();
+        var timestamp, $focusable;
+
+        if (focusedDate) {
+            this._focusedDate = new Date(focusedDate);
+        }
+
+        timestamp = this._focusedDate.getTime();
+        $focusable = $elements.filter(function() {
+            return $(this).data('timestamp') <= timestamp;
+        }).last();
+
+        if (!$focusable.length) {
+            $focusable = $elements.first();
+        }
+
+        this.getDateElements().attr('tabindex', -1);
+        $focusable.attr('tabindex', 0);
+
+        if (shouldRestoreFocus && !this._hasFocusInBody()) {
+            $focusable.focus();
+        }
+
+        return $focusable;
+    },
+
+    /**
+     * Returns whether the body has the focus
+     * @returns {boolean}
+     * @private
+     */
+    _hasFocusInBody: function() {
+        return $.contains(this._$element.find(BODY_SELECTOR)[0], document.activeElement);
+    },
+
+    /**
+     * clickHandler - week number
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onClickWeekNumber: function(ev) {
+        var $target = $(ev.currentTarget);
+        var start = new Date($target.data('timestamp'));
+        var end = new Date(start);
+
+        end.setDate(end.getDate() + 6);
+        ev.preventDefault(); // To prevent click after touchend
+
+        /**
+         * @event Calendar#clickWeek
+         * @param {object} event
+         * @param {number} event.weekNumber - Week number
+         * @param {Date} event.start - First date of the week
+         * @param {Date} event.end - Last date of the week
+         */
+        this.fire('clickWeek', {
+            weekNumber: $target.data('weekNumber'),
+            start: start,
+            end: end
+        });
+    },
+
     /**
      * clickHandler - prev year button
      * @private
@@ -222,7 +559,10 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
         return (
             type === TYPE_DATE
             || type === TYPE_MONTH
+            || type === TYPE_QUARTER
             || type === TYPE_YEAR
+            || type === TYPE_DECADE
+            || type === TYPE_CENTURY
         );
     },
 
@@ -233,8 +573,6 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
      * @private
      */
     _shouldUpdate: function(date, type) {
-        var prevDate = this._date;
-
         if (!dateUtil.isValidDate(date)) {
             throw new Error('Invalid date');
         }
@@ -243,6 +581,19 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
             throw new Error('Invalid layer type');
         }
 
+        return this._isLanguageChanged || this._isChangedView(date, type);
+    },
+
+    /**
+     * Returns whether the month or the layer type to draw differs from the rendered one
+     * @param {Date} date - Date to draw
+     * @param {string} type - Layer type to draw
+     * @returns {boolean}
+     * @private
+     */
+    _isChangedView: function(date, type) {
+        var prevDate = this._date;
+
         return (
             !prevDate
             || prevDate.getFullYear() !== date.getFullYear()
@@ -261,19 +612,44 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
 
         this._header.render(date, type);
         this._body.render(date, type);
-        this._$element.removeClass([CLASS_NAME_CALENDAR_MONTH, CLASS_NAME_CALENDAR_YEAR].join(' '));
+        this._isLanguageChanged = false;
+        this._$element.removeClass([
+            CLASS_NAME_CALENDAR_MONTH,
+            CLASS_NAME_CALENDAR_QUARTER,
+            CLASS_NAME_CALENDAR_YEAR,
+            CLASS_NAME_CALENDAR_DECADE,
+            CLASS_NAME_CALENDAR_CENTURY
+        ].join(' '));
 
         switch (type) {
             case TYPE_MONTH:
                 this._$element.addClass(CLASS_NAME_CALENDAR_MONTH);
                 break;
+            case TYPE_QUARTER:
+                this._$element.addClass(CLASS_NAME_CALENDAR_QUARTER);
+                break;
             case TYPE_YEAR:
                 this._$element.addClass(CLASS_NAME_CALENDAR_YEAR);
                 break;
+            case TYPE_DECADE:
+                this._$element.addClass(CLASS_NAME_CALENDAR_DECADE);
+                break;
+            case TYPE_CENTURY:
+                this._$element.addClass(CLASS_NAME_CALENDAR_CENTURY);
+                break;
             default: break;
         }
     },
 
+    /**
+     * Announce a text to screen readers by the live region
+     * @param {string} text - Text to announce
+     * @private
+     */
+    _announce: function(text) {
+        this._$element.find(LIVE_REGION_SELECTOR).text(text);
+    },
+
     /**
      * Returns relative date
      * @param {number} step - Month step
@@ -304,18 +680,26 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
      * });
      */
     draw: function(option) {
-        var date, type;
+        var hadFocus = this._hasFocusInBody();
+        var date, type, isNavigated;
 
         option = option || {};
         date = option.date || this._date;
         type = (option.type || this.getType()).toLowerCase();
 
         if (this._shouldUpdate(date, type)) {
+            isNavigated = !!this._date;
             this._date = date;
             this._type = type;
             this._render();
+
+            if (isNavigated) {
+                this._announce(this._header.getTitleAnnouncement(date, type));
+            }
         }
 
+        this._updateFocusableElement(option.date, hadFocus);
+
         /**
          * @event Calendar#draw
          * @param {object} event
@@ -398,15 +782,7 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
      * @returns {Date}
      */
     getNextYearDate: function() {
-        switch (this.getType()) {
-            case TYPE_DATE:
-            case TYPE_MONTH:
-                return this._getRelativeDate(12); // 12 months = 1 year
-            case TYPE_YEAR:
-                return this._getRelativeDate(108); // 108 months = 9 years = 12 * 9
-            default:
-                throw new Error('Unknown layer type');
-        }
+        return this._getRelativeDate(this._getMonthsOfYearPage());
     },
 
     /**
@@ -414,15 +790,22 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
      * @returns {Date}
      */
     getPrevYearDate: function() {
-        switch (this.getType()) {
-            case TYPE_DATE:
-            case TYPE_MONTH:
-                return this._getRelativeDate(-12); // 12 months = 1 year
-            case TYPE_YEAR:
-                return this._getRelativeDate(-108); // 108 months = 9 years = 12 * 9
-            default:
-                throw new Error('Unknown layer type');
+        return this._getRelativeDate(-this._getMonthsOfYearPage());
+    },
+
+    /**
+     * Returns months to move a page by the prev/next-year buttons
+     * @returns {number}
+     * @private
+     */
+    _getMonthsOfYearPage: function() {
+        var months = MONTHS_OF_YEAR_PAGE[this.getType()];
+
+        if (!months) {
+            throw new Error('Unknown layer type');
         }
+
+        return months;
     },
 
     /**
@@ -433,7 +816,8 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
     changeLanguage: function(language) {
         this._header.changeLanguage(language);
         this._body.changeLanguage(language);
-        this._render();
+        this._isLanguageChanged = true;
+        this.draw();
     },
 
     /**
@@ -446,12 +830,20 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
 
     /**
      * Returns rendered layer type
-     * @returns {'date'|'month'|'year'}
+     * @returns {'date'|'month'|'quarter'|'year'|'decade'|'century'}
      */
     getType: function() {
         return this._type;
     },
 
+    /**
+     * Returns the first day of the week
+     * @returns {number} (0: sunday, 1: monday, ..., 6: saturday)
+     */
+    getFirstDayOfWeek: function() {
+        return this._body.getFirstDayOfWeek();
+    },
+
     /**
      * Returns date elements on body
      * @returns {jQuery}
@@ -468,7 +860,8 @@ var Calendar = util.defineClass(/** @lends Calendar.prototype */ {
         this._body.destroy();
         this._$element.remove();
 
-        this._type = this._date = this._$container = this._$element = this._header = this._body = null;
+        this._type = this._date = this._focusedDate = null;
+        this._$container = this._$element = this._header = this._body = null;
     }
 });
 
@@ -4,8 +4,7 @@
  */
 'use strict';
 
-var localeText = require('../../localeTexts');
-var DEFAULT_LANGUAGE_TYPE = require('../../constants').DEFAULT_LANGUAGE_TYPE;
+var locale = require('../../locale');
 
 /**
  * @abstract
@@ -16,8 +15,6 @@ var DEFAULT_LANGUAGE_TYPE = require('../../constants').DEFAULT_LANGUAGE_TYPE;
  */
 var LayerBase = tui.util.defineClass(/** @lends LayerBase.prototype */{
     init: function(language) {
-        language = language || DEFAULT_LANGUAGE_TYPE;
-
         /**
          * Layer element
          * @type {jQuery}
@@ -30,16 +27,16 @@ var LayerBase = tui.util.defineClass(/** @lends LayerBase.prototype */{
          * @type {string}
          * @private
          */
-        this._localeText = localeText[language];
-
-        /**
-         * Layer type
-         * @type {string}
-         * @private
-         */
-        this._type = 'base';
+        this._localeText = locale.getLocaleText(language);
     },
 
+    /**
+     * Layer type
+     * @type {string}
+     * @private
+     */
+    _type: 'base',
+
     /**
      * Make context
      * @abstract
@@ -83,7 +80,7 @@ var LayerBase = tui.util.defineClass(/** @lends LayerBase.prototype */{
      * @param {string} language - Language name
      */
     changeLanguage: function(language) {
-        this._localeText = localeText[language];
+        this._localeText = locale.getLocaleText(language);
     },
 
     /**
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Century layer
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var bodyTmpl = require('../../../template/calendar/centuryLayer.hbs');
+var LayerBase = require('./base');
+var TYPE_CENTURY = require('../../constants').TYPE_CENTURY;
+
+var DATE_SELECTOR = '.tui-calendar-decade';
+var CLASS_NAME_OTHER_CENTURY = 'tui-calendar-other-century';
+
+/**
+ * @class
+ * @extends LayerBase
+ * @param {string} language - Initial language
+ * @ignore
+ */
+var CenturyLayer = tui.util.defineClass(LayerBase, /** @lends CenturyLayer.prototype */{
+    init: function(language) {
+        LayerBase.call(this, language);
+    },
+
+    /**
+     * Layer type
+     * @type {string}
+     * @private
+     */
+    _type: TYPE_CENTURY,
+
+    /**
+     * @override
+     * @returns {object} Template context
+     * @private
+     */
+    _makeContext: function(date) {
+        var startYear = Math.floor(date.getFullYear() / 100) * 100;
+        var decades = [];
+        var i = -1;
+
+        // The last decade of the prev century and the first decade of the next century are also rendered.
+        for (; i <= 10; i += 1) {
+            decades.push({
+                startYear: startYear + (i * 10),
+                className: (i < 0 || i > 9) ? CLASS_NAME_OTHER_CENTURY : ''
+            });
+        }
+
+        return {
+            decadeGroups: [
+                decades.slice(0, 4),
+                decades.slice(4, 8),
+                decades.slice(8, 12)
+            ]
+        };
+    },
+
+    /**
+     * Render century-layer element
+     * @override
+     */
+    render: function(date) {
+        var context = this._makeContext(date);
+
+        this._$element = $(bodyTmpl(context));
+    },
+
+    /**
+     * Returns decade elements
+     * @override
+     * @returns {jQuery}
+     */
+    getDateElements: function() {
+        return this._$element.find(DATE_SELECTOR);
+    }
+});
+
+module.exports = CenturyLayer;
@@ -9,16 +9,41 @@ var LayerBase = require('./base');
 var TYPE_DATE = require('../../constants').TYPE_DATE;
 
 var DATE_SELECTOR = '.tui-calendar-date';
+var DEFAULT_FIRST_DAY_OF_WEEK = 0;
+var DAY_CLASS_NAMES = ['tui-sun', '', '', '', '', '', 'tui-sat'];
 
 /**
  * @ignore
  * @class
  * @extends LayerBase
  * @param {string} language - Initial language
+ * @param {object} [option] - Date layer option
+ * @param {number} [option.firstDayOfWeek] - First day of the week (0: sunday, 1: monday, ...).
+ *                                           Default - the locale's firstDayOfWeek or sunday
+ * @param {boolean} [option.showWeekNumbers] - Whether to render the week-number column
  */
 var DateLayer = tui.util.defineClass(LayerBase, /** @lends DateLayer.prototype */{
-    init: function(language) {
+    init: function(language, option) {
+        var firstDayOfWeek;
+
         LayerBase.call(this, language);
+
+        option = option || {};
+        firstDayOfWeek = option.firstDayOfWeek;
+
+        /**
+         * First day of the week given by user
+         * @type {?number}
+         * @private
+         */
+        this._firstDayOfWeek = tui.util.isNumber(firstDayOfWeek) ? (firstDayOfWeek % 7) : null;
+
+        /**
+         * Whether to render the week-number column
+         * @type {boolean}
+         * @private
+         */
+        this._showWeekNumbers = !!option.showWeekNumbers;
     },
 
     /**
@@ -35,25 +60,47 @@ var DateLayer = tui.util.defineClass(LayerBase, /** @lends DateLayer.prototype *
      */
     _makeContext: function(date) {
         var daysShort = this._localeText.titles.D;
-        var year, month;
+        var firstDayOfWeek = this.getFirstDayOfWeek();
+        var days = [];
+        var i = 0;
+        var day, year, month;
 
         date = date || new Date();
         year = date.getFullYear();
         month = date.getMonth() + 1;
 
+        for (; i < 7; i += 1) {
+            day = (firstDayOfWeek + i) % 7;
+            days.push({
+                name: daysShort[day],
+                className: DAY_CLASS_NAMES[day]
+            });
+        }
+
         return {
-            Sun: daysShort[0],
-            Mon: daysShort[1],
-            Tue: daysShort[2],
-            Wed: daysShort[3],
-            Thu: daysShort[4],
-            Fri: daysShort[5],
-            Sat: daysShort[6],
+            days: days,
+            firstDayOfWeek: firstDayOfWeek,
+            showWeekNumbers: this._showWeekNumbers,
+            weekNumberTitle: this._localeText.weekNumber || '',
             year: year,
             month: month
         };
     },
 
+    /**
+     * Returns the first day of the week
+     * @returns {number} (0: sunday, 1: monday, ...)
+     */
+    getFirstDayOfWeek: function() {
+        var localeFirstDayOfWeek = this._localeText.firstDayOfWeek;
+
+        if (tui.util.isNumber(this._firstDayOfWeek)) {
+            return this._firstDayOfWeek;
+        }
+
+        return tui.util.isNumber(localeFirstDayOfWeek) ? localeFirstDayOfWeek : DEFAULT_FIRST_DAY_OF_WEEK;
+    },
+
     /**
      * Render date-layer
      * @override
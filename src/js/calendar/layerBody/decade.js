@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Decade layer
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var bodyTmpl = require('../../../template/calendar/decadeLayer.hbs');
+var LayerBase = require('./base');
+var TYPE_DECADE = require('../../constants').TYPE_DECADE;
+
+var DATE_SELECTOR = '.tui-calendar-year';
+var CLASS_NAME_OTHER_DECADE = 'tui-calendar-other-decade';
+
+/**
+ * @class
+ * @extends LayerBase
+ * @param {string} language - Initial language
+ * @ignore
+ */
+var DecadeLayer = tui.util.defineClass(LayerBase, /** @lends DecadeLayer.prototype */{
+    init: function(language) {
+        LayerBase.call(this, language);
+    },
+
+    /**
+     * Layer type
+     * @type {string}
+     * @private
+     */
+    _type: TYPE_DECADE,
+
+    /**
+     * @override
+     * @returns {object} Template context
+     * @private
+     */
+    _makeContext: function(date) {
+        var startYear = Math.floor(date.getFullYear() / 10) * 10;
+        var years = [];
+        var i = -1;
+
+        // The last year of the prev decade and the first year of the next decade are also rendered.
+        for (; i <= 10; i += 1) {
+            years.push({
+                year: startYear + i,
+                className: (i < 0 || i > 9) ? CLASS_NAME_OTHER_DECADE : ''
+            });
+        }
+
+        return {
+            yearGroups: [
+                years.slice(0, 4),
+                years.slice(4, 8),
+                years.slice(8, 12)
+            ]
+        };
+    },
+
+    /**
+     * Render decade-layer element
+     * @override
+     */
+    render: function(date) {
+        var context = this._makeContext(date);
+
+        this._$element = $(bodyTmpl(context));
+    },
+
+    /**
+     * Returns year elements
+     * @override
+     * @returns {jQuery}
+     */
+    getDateElements: function() {
+        return this._$element.find(DATE_SELECTOR);
+    }
+});
+
+module.exports = DecadeLayer;
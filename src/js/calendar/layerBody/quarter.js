@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Quarter layer
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var bodyTmpl = require('./../../../template/calendar/quarterLayer.hbs');
+var LayerBase = require('./base');
+var DateTimeFormatter = require('../../dateTimeFormatter');
+var TYPE_QUARTER = require('../../constants').TYPE_QUARTER;
+
+var DATE_SELECTOR = '.tui-calendar-quarter';
+var DEFAULT_QUARTER_FORMAT = '[Q]Q';
+
+/**
+ * @class
+ * @extends LayerBase
+ * @param {string} language - Initial language
+ * @ignore
+ */
+var QuarterLayer = tui.util.defineClass(LayerBase, /** @lends QuarterLayer.prototype */{
+    init: function(language) {
+        LayerBase.call(this, language);
+    },
+
+    /**
+     * Layer type
+     * @type {string}
+     * @private
+     */
+    _type: TYPE_QUARTER,
+
+    /**
+     * @override
+     * @returns {object} Template context
+     * @private
+     */
+    _makeContext: function(date) {
+        var year = date.getFullYear();
+        var formatter = new DateTimeFormatter(
+            this._localeText.quarterFormat || DEFAULT_QUARTER_FORMAT,
+            this._localeText.titles
+        );
+        var quarters = [];
+        var month = 0;
+        var firstDate;
+
+        for (; month < 12; month += 3) {
+            firstDate = new Date(year, month, 1);
+            quarters.push({
+                timestamp: firstDate.getTime(),
+                label: formatter.format(firstDate)
+            });
+        }
+
+        return {
+            quarterGroups: [
+                quarters.slice(0, 2),
+                quarters.slice(2, 4)
+            ]
+        };
+    },
+
+    /**
+     * Render quarter-layer element
+     * @override
+     */
+    render: function(date) {
+        var context = this._makeContext(date);
+
+        this._$element = $(bodyTmpl(context));
+    },
+
+    /**
+     * Returns quarter elements
+     * @override
+     * @returns {jQuery}
+     */
+    getDateElements: function() {
+        return this._$element.find(DATE_SELECTOR);
+    }
+});
+
+module.exports = QuarterLayer;
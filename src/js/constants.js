@@ -7,10 +7,19 @@
 module.exports = {
     TYPE_DATE: 'date',
     TYPE_MONTH: 'month',
+    TYPE_QUARTER: 'quarter',
     TYPE_YEAR: 'year',
+    TYPE_DECADE: 'decade',
+    TYPE_CENTURY: 'century',
+    TYPE_WEEK: 'week',
+    TYPE_WEEK_YEAR: 'weekYear',
     TYPE_HOUR: 'hour',
     TYPE_MINUTE: 'minute',
+    TYPE_SECOND: 'second',
+    TYPE_MILLISECOND: 'millisecond',
     TYPE_MERIDIEM: 'meridiem',
+    TYPE_DAY: 'day',
+    TYPE_OFFSET: 'offset',
     MIN_DATE: new Date(1900, 0, 1),
     MAX_DATE: new Date(2999, 11, 31),
 
@@ -0,0 +1,400 @@
+/**
+ * @fileoverview DateRangePicker component
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var Datepicker = require('../datepicker');
+var constants = require('../constants');
+var dateUtil = require('../dateUtil');
+
+var util = tui.util;
+
+/**
+ * Merge default option
+ * @ignore
+ * @param {object} option - DateRangePicker option
+ * @returns {object}
+ */
+var mergeDefaultOption = function(option) {
+    option = util.extend({
+        startpicker: {},
+        endpicker: {},
+        format: null,
+        selectableRanges: [[constants.MIN_DATE, constants.MAX_DATE]]
+    }, option);
+
+    if (!util.isObject(option.startpicker) || !option.startpicker.container) {
+        throw new Error('Startpicker option must have a container');
+    }
+    if (!util.isObject(option.endpicker) || !option.endpicker.container) {
+        throw new Error('Endpicker option must have a container');
+    }
+    if (!util.isArray(option.selectableRanges)) {
+        throw new Error('Selectable-ranges must be a 2d-array');
+    }
+
+    return option;
+};
+
+/**
+ * Convert ranges to timestamp ranges
+ * @ignore
+ * @param {Array.<Array.<Date|number>>} ranges - Ranges
+ * @returns {Array.<Array.<number>>}
+ */
+var toTimestampRanges = function(ranges) {
+    return util.map(ranges, function(range) {
+        return [new Date(range[0]).getTime(), new Date(range[1]).getTime()];
+    });
+};
+
+/**
+ * @class
+ * @param {object} option - DateRangePicker option
+ *     @param {object} option.startpicker - Startpicker option
+ *         @param {HTMLElement|jQuery|string} option.startpicker.container - Startpicker container element
+ *         @param {HTMLElement|jQuery|string} [option.startpicker.input] - Startpicker input element
+ *         @param {Date|number} [option.startpicker.date] - Initial start date
+ *     @param {object} option.endpicker - Endpicker option
+ *         @param {HTMLElement|jQuery|string} option.endpicker.container - Endpicker container element
+ *         @param {HTMLElement|jQuery|string} [option.endpicker.input] - Endpicker input element
+ *         @param {Date|number} [option.endpicker.date] - Initial end date
+ *     @param {string} [option.format = 'yyyy-MM-dd'] - Input date string format
+ *     @param {Array.<Array.<Date|number>>} [option.selectableRanges = 1900/1/1 ~ 2999/12/31]
+ *                                                                  - Selectable date ranges.
+ *     @param {string} [option.type = 'date'] - Datepicker type - ('date' | 'week' | 'month' | 'quarter' | 'year')
+ *     @param {string} [option.language = 'en'] - Language key
+ *     @param {object|boolean} [option.timepicker] - {@link Timepicker} option
+ *     @param {object} [option.calendar] - {@link Calendar} option
+ *     @param {boolean} [option.showAlways = false] - Whether the datepickers show always
+ *     @param {boolean} [option.autoClose = true] - Close after click a date
+ *     @param {string} [option.timeZone] - IANA time zone name. ex) 'America/New_York'
+ * @tutorial daterangepicker
+ * @example
+ *
+ * var rangepicker = new tui.component.DateRangePicker({
+ *     startpicker: {
+ *         date: new Date(2017, 2, 1),
+ *         input: '#start-input',
+ *         container: '#start-container'
+ *     },
+ *     endpicker: {
+ *         date: new Date(2017, 2, 5),
+ *         input: '#end-input',
+ *         container: '#end-container'
+ *     },
+ *     format: 'yyyy-MM-dd',
+ *     selectableRanges: [
+ *         [new Date(2017, 0, 1), new Date(2017, 11, 31)]
+ *     ]
+ * });
+ *
+ * rangepicker.on('change', function(ev) {
+ *     console.log(ev.start, ev.end);
+ * });
+ */
+var DateRangePicker = util.defineClass(/** @lends DateRangePicker.prototype */{
+    init: function(option) {
+        option = mergeDefaultOption(option);
+
+        /**
+         * Selectable ranges (timestamps) given by user
+         * @type {Array.<Array.<number>>}
+         * @private
+         */
+        this._selectableRanges = toTimestampRanges(option.selectableRanges);
+
+        /**
+         * IANA time zone name - The local time zone if null
+         * @type {?string}
+         * @private
+         */
+        this._timeZone = option.timeZone || null;
+
+        /**
+         * Start datepicker
+         * @type {Datepicker}
+         * @private
+         */
+        this._startpicker = null;
+
+        /**
+         * End datepicker
+         * @type {Datepicker}
+         * @private
+         */
+        this._endpicker = null;
+
+        /**
+         * Whether the endpicker is being synchronized with the startpicker
+         * @type {boolean}
+         * @private
+         */
+        this._isSyncing = false;
+
+        this._initializePickers(option);
+        this._syncEndpicker();
+        this._syncHighlightRange();
+        this._setEvents();
+    },
+
+    /**
+     * Create start and end datepickers
+     * @param {object} option - Constructor option
+     * @private
+     */
+    _initializePickers: function(option) {
+        var startpickerOption = this._makePickerOption(option, option.startpicker);
+        var endpickerOption = this._makePickerOption(option, option.endpicker);
+
+        this._startpicker = new Datepicker(option.startpicker.container, startpickerOption);
+        this._endpicker = new Datepicker(option.endpicker.container, endpickerOption);
+    },
+
+    /**
+     * Make a datepicker option from the common option and a picker option
+     * @param {object} option - Constructor option
+     * @param {object} pickerOption - Startpicker or endpicker option
+     * @returns {object}
+     * @private
+     */
+    _makePickerOption: function(option, pickerOption) {
+        var datepickerOption = util.extend({}, option, {
+            calendar: util.extend({}, option.calendar),
+            input: {
+                element: pickerOption.input,
+                format: option.format
+            },
+            date: pickerOption.date || null,
+            selectableRanges: this._selectableRanges
+        });
+
+        delete datepickerOption.startpicker;
+        delete datepickerOption.endpicker;
+        delete datepickerOption.format;
+
+        return datepickerOption;
+    },
+
+    /**
+     * Set events
+     * @private
+     */
+    _setEvents: function() {
+        this._startpicker.on('change', this._onChangeStartDate, this);
+        this._endpicker.on('change', this._onChangeEndDate, this);
+    },
+
+    /**
+     * Start-date change handler
+     * @private
+     */
+    _onChangeStartDate: function() {
+        this._isSyncing = true;
+        this._syncEndpicker();
+        this._isSyncing = false;
+
+        this._syncHighlightRange();
+        this._fireChange();
+    },
+
+    /**
+     * End-date change handler
+     * @private
+     */
+    _onChangeEndDate: function() {
+        if (!this._isSyncing) {
+            this._syncHighlightRange();
+            this._fireChange();
+        }
+    },
+
+    /**
+     * Highlight the range from the start date to the end date on both pickers
+     * @private
+     */
+    _syncHighlightRange: function() {
+        var startDate = this.getStartDate();
+        var endDate = this.getEndDate();
+
+        this._startpicker.setHighlightRange(startDate, endDate);
+        this._endpicker.setHighlightRange(startDate, endDate);
+    },
+
+    /**
+     * Bound the selectable ranges of the endpicker by the start date.
+     * The end date is cleared when the start date is cleared or is out of the new ranges.
+     * @private
+     */
+    _syncEndpicker: function() {
+        var startDate = this._startpicker.getDate();
+
+        this._endpicker.setRanges(this._getEndpickerRanges(startDate));
+        if (!startDate) {
+            this._endpicker.setNull();
+        }
+    },
+
+    /**
+     * Returns the selectable ranges of the endpicker
+     * @param {?Date} startDate - Start date
+     * @returns {Array.<Array.<number>>}
+     * @private
+     */
+    _getEndpickerRanges: function(startDate) {
+        var minTimestamp, ranges;
+
+        if (!startDate) {
+            return this._selectableRanges;
+        }
+
+        minTimestamp = this._getStartOfDay(startDate);
+        ranges = util.map(this._selectableRanges, function(range) {
+            return [Math.max(range[0], minTimestamp), range[1]];
+        });
+
+        return util.filter(ranges, function(range) {
+            return range[0] <= range[1];
+        });
+    },
+
+    /**
+     * Returns the timestamp of the start of the day in the time zone
+     * @param {Date} date - Date
+     * @returns {number}
+     * @private
+     */
+    _getStartOfDay: function(date) {
+        var zonedDate = dateUtil.toZonedDate(date, this._timeZone);
+
+        zonedDate.setHours(0, 0, 0, 0);
+
+        return dateUtil.fromZonedDate(zonedDate, this._timeZone).getTime();
+    },
+
+    /**
+     * Fire change event
+     * @private
+     */
+    _fireChange: function() {
+        /**
+         * Change event - DateRangePicker
+         * @event DateRangePicker#change
+         * @param {object} event
+         * @param {?Date} event.start - Start date
+         * @param {?Date} event.end - End date
+         * @example
+         *
+         * rangepicker.on('change', function(ev) {
+         *     console.log(ev.start, ev.end);
+         * });
+         */
+        this.fire('change', {
+            start: this.getStartDate(),
+            end: this.getEndDate()
+        });
+    },
+
+    /**
+     * Returns start-datepicker
+     * @returns {Datepicker}
+     */
+    getStartpicker: function() {
+        return this._startpicker;
+    },
+
+    /**
+     * Returns end-datepicker
+     * @returns {Datepicker}
+     */
+    getEndpicker: function() {
+        return this._endpicker;
+    },
+
+    /**
+     * Returns start-date
+     * @returns {?Date}
+     */
+    getStartDate: function() {
+        return this._startpicker.getDate();
+    },
+
+    /**
+     * Returns end-date
+     * @returns {?Date}
+     */
+    getEndDate: function() {
+        return this._endpicker.getDate();
+    },
+
+    /**
+     * Set start date
+     * @param {?Date|number|string} date - Start date, timestamp or ISO 8601 string (null for clearing)
+     * @example
+     * rangepicker.setStartDate(new Date(2017, 3, 1));
+     */
+    setStartDate: function(date) {
+        this._startpicker.setDate(date);
+    },
+
+    /**
+     * Set end date
+     * @param {?Date|number|string} date - End date, timestamp or ISO 8601 string (null for clearing)
+     * @example
+     * rangepicker.setEndDate(new Date(2017, 3, 10));
+     */
+    setEndDate: function(date) {
+        this._endpicker.setDate(date);
+    },
+
+    /**
+     * Set selectable ranges (prev ranges will be removed)
+     * @param {Array.<Array<Date|number>>} ranges - (2d-array) Selectable ranges
+     */
+    setRanges: function(ranges) {
+        this._selectableRanges = toTimestampRanges(ranges);
+        this._startpicker.setRanges(this._selectableRanges);
+        this._syncEndpicker();
+    },
+
+    /**
+     * Add a selectable range
+     * @param {Date|number} start - startDate
+     * @param {Date|number} end - endDate
+     */
+    addRange: function(start, end) {
+        this._selectableRanges.push([new Date(start).getTime(), new Date(end).getTime()]);
+        this._startpicker.addRange(start, end);
+        this._syncEndpicker();
+    },
+
+    /**
+     * Change language of both pickers
+     * @param {string} language - Language key - {@link Datepicker.localeTexts}
+     * @example
+     * rangepicker.changeLanguage('ko');
+     */
+    changeLanguage: function(language) {
+        this._startpicker.changeLanguage(language);
+        this._endpicker.changeLanguage(language);
+    },
+
+    /**
+     * Destroy
+     */
+    destroy: function() {
+        this.off();
+        this._startpicker.destroy();
+        this._endpicker.destroy();
+
+        this._startpicker
+            = this._endpicker
+            = this._selectableRanges
+            = this._timeZone
+            = null;
+    }
+});
+
+util.CustomEvents.mixin(DateRangePicker);
+module.exports = DateRangePicker;
@@ -8,8 +8,53 @@ var dateUtil = require('./dateUtil');
 var constants = require('./constants');
 var localeTexts = require('./localeTexts');
 
-var rFormableKeys = /\\?(yyyy|yy|mmmm|mmm|mm|m|dd|d|hh|h|a)/gi;
+// The week, quarter, hour (k, K), second and offset keys are matched only in their case.
+// Since they are single letters as well, they must be escaped by [...] to be literal texts.
+// A matched key of unknown case ('dD', 'hH') is a literal text.
+var rFormableKeys = new RegExp('\\[[^\\]]*\\]|\\\\?(GGGG|GG|WW|W|Q|kk|k|KK|K|SSS|ss|XXX|ZZ|Z|'
+    + '[yY]{4}|[yY]{2}|[mM]{1,4}|[dD]{1,2}|[hH]{1,2}|[aA])', 'g');
+var rRegExpSpecialChars = /[.*+?^${}()|[\]\\]/g;
+var rCaseSensitiveKeys = /[mMDhHkKGWQSXZ]/;
+var DEFAULT_MERIDIEM_TITLES = ['AM', 'PM'];
+var MILLISECONDS_OF_MINUTE = 60000;
+
+// Formats of ISO 8601 (RFC 3339) available by the preset names
+var ISO_FORMATS = {
+    ISO: 'yyyy-MM-dd[T]HH:mm:ss.SSSXXX',
+    ISO_DATE: 'yyyy-MM-dd',
+    ISO_TIME: 'HH:mm:ss',
+    ISO_LOCAL: 'yyyy-MM-dd[T]HH:mm:ss'
+};
+
+// Formats of ISO 8601 strings to parse.
+// The formats having fewer fields come first not to split the digits of a field,
+// and the offset comes first not to be skipped as a separator.
+var ISO_PARSING_FORMATS = [
+    'yyyy-MM-dd',
+    'yyyy-MM-dd[T]HH:mmXXX',
+    'yyyy-MM-dd[T]HH:mm',
+    'yyyy-MM-dd[T]HH:mm:ssXXX',
+    'yyyy-MM-dd[T]HH:mm:ss',
+    'yyyy-MM-dd[T]HH:mm:ss.SSSXXX',
+    'yyyy-MM-dd[T]HH:mm:ss.SSS'
+];
 var mapForConverting = {
+    GGGG: {
+        expression: '(\\d{4}|\\d{2})',
+        type: constants.TYPE_WEEK_YEAR
+    },
+    GG: {
+        expression: '(\\d{4}|\\d{2})',
+        type: constants.TYPE_WEEK_YEAR
+    },
+    WW: {
+        expression: '(5[0-3]|[1-4]\\d{1}|0[1-9]|[1-9])',
+        type: constants.TYPE_WEEK
+    },
+    W: {
+        expression: '(5[0-3]|[1-4]\\d{1}|0[1-9]|[1-9])',
+        type: constants.TYPE_WEEK
+    },
     yyyy: {
         expression: '(\\d{4}|\\d{2})',
         type: constants.TYPE_YEAR
@@ -46,6 +91,10 @@ var mapForConverting = {
         expression: '(1[012]|0[1-9]|[1-9])',
         type: constants.TYPE_MONTH
     },
+    Q: {
+        expression: '([1-4])',
+        type: constants.TYPE_QUARTER
+    },
     dd: {
         expression: '([12]\\d{1}|3[01]|0[1-9]|[1-9])',
         type: constants.TYPE_DATE
@@ -55,37 +104,73 @@ var mapForConverting = {
         type: constants.TYPE_DATE
     },
     D: {
-        expression: '([12]\\d{1}|3[01]|0[1-9]|[1-9])',
-        type: constants.TYPE_DATE
+        expression: '(\\S+)',
+        type: constants.TYPE_DAY
     },
     DD: {
-        expression: '([12]\\d{1}|3[01]|0[1-9]|[1-9])',
-        type: constants.TYPE_DATE
+        expression: '(\\S+)',
+        type: constants.TYPE_DAY
     },
     h: {
-        expression: '(d{1}|0\\d{1}|1\\d{1}|2[0123])',
+        expression: '(1[012]|0[1-9]|[1-9])',
         type: constants.TYPE_HOUR
     },
     hh: {
-        expression: '(d{1}|[01]\\d{1}|2[0123])',
+        expression: '(1[012]|0[1-9]|[1-9])',
         type: constants.TYPE_HOUR
     },
     H: {
-        expression: '(d{1}|0\\d{1}|1\\d{1}|2[0123])',
+        expression: '(2[0123]|[01]\\d{1}|\\d{1})',
         type: constants.TYPE_HOUR
     },
     HH: {
-        expression: '(d{1}|[01]\\d{1}|2[0123])',
+        expression: '(2[0123]|[01]\\d{1}|\\d{1})',
+        type: constants.TYPE_HOUR
+    },
+    k: {
+        expression: '(2[01234]|1\\d{1}|0[1-9]|[1-9])',
+        type: constants.TYPE_HOUR
+    },
+    kk: {
+        expression: '(2[01234]|1\\d{1}|0[1-9]|[1-9])',
+        type: constants.TYPE_HOUR
+    },
+    K: {
+        expression: '(1[01]|0\\d{1}|\\d{1})',
+        type: constants.TYPE_HOUR
+    },
+    KK: {
+        expression: '(1[01]|0\\d{1}|\\d{1})',
         type: constants.TYPE_HOUR
     },
     m: {
-        expression: '(d{1}|[012345]\\d{1})',
+        expression: '([012345]\\d{1}|\\d{1})',
         type: constants.TYPE_MINUTE
     },
     mm: {
-        expression: '(d{1}|[012345]\\d{1})',
+        expression: '([012345]\\d{1}|\\d{1})',
         type: constants.TYPE_MINUTE
     },
+    ss: {
+        expression: '([012345]\\d{1}|\\d{1})',
+        type: constants.TYPE_SECOND
+    },
+    SSS: {
+        expression: '(\\d+)',
+        type: constants.TYPE_MILLISECOND
+    },
+    Z: {
+        expression: '(Z|[+-]\\d{2}:?\\d{2})',
+        type: constants.TYPE_OFFSET
+    },
+    ZZ: {
+        expression: '(Z|[+-]\\d{2}:?\\d{2})',
+        type: constants.TYPE_OFFSET
+    },
+    XXX: {
+        expression: '(Z|[+-]\\d{2}:?\\d{2})',
+        type: constants.TYPE_OFFSET
+    },
     a: {
         expression: '([ap]m)',
         type: constants.TYPE_MERIDIEM
@@ -96,17 +181,207 @@ var mapForConverting = {
     }
 };
 
+/**
+ * Returns the key of mapForConverting for a matched key
+ * @ignore
+ * @param {string} key - Matched key in the format
+ * @returns {?string} Null for an unknown key which is a literal text
+ */
+var normalizeKey = function(key) {
+    var normalizedKey = rCaseSensitiveKeys.test(key) ? key : key.toLowerCase();
+
+    return mapForConverting.hasOwnProperty(normalizedKey) ? normalizedKey : null;
+};
+
+/**
+ * Escape special characters of regular expression
+ * @ignore
+ * @param {string} str - String
+ * @returns {string}
+ */
+var escapeRegExp = function(str) {
+    return str.replace(rRegExpSpecialChars, '\\$&');
+};
+
+/**
+ * Returns the offset string of minutes ('+09:00', '-0530')
+ * @ignore
+ * @param {number} offset - Offset from UTC in minutes
+ * @param {string} separator - Separator of hours and minutes
+ * @returns {string}
+ */
+var formatOffset = function(offset, separator) {
+    var absOffset = Math.abs(offset);
+    var hours = dateUtil.prependLeadingZero(Math.floor(absOffset / 60));
+    var minutes = dateUtil.prependLeadingZero(absOffset % 60);
+
+    return (offset < 0 ? '-' : '+') + hours + separator + minutes;
+};
+
+/**
+ * Returns the minutes of an offset string ('Z', '+09:00', '-0530')
+ * @ignore
+ * @param {string} str - Offset string
+ * @returns {number} Offset from UTC in minutes
+ */
+var parseOffset = function(str) {
+    var matched = /([+-])(\d{2}):?(\d{2})/.exec(str);
+    var offset;
+
+    if (!matched) {
+        return 0; // 'Z'
+    }
+    offset = (Number(matched[2]) * 60) + Number(matched[3]);
+
+    return matched[1] === '-' ? -offset : offset;
+};
+
+/**
+ * Returns the milliseconds of the fraction digits of a second ('5' -> 500, '123456' -> 123).
+ * The digits below the milliseconds are truncated.
+ * @ignore
+ * @param {string} digits - Fraction digits
+ * @returns {number}
+ */
+var parseFraction = function(digits) {
+    return Number((digits + '00').substr(0, 3));
+};
+
+/**
+ * Returns the parser of the matched values of a type which are not plain numbers
+ * @ignore
+ * @param {string} type - Type of the value
+ * @returns {?function} Null for plain numbers
+ */
+var getValueParser = function(type) {
+    if (type === constants.TYPE_OFFSET) {
+        return parseOffset;
+    }
+    if (type === constants.TYPE_MILLISECOND) {
+        return parseFraction;
+    }
+
+    return null;
+};
+
+/**
+ * Returns whether the month and the date of the dateHash are not rolled over by the created date
+ * ('2017-02-31' is not March 3)
+ * @ignore
+ * @param {object} dateHash - Parsed values
+ * @returns {boolean}
+ */
+var isValidDateOfMonth = function(dateHash) {
+    var date = new Date(Date.UTC(dateHash.year, dateHash.month - 1, dateHash.date));
+
+    return date.getUTCMonth() === dateHash.month - 1 && date.getUTCDate() === dateHash.date;
+};
+
+/**
+ * Returns the UTC timestamp having the fields of the dateHash
+ * @ignore
+ * @param {object} dateHash - Parsed values
+ * @returns {number}
+ */
+var getWallTimeOfDateHash = function(dateHash) {
+    return Date.UTC(
+        dateHash.year, dateHash.month - 1, dateHash.date,
+        dateHash.hour, dateHash.minute, dateHash.second, dateHash.millisecond
+    );
+};
+
+/**
+ * Returns the expression alternating names (longer names first)
+ * @ignore
+ * @param {Array.<string>} names - Names
+ * @returns {string}
+ */
+var makeNamesExpression = function(names) {
+    var sortedNames = names.concat().sort(function(a, b) {
+        return b.length - a.length;
+    });
+
+    return tui.util.map(sortedNames, escapeRegExp).join('|');
+};
+
+/**
+ * Returns the map of lower-cased names to numbers
+ * @ignore
+ * @param {Array.<Array.<string>>} namesList - List of names ordered by number
+ * @param {number} startNumber - Number of the first name
+ * @returns {object}
+ */
+var mapNamesToNumbers = function(namesList, startNumber) {
+    var numbersOfNames = {};
+
+    tui.util.forEach(namesList, function(names) {
+        tui.util.forEach(names, function(name, index) {
+            numbersOfNames[name.toLowerCase()] = index + startNumber;
+        });
+    });
+
+    return numbersOfNames;
+};
+
 /**
  * @class
  * @ignore
  */
 var DateTimeFormatter = tui.util.defineClass(/** @lends DateTimeFormatter.prototype */{
-    init: function(rawStr, titles) {
+    static: {
+        /**
+         * Formats of ISO 8601 available by the preset names ('ISO', 'ISO_DATE', 'ISO_TIME', 'ISO_LOCAL')
+         * @type {object}
+         */
+        ISO_FORMATS: ISO_FORMATS,
+
         /**
+         * Escape special characters of regular expression
+         * @param {string} str - String
+         * @returns {string}
+         */
+        escapeRegExp: escapeRegExp,
+
+        /**
+         * Parse an ISO 8601 (RFC 3339) string.
+         * The seconds, milliseconds and offset are optional, and the time is optional as well.
+         * The fraction of a second is truncated to milliseconds, and a date out of the month is not parsed.
+         * A string without the offset is parsed as the wall-clock time of the time zone.
+         * @param {string} str - ISO 8601 string. ex) '2017-03-15T13:30:00.000+09:00', '2017-03-15'
+         * @param {?string} [timeZone] - IANA time zone name. The local time zone if not given
+         * @returns {?Date} Instant of the string. Null if the string is not ISO 8601
+         */
+        parseISOString: function(str, timeZone) {
+            var date = null;
+
+            // The first matched format is parsed not to split the digits of an invalid date by the next formats
+            tui.util.forEach(ISO_PARSING_FORMATS, function(format) {
+                var formatter = new DateTimeFormatter(format, null, timeZone);
+
+                if (!formatter._isMatched(str)) {
+                    return true;
+                }
+
+                try {
+                    date = formatter._parseInstant(str);
+                } catch (e) {
+                    date = null;
+                }
+
+                return false;
+            });
+
+            return date;
+        }
+    },
+
+    init: function(rawStr, titles, timeZone) {
+        /**
+         * Format string - A preset name of ISO_FORMATS is replaced with the format
          * @type {string}
          * @private
          */
-        this._rawStr = rawStr;
+        this._rawStr = ISO_FORMATS[rawStr] || rawStr;
 
         /**
          * @type {Array}
@@ -124,11 +399,42 @@ var DateTimeFormatter = tui.util.defineClass(/** @lends DateTimeFormatter.protot
         this._regExp = null;
 
         /**
-         * Titles
+         * Key of the hour - 'H', 'HH': 0 ~ 23, 'h', 'hh': 1 ~ 12, 'k', 'kk': 1 ~ 24, 'K', 'KK': 0 ~ 11
+         * @type {?string}
+         * @private
+         */
+        this._hourKey = null;
+
+        /**
+         * Titles - The names missing in a custom locale are of 'en'
+         * @type {object}
+         * @private
+         */
+        this._titles = tui.util.extend({}, localeTexts.en.titles, titles);
+
+        /**
+         * IANA time zone name of the wall-clock time of dates. The local time zone if null
+         * @type {?string}
+         * @private
+         */
+        this._timeZone = timeZone || null;
+
+        /**
+         * Meridiem titles (AM, PM)
+         * @type {Array.<string>}
+         * @private
+         */
+        this._meridiemTitles = this._titles.A || DEFAULT_MERIDIEM_TITLES;
+
+        /**
+         * Numbers of the lower-cased month names (1 ~ 12) and weekday names (0 ~ 6)
          * @type {object}
          * @private
          */
-        this._titles = titles || localeTexts.en.titles;
+        this._numbersOfNames = {
+            month: mapNamesToNumbers([this._titles.MMMM, this._titles.MMM], 1),
+            day: mapNamesToNumbers([this._titles.DD, this._titles.D], 0)
+        };
 
         this._parseFormat();
     },
@@ -140,20 +446,23 @@ var DateTimeFormatter = tui.util.defineClass(/** @lends DateTimeFormatter.protot
     _parseFormat: function() {
         var regExpStr = '^';
         var matchedKeys = this._rawStr.match(rFormableKeys);
+        var localizedExpressions = this._getLocalizedExpressions();
         var keyOrder = [];
 
         matchedKeys = tui.util.filter(matchedKeys, function(key) {
-            return key[0] !== '\\'; // escape character
+            return key[0] !== '\\' && key[0] !== '[' && normalizeKey(key); // escape character, literal text
         });
 
         tui.util.forEach(matchedKeys, function(key, index) {
-            if (!/m/i.test(key)) {
-                key = key.toLowerCase();
-            }
+            key = normalizeKey(key);
 
-            regExpStr += (mapForConverting[key].expression + '[\\D\\s]*');
+            regExpStr += ((localizedExpressions[key] || mapForConverting[key].expression) + '[\\D\\s]*?');
             keyOrder[index] = mapForConverting[key].type;
-        });
+
+            if (keyOrder[index] === constants.TYPE_HOUR) {
+                this._hourKey = key;
+            }
+        }, this);
 
         // This formatter does not allow additional numbers at the end of string.
         regExpStr += '$';
@@ -164,19 +473,200 @@ var DateTimeFormatter = tui.util.defineClass(/** @lends DateTimeFormatter.protot
     },
 
     /**
-     * Parse string to dateHash
+     * Returns the segments of the format - the fields in the order of the keyOrder and the literal texts
+     * @returns {Array.<object>} {text: string} for a literal text,
+     *                           {key: string, type: string, expression: string, names: ?Array.<string>} for a field
+     * @example
+     *  // 'yyyy-MM-dd'
+     *  formatter.getSegments();
+     *  // [{key: 'yyyy', type: 'year', ...}, {text: '-'}, {key: 'MM', type: 'month', ...}, {text: '-'}, ...]
+     */
+    getSegments: function() {
+        var self = this;
+        var rawStr = this._rawStr;
+        var localizedExpressions = this._getLocalizedExpressions();
+        var segments = [];
+        var lastIndex = 0;
+        var pushText = function(text) {
+            var lastSegment = segments[segments.length - 1];
+
+            if (lastSegment && tui.util.isString(lastSegment.text)) {
+                lastSegment.text += text;
+            } else if (text) {
+                segments.push({text: text});
+            }
+        };
+
+        rawStr.replace(rFormableKeys, function(key, name, index) {
+            pushText(rawStr.slice(lastIndex, index));
+            lastIndex = index + key.length;
+
+            if (key[0] === '\\') {
+                pushText(key.substr(1));
+            } else if (key[0] === '[') {
+                pushText(key.slice(1, -1));
+            } else if (!normalizeKey(key)) {
+                pushText(key);
+            } else {
+                segments.push(self._makeFieldSegment(key, localizedExpressions));
+            }
+
+            return key;
+        });
+        pushText(rawStr.slice(lastIndex));
+
+        return segments;
+    },
+
+    /**
+     * Returns the field segment of a key
+     * @param {string} key - Key in the format
+     * @param {object} localizedExpressions - Expressions of the keys parsing localized names
+     * @returns {{key: string, type: string, expression: string, names: ?Array.<string>}}
+     * @private
+     */
+    _makeFieldSegment: function(key, localizedExpressions) {
+        var normalizedKey = normalizeKey(key);
+        var type = mapForConverting[normalizedKey].type;
+        var names = null;
+
+        if (type === constants.TYPE_MERIDIEM) {
+            names = tui.util.map(this._meridiemTitles, function(title) {
+                return key === 'A' ? title : title.toLowerCase();
+            });
+        }
+
+        return {
+            key: normalizedKey,
+            type: type,
+            expression: localizedExpressions[normalizedKey] || mapForConverting[normalizedKey].expression,
+            names: names
+        };
+    },
+
+    /**
+     * Returns the expressions of the keys parsing localized names.
+     * Both full and abbreviated names are matched, and "am/pm" is matched as well.
+     * @returns {object}
+     * @private
+     */
+    _getLocalizedExpressions: function() {
+        var titles = this._titles;
+        var month = '(' + makeNamesExpression(titles.MMMM.concat(titles.MMM)) + ')';
+        var day = '(' + makeNamesExpression(titles.DD.concat(titles.D)) + ')';
+
+        return {
+            MMMM: month,
+            MMM: month,
+            mmmm: month,
+            mmm: month,
+            DD: day,
+            D: day,
+            a: '(' + makeNamesExpression(this._meridiemTitles) + '|[ap]m)'
+        };
+    },
+
+    /**
+     * Returns the number of a matched value
+     * @param {string} name - Type of the value
+     * @param {string} value - Matched digits or name
+     * @returns {number}
+     * @private
+     */
+    _getMatchedNumber: function(name, value) {
+        var numbersOfNames = this._numbersOfNames[name];
+        var lowerValue = value.toLowerCase();
+        var parseValue = getValueParser(name);
+        var number;
+
+        if (parseValue) {
+            return parseValue(value);
+        }
+        if (numbersOfNames && numbersOfNames.hasOwnProperty(lowerValue)) {
+            return numbersOfNames[lowerValue];
+        }
+
+        number = Number(value);
+        if (number !== 0 && !number) {
+            throw Error('DateTimeFormatter: Unknown value - ' + value);
+        }
+
+        if ((name === constants.TYPE_YEAR || name === constants.TYPE_WEEK_YEAR) && number < 100) {
+            number += 2000;
+        }
+
+        return number;
+    },
+
+    /**
+     * Returns whether a meridiem string is PM
+     * @param {string} meridiem - Localized title or "am/pm"
+     * @returns {boolean}
+     * @private
+     */
+    _isPM: function(meridiem) {
+        var lowerMeridiem = meridiem.toLowerCase();
+
+        return lowerMeridiem === this._meridiemTitles[1].toLowerCase() || lowerMeridiem === 'pm';
+    },
+
+    /**
+     * Returns whether a string matches the format
      * @param {string} str - Date string
-     * @returns {Date}
+     * @returns {boolean}
+     * @private
+     */
+    _isMatched: function(str) {
+        this._regExp.lastIndex = 0;
+
+        return this._regExp.test(str);
+    },
+
+    /**
+     * Parse string to date
+     * @param {string} str - Date string
+     * @returns {Date} Date having the wall-clock time of the time zone
      */
     parse: function(str) {
+        return this._createDate(this._parseDateHash(str));
+    },
+
+    /**
+     * Parse string to the instant of the wall-clock time of the time zone
+     * - Unlike parse(), the wall-clock time in the DST gap of the browser's time zone is not shifted.
+     *   The quarter and week keys are not used.
+     * @param {string} str - Date string
+     * @returns {Date}
+     * @private
+     */
+    _parseInstant: function(str) {
+        var dateHash = this._parseDateHash(str);
+        var offset = dateHash[constants.TYPE_OFFSET];
+        var wallTime = getWallTimeOfDateHash(dateHash);
+
+        if (tui.util.isNumber(offset)) {
+            return new Date(wallTime - (offset * MILLISECONDS_OF_MINUTE));
+        }
+
+        return dateUtil.fromWallTime(wallTime, this._timeZone);
+    },
+
+    /**
+     * Parse string to dateHash
+     * @param {string} str - Date string
+     * @returns {object} dateHash
+     * @private
+     */
+    _parseDateHash: function(str) {
         var dateHash = {
             year: 0,
             month: 1,
             date: 1,
             hour: 0,
-            minute: 0
+            minute: 0,
+            second: 0,
+            millisecond: 0
         };
-        var hasMeridiem = false;
         var isPM = false;
         var matched;
 
@@ -190,33 +680,83 @@ var DateTimeFormatter = tui.util.defineClass(/** @lends DateTimeFormatter.protot
         tui.util.forEach(this._keyOrder, function(name, index) {
             var value = matched[index + 1];
 
-            if (name === constants.TYPE_MERIDIEM && /[ap]m/i.test(value)) {
-                hasMeridiem = true;
-                isPM = /pm/i.test(value);
+            if (name === constants.TYPE_MERIDIEM) {
+                isPM = this._isPM(value);
             } else {
-                value = Number(value);
+                dateHash[name] = this._getMatchedNumber(name, value); // The day of the week is not used
+            }
+        }, this);
 
-                if (value !== 0 && !value) {
-                    throw Error('DateTimeFormatter: Unknown value - ' + matched[index + 1]);
-                }
+        dateHash.hour = this._get24Hour(dateHash.hour, isPM);
 
-                if (name === constants.TYPE_YEAR && value < 100) {
-                    value += 2000;
-                }
+        if (!isValidDateOfMonth(dateHash)) {
+            throw Error('DateTimeFormatter: Invalid date - "' + str + '"');
+        }
 
-                dateHash[name] = value;
-            }
-        });
+        return dateHash;
+    },
 
-        if (hasMeridiem) {
-            isPM = isPM || dateHash.hour > 12;
-            dateHash.hour %= 12;
-            if (isPM) {
-                dateHash.hour += 12;
-            }
+    /**
+     * Returns the hour (0 ~ 23) of a parsed hour.
+     * The meridiem is applied to the 12-hour keys ('h', 'K') only.
+     * @param {number} hour - Parsed hour
+     * @param {boolean} isPM - Whether the parsed meridiem is PM
+     * @returns {number}
+     * @private
+     */
+    _get24Hour: function(hour, isPM) {
+        var hourKey = (this._hourKey || '').charAt(0);
+
+        if (hourKey === 'k') {
+            return hour % 24;
+        }
+        if (hourKey === 'h' || hourKey === 'K') {
+            return (isPM ? 12 : 0) + (hour % 12);
         }
 
-        return new Date(dateHash.year, dateHash.month - 1, dateHash.date, dateHash.hour, dateHash.minute);
+        return hour;
+    },
+
+    /**
+     * Create a date from the dateHash
+     * - The first month of the quarter is used if the dateHash has a quarter without a month.
+     * - The monday of the ISO week is created if the dateHash has a week number.
+     * - The time is UTC time shifted by the offset if the dateHash has an offset.
+     *   It is converted to the wall-clock time of the time zone.
+     * @param {object} dateHash - Parsed values
+     * @returns {Date}
+     * @private
+     */
+    _createDate: function(dateHash) {
+        var quarter = dateHash[constants.TYPE_QUARTER];
+        var offset = dateHash[constants.TYPE_OFFSET];
+        var hasMonth = tui.util.inArray(constants.TYPE_MONTH, this._keyOrder) > -1;
+        var weekDate;
+
+        if (quarter && !hasMonth) {
+            dateHash.month = ((quarter - 1) * 3) + 1;
+        }
+
+        if (dateHash[constants.TYPE_WEEK]) {
+            weekDate = dateUtil.getDateOfWeekNumber(
+                dateHash[constants.TYPE_WEEK_YEAR] || dateHash.year,
+                dateHash[constants.TYPE_WEEK]
+            );
+            weekDate.setHours(dateHash.hour, dateHash.minute, dateHash.second, dateHash.millisecond);
+
+            return weekDate;
+        }
+
+        if (tui.util.isNumber(offset)) {
+            return dateUtil.toZonedDate(
+                getWallTimeOfDateHash(dateHash) - (offset * MILLISECONDS_OF_MINUTE), this._timeZone
+            );
+        }
+
+        return new Date(
+            dateHash.year, dateHash.month - 1, dateHash.date,
+            dateHash.hour, dateHash.minute, dateHash.second, dateHash.millisecond
+        );
     },
 
     /**
@@ -229,41 +769,89 @@ var DateTimeFormatter = tui.util.defineClass(/** @lends DateTimeFormatter.protot
 
     /**
      * Format date to string
-     * @param {Date} dateObj - Date object
+     * @param {Date} dateObj - Date object having the wall-clock time of the time zone
      * @returns {string}
      */
     format: function(dateObj) {
-        var year = dateObj.getFullYear();
-        var month = dateObj.getMonth() + 1;
-        var dayInMonth = dateObj.getDate();
-        var day = dateObj.getDay();
-        var hour = dateObj.getHours();
-        var minute = dateObj.getMinutes();
-        var meridiem = 'a'; // Default value for unusing meridiem format
-        var replaceMap;
-
-        if (tui.util.inArray(constants.TYPE_MERIDIEM, this._keyOrder) > -1) {
-            meridiem = hour >= 12 ? 'pm' : 'am';
-            hour = dateUtil.getMeridiemHour(hour);
-        }
+        var offset = dateUtil.getTimeZoneOffset(dateUtil.fromZonedDate(dateObj, this._timeZone), this._timeZone);
+
+        return this._formatWallTime(dateUtil.toWallTime(dateObj), offset);
+    },
+
+    /**
+     * Format an instant to the string of the wall-clock time of the time zone
+     * - Unlike format(), the wall-clock time in the DST gap of the browser's time zone is not shifted.
+     * @param {Date|number} date - Instant
+     * @returns {string}
+     */
+    formatInstant: function(date) {
+        var time = new Date(date).getTime();
+
+        return this._formatWallTime(
+            dateUtil.toWallTime(time, this._timeZone),
+            dateUtil.getTimeZoneOffset(time, this._timeZone)
+        );
+    },
+
+    /**
+     * Format a wall-clock time to string
+     * @param {number} wallTime - UTC timestamp having the fields of the wall-clock time
+     * @param {number} offset - Offset of the time zone from UTC in minutes
+     * @returns {string}
+     * @private
+     */
+    _formatWallTime: function(wallTime, offset) {
+        var wallDate = new Date(wallTime);
+        var year = wallDate.getUTCFullYear();
+        var month = wallDate.getUTCMonth() + 1;
+        var dayInMonth = wallDate.getUTCDate();
+        var day = wallDate.getUTCDay();
+        var hour = wallDate.getUTCHours();
+        var minute = wallDate.getUTCMinutes();
+        var second = wallDate.getUTCSeconds();
+        var millisecond = wallDate.getUTCMilliseconds();
+        var meridiemHour = dateUtil.getMeridiemHour(hour);
+        var meridiem = this._meridiemTitles[hour >= 12 ? 1 : 0];
+        var localDate = new Date(year, month - 1, dayInMonth);
+        var weekYear, weekNumber, replaceMap;
+
+        localDate.setFullYear(year); // The years below 100 are not 19xx
+        weekYear = dateUtil.getWeekYear(localDate);
+        weekNumber = dateUtil.getWeekNumber(localDate);
 
         replaceMap = {
+            GGGG: weekYear,
+            GG: String(weekYear).substr(2, 2),
+            WW: dateUtil.prependLeadingZero(weekNumber),
+            W: weekNumber,
             yyyy: year,
             yy: String(year).substr(2, 2),
             M: month,
             MM: dateUtil.prependLeadingZero(month),
             MMM: this._titles.MMM[month - 1],
             MMMM: this._titles.MMMM[month - 1],
+            Q: Math.ceil(month / 3),
             d: dayInMonth,
             dd: dateUtil.prependLeadingZero(dayInMonth),
             D: this._titles.D[day],
             DD: this._titles.DD[day],
-            hh: dateUtil.prependLeadingZero(hour),
-            h: hour,
+            HH: dateUtil.prependLeadingZero(hour),
+            H: hour,
+            hh: dateUtil.prependLeadingZero(meridiemHour),
+            h: meridiemHour,
+            kk: dateUtil.prependLeadingZero(hour || 24),
+            k: hour || 24,
+            KK: dateUtil.prependLeadingZero(hour % 12),
+            K: hour % 12,
             mm: dateUtil.prependLeadingZero(minute),
             m: minute,
-            A: meridiem.toUpperCase(),
-            a: meridiem
+            ss: dateUtil.prependLeadingZero(second),
+            SSS: ('00' + millisecond).slice(-3),
+            Z: formatOffset(offset, ':'),
+            ZZ: formatOffset(offset, ''),
+            XXX: offset ? formatOffset(offset, ':') : 'Z',
+            A: meridiem,
+            a: meridiem.toLowerCase()
         };
 
         return this._rawStr.replace(rFormableKeys, function(key) {
@@ -271,7 +859,19 @@ var DateTimeFormatter = tui.util.defineClass(/** @lends DateTimeFormatter.protot
                 return key.substr(1);
             }
 
-            return replaceMap[key] || replaceMap[key.toLowerCase()] || '';
+            if (key[0] === '[') {
+                return key.slice(1, -1);
+            }
+
+            if (!normalizeKey(key)) {
+                return key;
+            }
+
+            if (!replaceMap.hasOwnProperty(key)) {
+                key = key.toLowerCase();
+            }
+
+            return replaceMap.hasOwnProperty(key) ? replaceMap[key] : '';
         });
     }
 });
@@ -5,6 +5,65 @@
  */
 'use strict';
 
+var constants = require('./constants');
+
+var MILLISECONDS_OF_DAY = 86400000;
+var MILLISECONDS_OF_MINUTE = 60000;
+
+// Intl.DateTimeFormat instances by time zone
+var zoneFormatters = {};
+
+/**
+ * Returns the formatter of the wall-clock time of a time zone
+ * @ignore
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat}
+ */
+var getZoneFormatter = function(timeZone) {
+    if (!zoneFormatters[timeZone]) {
+        zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hour12: false,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    return zoneFormatters[timeZone];
+};
+
+/**
+ * Returns the UTC timestamp having the same fields with the local time of a date
+ * @ignore
+ * @param {Date} date - Date
+ * @returns {number}
+ */
+var getWallTime = function(date) {
+    return Date.UTC(
+        date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()
+    );
+};
+
+/**
+ * Returns the date whose local time has the same fields with the UTC time of a timestamp
+ * @ignore
+ * @param {number} wallTime - UTC timestamp
+ * @returns {Date}
+ */
+var getLocalDate = function(wallTime) {
+    var date = new Date(wallTime);
+
+    return new Date(
+        date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+    );
+};
+
 /**
  * Utils of calendar
  * @namespace dateUtil
@@ -15,15 +74,30 @@ var utils = {
      * Get weeks count by paramenter
      * @param {number} year A year
      * @param {number} month A month
+     * @param {number} [firstDayOfWeek = 0] - First day of the week (0: sunday, 1: monday, ....)
      * @returns {number} Weeks count (4~6)
      **/
-    getWeeksCount: function(year, month) {
-        var firstDay = this.getFirstDay(year, month),
+    getWeeksCount: function(year, month, firstDayOfWeek) {
+        var firstDay = this.getDayIndexInWeek(this.getFirstDay(year, month), firstDayOfWeek),
             lastDate = this.getLastDayInMonth(year, month);
 
         return Math.ceil((firstDay + lastDate) / 7);
     },
 
+    /**
+     * Returns the index of the day in the week starting from the first day of the week
+     * @param {number} day - Day (0: sunday, 1: monday, ....)
+     * @param {number} [firstDayOfWeek = 0] - First day of the week
+     * @returns {number} (0~6)
+     * @example
+     *  dateUtil.getDayIndexInWeek(0, 1); // 6 - sunday is the last day in a monday-first week
+     */
+    getDayIndexInWeek: function(day, firstDayOfWeek) {
+        firstDayOfWeek = firstDayOfWeek || 0;
+
+        return (day - firstDayOfWeek + 7) % 7;
+    },
+
     /**
      * @param {Date} date - Date instance
      * @returns {boolean}
@@ -32,6 +106,125 @@ var utils = {
         return !isNaN(date.getTime());
     },
 
+    /**
+     * Whether the browser supports a time zone
+     * @param {string} timeZone - IANA time zone name. ex) 'America/New_York'
+     * @returns {boolean}
+     */
+    isValidTimeZone: function(timeZone) {
+        if (typeof Intl === 'undefined' || !Intl.DateTimeFormat || !Intl.DateTimeFormat.prototype.formatToParts) {
+            return false;
+        }
+
+        try {
+            getZoneFormatter(timeZone);
+        } catch (e) { // RangeError for an unknown time zone
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Returns the wall-clock time of a time zone at an instant as the UTC timestamp having the same fields
+     * - Unlike the local time of a date, the UTC fields are not shifted in the DST gap of the browser's time zone.
+     * @param {Date|number} date - Instant
+     * @param {?string} [timeZone] - IANA time zone name. The local time zone if not given
+     * @returns {number}
+     * @example
+     *  // 2017-03-11T17:30:00Z
+     *  dateUtil.toWallTime(date, 'Asia/Seoul'); // Date.UTC(2017, 2, 12, 2, 30)
+     */
+    toWallTime: function(date, timeZone) {
+        var time = new Date(date).getTime();
+        var fields = {};
+
+        if (!timeZone) {
+            return getWallTime(new Date(time));
+        }
+
+        tui.util.forEach(getZoneFormatter(timeZone).formatToParts(time), function(part) {
+            fields[part.type] = Number(part.value);
+        });
+
+        return Date.UTC(
+            fields.year, fields.month - 1, fields.day,
+            fields.hour % 24, fields.minute, fields.second, ((time % 1000) + 1000) % 1000
+        );
+    },
+
+    /**
+     * Returns the instant of the wall-clock time of a time zone
+     * @param {number} wallTime - UTC timestamp having the fields of the wall-clock time
+     * @param {?string} [timeZone] - IANA time zone name. The local time zone if not given
+     * @returns {Date}
+     * @example
+     *  dateUtil.fromWallTime(Date.UTC(2017, 2, 12, 2, 30), 'Asia/Seoul'); // 2017-03-11T17:30:00Z
+     */
+    fromWallTime: function(wallTime, timeZone) {
+        var time;
+
+        if (!timeZone) {
+            return getLocalDate(wallTime);
+        }
+
+        time = wallTime - (this.getTimeZoneOffset(wallTime, timeZone) * MILLISECONDS_OF_MINUTE);
+
+        // The offset at the instant differs from the guess around the DST transitions
+        return new Date(wallTime - (this.getTimeZoneOffset(time, timeZone) * MILLISECONDS_OF_MINUTE));
+    },
+
+    /**
+     * Returns the date whose local time is the wall-clock time of a time zone at an instant
+     * - A wall-clock time in the DST gap of the browser's time zone can not be the local time.
+     *   Use toWallTime() to keep it.
+     * @param {Date|number} date - Instant
+     * @param {?string} [timeZone] - IANA time zone name. The local time zone if not given
+     * @returns {Date}
+     * @example
+     *  // 2017-03-15T13:30:00Z
+     *  dateUtil.toZonedDate(date, 'America/New_York'); // new Date(2017, 2, 15, 9, 30)
+     */
+    toZonedDate: function(date, timeZone) {
+        var time = new Date(date).getTime();
+
+        if (!timeZone) {
+            return new Date(time);
+        }
+
+        return getLocalDate(this.toWallTime(time, timeZone));
+    },
+
+    /**
+     * Returns the instant of a date whose local time is the wall-clock time of a time zone
+     * @param {Date} zonedDate - Date having the wall-clock time
+     * @param {?string} [timeZone] - IANA time zone name. The local time zone if not given
+     * @returns {Date}
+     */
+    fromZonedDate: function(zonedDate, timeZone) {
+        if (!timeZone) {
+            return new Date(zonedDate);
+        }
+
+        return this.fromWallTime(getWallTime(zonedDate), timeZone);
+    },
+
+    /**
+     * Returns the offset of a time zone from UTC at an instant
+     * @param {Date|number} date - Instant
+     * @param {?string} [timeZone] - IANA time zone name. The local time zone if not given
+     * @returns {number} Offset in minutes. ex) 540 for '+09:00'
+     */
+    getTimeZoneOffset: function(date, timeZone) {
+        var time = new Date(date).getTime();
+
+        if (!timeZone) {
+            return -new Date(time).getTimezoneOffset();
+        }
+
+        return Math.round((this.toWallTime(time, timeZone) - time) / MILLISECONDS_OF_MINUTE);
+    },
+
     /**
      * Get which day is first by parameters that include year and month information.
      * @param {number} year A year
@@ -104,21 +297,143 @@ var utils = {
         return Number(any);
     },
 
+    /**
+     * Returns the first and the last years on a calendar layer of the date
+     * @param {Date} date - Date on the layer
+     * @param {string} type - Calendar layer type
+     * @returns {{start: number, end: number}}
+     * @example
+     *  dateUtil.getYearRangeOfLayer(new Date(2017, 0), 'year'); // {start: 2013, end: 2021}
+     *  dateUtil.getYearRangeOfLayer(new Date(2017, 0), 'decade'); // {start: 2010, end: 2019}
+     *  dateUtil.getYearRangeOfLayer(new Date(2017, 0), 'century'); // {start: 2000, end: 2099}
+     */
+    getYearRangeOfLayer: function(date, type) {
+        var year = date.getFullYear();
+        var span;
+
+        switch (type) {
+            case constants.TYPE_YEAR:
+                return {
+                    start: year - 4,
+                    end: year + 4
+                };
+            case constants.TYPE_DECADE:
+                span = 10;
+                break;
+            case constants.TYPE_CENTURY:
+                span = 100;
+                break;
+            default:
+                return {
+                    start: year,
+                    end: year
+                };
+        }
+        year = Math.floor(year / span) * span;
+
+        return {
+            start: year,
+            end: year + span - 1
+        };
+    },
+
     /**
      * Return date of the week
      * @param {number} year - Year
      * @param {number} month - Month
      * @param {number} weekNumber - Week number (0~5)
      * @param {number} dayNumber - Day number (0: sunday, 1: monday, ....)
+     * @param {number} [firstDayOfWeek = 0] - First day of the week (0: sunday, 1: monday, ....)
      * @returns {number}
      */
-    getDateOfWeek: function(year, month, weekNumber, dayNumber) {
-        var firstDayOfMonth = new Date(year, month - 1).getDay();
-        var dateOffset = firstDayOfMonth - dayNumber - 1;
+    getDateOfWeek: function(year, month, weekNumber, dayNumber, firstDayOfWeek) {
+        var firstDayOfMonth = utils.getDayIndexInWeek(new Date(year, month - 1).getDay(), firstDayOfWeek);
+        var dateOffset = firstDayOfMonth - utils.getDayIndexInWeek(dayNumber, firstDayOfWeek) - 1;
 
         return new Date(year, month - 1, (weekNumber * 7) - dateOffset);
     },
 
+    /**
+     * Returns the first date of the week containing the date (The time is kept.)
+     * @param {Date} date - Date
+     * @param {number} [firstDayOfWeek = 1] - First day of the week (0: sunday, 1: monday, ....)
+     * @returns {Date}
+     */
+    getStartOfWeek: function(date, firstDayOfWeek) {
+        var start = new Date(date);
+
+        firstDayOfWeek = this.getSafeNumber(firstDayOfWeek, 1);
+        start.setDate(start.getDate() - ((start.getDay() - firstDayOfWeek + 7) % 7));
+
+        return start;
+    },
+
+    /**
+     * Returns the middle date (4th date) of the week containing the date.<br>
+     * The week belongs to the year of this date. (ISO 8601 - The week containing thursday)
+     * @param {Date} date - Date
+     * @param {number} [firstDayOfWeek = 1] - First day of the week (0: sunday, 1: monday, ....)
+     * @returns {Date}
+     * @private
+     */
+    _getMiddleOfWeek: function(date, firstDayOfWeek) {
+        var middle = this.getStartOfWeek(date, firstDayOfWeek);
+
+        middle.setHours(0, 0, 0, 0);
+        middle.setDate(middle.getDate() + 3);
+
+        return middle;
+    },
+
+    /**
+     * Returns the week number of the date
+     * - ISO 8601 week number if the first day of the week is monday (default)
+     * @param {Date} date - Date
+     * @param {number} [firstDayOfWeek = 1] - First day of the week (0: sunday, 1: monday, ....)
+     * @returns {number} (1~53)
+     * @example
+     *  dateUtil.getWeekNumber(new Date(2017, 0, 1)); // 52 (2016-W52)
+     *  dateUtil.getWeekNumber(new Date(2017, 0, 2)); // 1 (2017-W01)
+     */
+    getWeekNumber: function(date, firstDayOfWeek) {
+        var middle = this._getMiddleOfWeek(date, firstDayOfWeek);
+        var firstDateOfYear = new Date(middle.getFullYear(), 0, 1);
+        var dayOfYear = Math.round((middle - firstDateOfYear) / MILLISECONDS_OF_DAY);
+
+        return Math.floor(dayOfYear / 7) + 1;
+    },
+
+    /**
+     * Returns the week-numbering year of the date
+     * - ISO 8601 week-numbering year if the first day of the week is monday (default)
+     * @param {Date} date - Date
+     * @param {number} [firstDayOfWeek = 1] - First day of the week (0: sunday, 1: monday, ....)
+     * @returns {number}
+     * @example
+     *  dateUtil.getWeekYear(new Date(2017, 0, 1)); // 2016
+     */
+    getWeekYear: function(date, firstDayOfWeek) {
+        return this._getMiddleOfWeek(date, firstDayOfWeek).getFullYear();
+    },
+
+    /**
+     * Returns the first date of the week from the week-numbering year and the week number
+     * @param {number} weekYear - Week-numbering year
+     * @param {number} weekNumber - Week number (1~53)
+     * @param {number} [firstDayOfWeek = 1] - First day of the week (0: sunday, 1: monday, ....)
+     * @returns {Date}
+     * @example
+     *  dateUtil.getDateOfWeekNumber(2017, 1); // new Date(2017, 0, 2)
+     */
+    getDateOfWeekNumber: function(weekYear, weekNumber, firstDayOfWeek) {
+        // The first week always contains the 4th of January.
+        var start = this.getStartOfWeek(new Date(weekYear, 0, 4), firstDayOfWeek);
+
+        start.setDate(start.getDate() + ((weekNumber - 1) * 7));
+
+        return start;
+    },
+
     /**
      * Returns range arr
      * @param {number} start - Start value
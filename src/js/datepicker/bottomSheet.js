@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Bottom sheet presenting the datepicker element on narrow screens
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var setTouchClickEvent = require('../setTouchClickEvent');
+var tmpl = require('../../template/datepicker/sheet.hbs');
+
+var util = tui.util;
+
+var MODE_SHEET = 'sheet';
+var MODE_AUTO = 'auto';
+var DEFAULT_BREAKPOINT = 640;
+var SWIPE_THRESHOLD = 80;
+
+var CLASS_NAME_SHEET = 'tui-is-sheet';
+var CLASS_NAME_SHEET_OPEN = 'tui-datepicker-sheet-open';
+
+var SELECTOR_PANEL = '.tui-datepicker-sheet-panel';
+var SELECTOR_BODY = '.tui-datepicker-sheet-body';
+var SELECTOR_BACKDROP = '.tui-datepicker-sheet-backdrop';
+var SELECTOR_DONE = '.tui-datepicker-sheet-done';
+var SELECTOR_CANCEL = '.tui-datepicker-sheet-cancel';
+
+var PLACEHOLDER_HTML = '<span class="tui-datepicker-placeholder" style="display: none;"></span>';
+
+/**
+ * Returns the vertical position of the changed touch
+ * @ignore
+ * @param {jQuery.Event} ev - Touch event
+ * @returns {?number}
+ */
+var getTouchY = function(ev) {
+    var touches = (ev.originalEvent || ev).changedTouches;
+
+    return (touches && touches.length) ? touches[0].clientY : null;
+};
+
+/**
+ * Bottom sheet
+ * - The content is moved into the sheet while shown, and moved back to the original position on hiding.
+ * - Swiping the panel down at the top of its scroll, tapping the backdrop and the cancel button
+ *   fire 'cancel' custom event.
+ * @ignore
+ * @class
+ * @param {object} [option] - Option
+ * @param {string} [option.mode = 'auto'] - 'auto' to be shown below the breakpoint, or 'sheet' to be shown always
+ * @param {number} [option.breakpoint = 640] - Maximum width (px, exclusive) of the viewport to show the sheet
+ * @param {object} option.localeText - Locale text having the labels of the buttons (done, cancel)
+ */
+var BottomSheet = util.defineClass(/** @lends BottomSheet.prototype */{
+    init: function(option) {
+        option = util.extend({
+            mode: MODE_AUTO,
+            breakpoint: DEFAULT_BREAKPOINT
+        }, option);
+
+        /**
+         * Whether to be shown always, or below the breakpoint
+         * @type {string}
+         * @private
+         */
+        this._mode = option.mode;
+
+        /**
+         * Maximum width of the viewport to show the sheet
+         * @type {number}
+         * @private
+         */
+        this._breakpoint = option.breakpoint;
+
+        /**
+         * Event namespace
+         * @type {string}
+         * @private
+         */
+        this._id = 'datepicker-sheet' + util.stamp(this);
+
+        /**
+         * Sheet element
+         * @type {jQuery}
+         * @private
+         */
+        this._$sheet = $(tmpl(option)).appendTo(document.body);
+
+        /**
+         * Panel element sliding up from the bottom
+         * @type {jQuery}
+         * @private
+         */
+        this._$panel = this._$sheet.find(SELECTOR_PANEL);
+
+        /**
+         * Content element while shown
+         * @type {?jQuery}
+         * @private
+         */
+        this._$content = null;
+
+        /**
+         * Placeholder at the original position of the content while shown
+         * @type {?jQuery}
+         * @private
+         */
+        this._$placeholder = null;
+
+        /**
+         * Vertical position where the swipe started
+         * @type {?number}
+         * @private
+         */
+        this._touchStartY = null;
+
+        this._setEvents();
+    },
+
+    /**
+     * Set events of the buttons, the backdrop and the swipe
+     * @private
+     */
+    _setEvents: function() {
+        var namespace = '.' + this._id;
+
+        setTouchClickEvent(this._$sheet, $.proxy(this.fire, this, 'done'), {
+            selector: SELECTOR_DONE,
+            namespace: this._id
+        });
+        setTouchClickEvent(this._$sheet, $.proxy(this.fire, this, 'cancel'), {
+            selector: SELECTOR_CANCEL + ', ' + SELECTOR_BACKDROP,
+            namespace: this._id
+        });
+
+        this._$panel.on('touchstart' + namespace, $.proxy(this._onTouchstart, this))
+            .on('touchmove' + namespace, $.proxy(this._onTouchmove, this))
+            .on('touchend' + namespace + ' touchcancel' + namespace, $.proxy(this._onTouchend, this));
+    },
+
+    /**
+     * Touchstart event handler - Start a swipe
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onTouchstart: function(ev) {
+        this._touchStartY = getTouchY(ev);
+    },
+
+    /**
+     * Touchmove event handler - The panel follows the swipe down
+     * - While the panel is scrolled, the swipe is started again at the current position.
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onTouchmove: function(ev) {
+        var distance;
+
+        if (this._isPanelScrolled()) {
+            this._touchStartY = getTouchY(ev);
+        }
+        distance = this._getSwipeDistance(ev);
+
+        this._$panel.css('transform', distance > 0 ? 'translateY(' + distance + 'px)' : '');
+    },
+
+    /**
+     * Touchend event handler - Dismiss by a long swipe down
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onTouchend: function(ev) {
+        var distance = this._getSwipeDistance(ev);
+
+        this._touchStartY = null;
+        this._$panel.css('transform', '');
+
+        if (distance > SWIPE_THRESHOLD) {
+            /**
+             * @event BottomSheet#cancel
+             */
+            this.fire('cancel');
+        }
+    },
+
+    /**
+     * Returns the distance of the swipe down
+     * @param {jQuery.Event} ev - Touch event
+     * @returns {number} 0 while the panel is scrolled
+     * @private
+     */
+    _getSwipeDistance: function(ev) {
+        var touchY = getTouchY(ev);
+
+        if (this._touchStartY === null || touchY === null || this._isPanelScrolled()) {
+            return 0;
+        }
+
+        return touchY - this._touchStartY;
+    },
+
+    /**
+     * Returns whether the content of the panel is scrolled down
+     * @returns {boolean}
+     * @private
+     */
+    _isPanelScrolled: function() {
+        return this._$panel.scrollTop() > 0;
+    },
+
+    /**
+     * Returns whether the sheet should be shown on the current viewport
+     * @returns {boolean}
+     */
+    isActive: function() {
+        return this._mode === MODE_SHEET || (this._mode === MODE_AUTO && window.innerWidth < this._breakpoint);
+    },
+
+    /**
+     * Returns whether the sheet is shown
+     * @returns {boolean}
+     */
+    isShown: function() {
+        return !!this._$content;
+    },
+
+    /**
+     * Show the sheet having the content
+     * @param {jQuery} $content - Content element
+     */
+    show: function($content) {
+        if (this.isShown()) {
+            return;
+        }
+
+        this._$placeholder = $(PLACEHOLDER_HTML).insertBefore($content);
+        this._$content = $content.addClass(CLASS_NAME_SHEET).appendTo(this._$sheet.find(SELECTOR_BODY));
+        this._$sheet.show();
+        $(document.body).addClass(CLASS_NAME_SHEET_OPEN);
+        this._$panel.focus();
+    },
+
+    /**
+     * Hide the sheet and move the content back
+     */
+    hide: function() {
+        if (!this.isShown()) {
+            return;
+        }
+
+        this._$content.removeClass(CLASS_NAME_SHEET).insertBefore(this._$placeholder);
+        this._$placeholder.remove();
+        this._$content = this._$placeholder = null;
+        this._$sheet.hide();
+        $(document.body).removeClass(CLASS_NAME_SHEET_OPEN);
+    },
+
+    /**
+     * Set the labels of the buttons
+     * @param {object} localeText - Locale text having the labels (done, cancel)
+     */
+    setLocaleText: function(localeText) {
+        this._$sheet.find(SELECTOR_DONE).text(localeText.done);
+        this._$sheet.find(SELECTOR_CANCEL).text(localeText.cancel);
+    },
+
+    /**
+     * Destroy
+     */
+    destroy: function() {
+        this.hide();
+        this.off();
+        this._$sheet.remove();
+
+        this._$sheet
+            = this._$panel
+            = this._id
+            = null;
+    }
+});
+
+util.CustomEvents.mixin(BottomSheet);
+module.exports = BottomSheet;
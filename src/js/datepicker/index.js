@@ -9,17 +9,25 @@ var RangeModel = require('./rangeModel');
 var Timepicker = require('../timepicker');
 var constants = require('../constants');
 var localeTexts = require('../localeTexts');
+var locale = require('../locale');
 var dateUtil = require('../dateUtil');
 var setTouchClickEvent = require('../setTouchClickEvent');
 var tmpl = require('../../template/datepicker/index.hbs');
 var DatepickerInput = require('./input');
+var PopupPosition = require('./popupPosition');
+var BottomSheet = require('./bottomSheet');
+var DateTimeFormatter = require('../dateTimeFormatter');
 
 var util = tui.util;
 
 var DEFAULT_LANGUAGE_TYPE = constants.DEFAULT_LANGUAGE_TYPE;
 var TYPE_DATE = constants.TYPE_DATE;
 var TYPE_MONTH = constants.TYPE_MONTH;
+var TYPE_QUARTER = constants.TYPE_QUARTER;
 var TYPE_YEAR = constants.TYPE_YEAR;
+var TYPE_DECADE = constants.TYPE_DECADE;
+var TYPE_CENTURY = constants.TYPE_CENTURY;
+var TYPE_WEEK = constants.TYPE_WEEK;
 var CLASS_NAME_NEXT_YEAR_BTN = constants.CLASS_NAME_NEXT_YEAR_BTN;
 var CLASS_NAME_NEXT_MONTH_BTN = constants.CLASS_NAME_NEXT_MONTH_BTN;
 var CLASS_NAME_PREV_YEAR_BTN = constants.CLASS_NAME_PREV_YEAR_BTN;
@@ -29,12 +37,91 @@ var CLASS_NAME_SELECTABLE = 'tui-is-selectable';
 var CLASS_NAME_BLOCKED = 'tui-is-blocked';
 var CLASS_NAME_SELECTED = 'tui-is-selected';
 var CLASS_NAME_CHECKED = 'tui-is-checked';
+var CLASS_NAME_SELECTED_RANGE = 'tui-is-selected-range';
+var CLASS_NAME_SELECTED_START = 'tui-is-selected-start';
+var CLASS_NAME_SELECTED_END = 'tui-is-selected-end';
 var CLASS_NAME_SELECTOR_BUTTON = 'tui-datepicker-selector-button';
 var CLASS_NAME_TODAY = 'tui-calendar-today';
 
+var KEYCODE_ENTER = 13;
+var KEYCODE_ESCAPE = 27;
+
 var SELECTOR_BODY = '.tui-datepicker-body';
 var SELECTOR_FOOTER = '.tui-datepicker-footer';
 var SELECTOR_DATE_ICO = '.tui-ico-date';
+var SELECTOR_SELECTOR_TEXT = '.tui-datepicker-selector-text';
+var SELECTOR_APPLY = '.tui-datepicker-apply';
+var SELECTOR_CANCEL = '.tui-datepicker-cancel';
+
+var LIVE_REGION_HTML = '<div class="tui-datepicker-live-region" aria-live="polite" aria-atomic="true"></div>';
+
+// Locale text keys of the formats announcing a selected date
+var SELECTED_FORMAT_KEYS = {
+    date: 'selectedFormat',
+    week: 'selectedWeekFormat',
+    month: 'selectedMonthFormat',
+    quarter: 'selectedQuarterFormat',
+    year: 'selectedYearFormat'
+};
+
+// The decade calendar is the page of years above the month and quarter calendars
+var UPPER_CALENDAR_TYPES = {
+    date: TYPE_MONTH,
+    month: TYPE_DECADE,
+    quarter: TYPE_DECADE,
+    year: TYPE_DECADE,
+    decade: TYPE_CENTURY
+};
+var LOWER_CALENDAR_TYPES = {
+    century: TYPE_DECADE,
+    decade: TYPE_MONTH, // The decade calendar has years
+    year: TYPE_MONTH,
+    month: TYPE_DATE
+};
+var UNIT_TYPES = {
+    decade: TYPE_YEAR,
+    century: TYPE_DECADE
+};
+
+/**
+ * Returns the first month (0~11) of the quarter containing the date
+ * @ignore
+ * @param {Date} date - Date
+ * @returns {number}
+ */
+var getFirstMonthOfQuarter = function(date) {
+    return Math.floor(date.getMonth() / 3) * 3;
+};
+
+/**
+ * Returns the first year of the decade containing the date
+ * @ignore
+ * @param {Date} date - Date
+ * @returns {number}
+ */
+var getFirstYearOfDecade = function(date) {
+    return Math.floor(date.getFullYear() / 10) * 10;
+};
+
+/**
+ * Returns the key comparing selections
+ * @ignore
+ * @param {{date: ?Date, dates: Array.<Date>, instant: ?number}} selection - Selected date, dates and instant
+ * @returns {string}
+ */
+var getSelectionKey = function(selection) {
+    return util.map(selection.dates.concat(selection.date || [], selection.instant || []), Number).join();
+};
+
+/**
+ * Returns whether a value is a valid date instance or timestamp
+ * @ignore
+ * @param {*} date - Value
+ * @returns {boolean}
+ */
+var isValidDateValue = function(date) {
+    return (util.isNumber(date) || util.isDate(date)) && dateUtil.isValidDate(new Date(date));
+};
 
 /**
  * Merge default option
@@ -56,10 +143,17 @@ var mergeDefaultOption = function(option) {
         type: TYPE_DATE,
         selectableRanges: [[constants.MIN_DATE, constants.MAX_DATE]],
         openers: [],
-        autoClose: true
+        autoClose: true,
+        multiple: false,
+        maxCount: null,
+        timeZone: null,
+        validation: false,
+        position: null,
+        presentation: null,
+        confirm: false
     }, option);
 
-    option.localeText = localeTexts[option.language];
+    option.localeText = locale.getLocaleText(option.language);
     if (!util.isObject(option.calendar)) {
         throw new Error('Calendar option must be an object');
     }
@@ -69,10 +163,14 @@ var mergeDefaultOption = function(option) {
     if (!util.isArray(option.selectableRanges)) {
         throw new Error('Selectable-ranges must be a 2d-array');
     }
+    if (option.timeZone && !dateUtil.isValidTimeZone(option.timeZone)) {
+        throw new Error('Unsupported time zone: ' + option.timeZone);
+    }
 
     // override calendar option
     option.calendar.language = option.language;
-    option.calendar.type = option.type;
+    option.calendar.timeZone = option.timeZone;
+    option.calendar.type = (option.type === TYPE_WEEK) ? TYPE_DATE : option.type;
 
     return option;
 };
@@ -81,19 +179,50 @@ var mergeDefaultOption = function(option) {
  * @Class
  * @param {HTMLElement|jQuery|string} container - Container element of datepicker
  * @param {Object} [option] - Options
- *      @param {Date|number} [option.date] - Initial date. Default - null for no initial date
- *      @param {string} [option.type = 'date'] - Datepicker type - ('date' | 'month' | 'year')
- *      @param {string} [option.language='en'] - Language key
+ *      @param {Date|number|Array.<Date|number>} [option.date] - Initial date (or dates in 'multiple' mode).
+ *                                                                Default - null for no initial date
+ *      @param {string} [option.type = 'date'] - Datepicker type - ('date' | 'week' | 'month' | 'quarter' | 'year')
+ *      @param {string} [option.language='en'] - Language key or BCP 47 tag - {@link Datepicker.localeTexts}
  *      @param {object|boolean} [option.timePicker] - {@link Timepicker} option
  *      @param {object} [option.calendar] - {@link Calendar} option
  *      @param {object} [option.input] - Input option
  *      @param {HTMLElement|string|jQuery} [option.input.element] - Input element
  *      @param {string} [option.intput.format = 'yyyy-mm-dd'] - Date string format
+ *                                                            - Keys and escaping - {@link Datepicker#setDateFormat}
+ *      @param {string} [option.input.separator = ', '] - Separator of date strings in 'multiple' mode
+ *      @param {boolean} [option.input.mask = false] - Guide the typing by the format (not in 'multiple' mode)
+ *                                                   - Separators are inserted and invalid digits are ignored.
+ *                                                   - The arrow up/down keys change the field at the caret.
  *      @param {Array.<Array.<Date|number>>} [options.selectableRanges = 1900/1/1 ~ 2999/12/31]
  *                                                                      - Selectable date ranges.
  *      @param {Array} [option.openers = []] - Opener button list (example - icon, button, etc.)
  *      @param {boolean} [option.showAlways = false] - Whether the datepicker shows always
  *      @param {boolean} [option.autoClose = true] - Close after click a date
+ *      @param {boolean} [option.multiple = false] - Toggle clicked dates in and out of a set of dates
+ *      @param {number} [option.maxCount] - Maximum count of dates in 'multiple' mode. Default - no limit
+ *      @param {string} [option.timeZone] - IANA time zone name. ex) 'America/New_York'
+ *                                          The calendar, timepicker and input show the wall-clock time of the zone.
+ *                                          Default - The local time zone
+ *      @param {boolean} [option.validation = false] - Keep an invalid input text and show why it is invalid
+ *                                                      instead of rolling it back - {@link Datepicker#getValidity}
+ *      @param {boolean|object} [option.position] - Anchor the datepicker to the input or the opener on opening.
+ *                                                  Default - no positioning
+ *      @param {string} [option.position.placement = 'bottom-start'] - Preferred placement
+ *                                                  - ('top' | 'bottom' | 'left' | 'right') and ('-start' | '-end')
+ *      @param {boolean} [option.position.flip = true] - Flip to the opposite side and alignment on collisions
+ *      @param {boolean} [option.position.shift = true] - Shift along the side to stay in the viewport
+ *      @param {number} [option.position.offset = 4] - Gap px between the anchor and the datepicker
+ *      @param {boolean} [option.position.portal = false] - Move the datepicker element into document.body
+ *                                                          not to be clipped by 'overflow: hidden' ancestors
+ *      @param {HTMLElement|string|jQuery} [option.position.anchor] - Anchor element
+ *                                                                    Default - The input, or the first opener
+ *      @param {boolean|object} [option.presentation] - Present the datepicker in a modal bottom sheet
+ *                                                      having Done and Cancel buttons. Default - popover always
+ *      @param {string} [option.presentation.mode = 'auto'] - 'auto' to use the sheet below the breakpoint,
+ *                                                            or 'sheet' to use it always
+ *      @param {number} [option.presentation.breakpoint = 640] - Viewport width (px) to return to the popover
+ *      @param {boolean} [option.confirm = false] - Keep picked dates and times pending until the Apply button.
+ *                                                  Cancel, Escape and clicking outside revert them.
  * @tutorial datepicker-basic
  * @tutorial datepicker-inline
  * @tutorial datepicker-selectable-ranges
@@ -157,19 +286,97 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
          *             'July', 'August', 'September', 'October', 'November', 'December'
          *         ],
          *         // monthsShort
-         *         MMM: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+         *         MMM: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+         *         // (optional) meridiem
+         *         A: ['AM', 'PM']
          *     },
          *     titleFormat: 'MMM yyyy',
          *     todayFormat: 'D, MMMM dd, yyyy',
          *     date: 'Date',
-         *     time: 'Time'
+         *     time: 'Time',
+         *     done: 'Done', // (optional) Labels of the buttons of the bottom sheet. Default - labels of 'en'
+         *     cancel: 'Cancel',
+         *     apply: 'Apply', // (optional) Label of the apply button of the confirm mode. Default - label of 'en'
+         *     quarterFormat: '[Q]Q', // (optional) Format of the cells of the quarter calendar. Default - '[Q]Q'
+         *     firstDayOfWeek: 1, // (optional) monday
+         *     meridiemPosition: 'right', // (optional) 'left' to put the meridiem before the hour. Default - 'right'
+         *     navigationFormat: 'MMMM yyyy', // (optional) announced to screen readers. Default - titleFormat
+         *     // (optional) Formats announcing a selected date to screen readers. Default - formats of 'en'
+         *     selectedFormat: '[Selected] DD, MMMM d, yyyy',
+         *     selectedWeekFormat: '[Selected week] W, GGGG',
+         *     selectedMonthFormat: '[Selected] MMMM yyyy',
+         *     selectedQuarterFormat: '[Selected quarter] Q, yyyy',
+         *     selectedYearFormat: '[Selected] yyyy',
+         *     // (optional) Relative date expressions typed in the input. Default - expressions of 'en'
+         *     // ex) 'today', 'next friday', '+3d', '-2w', 'end of month'
+         *     relativeDates: {
+         *         today: 'today',
+         *         tomorrow: 'tomorrow',
+         *         yesterday: 'yesterday',
+         *         next: 'next', // or ['next', ...] for the inflected forms
+         *         last: 'last',
+         *         endOfMonth: 'end of month',
+         *         units: {
+         *             day: 'd',
+         *             week: 'w',
+         *             month: 'm',
+         *             year: 'y'
+         *         }
+         *     },
+         *     // (optional) Messages of an invalid input text in the validation mode. Default - messages of 'en'
+         *     validationMessages: {
+         *         invalid: 'Not a valid date',
+         *         beforeMin: 'Before the earliest allowed date',
+         *         afterMax: 'After the latest allowed date',
+         *         unselectable: 'Not an allowed date'
+         *     }
          * };
          *
          * var datepicker = new tui.component.Datepicker('#datepicker-container', {
          *     language: 'customKey'
          * });
          */
-        localeTexts: localeTexts
+        localeTexts: localeTexts,
+
+        /**
+         * Register locale texts of a language.
+         * Missing keys are inherited from the locale texts the language falls back to.
+         * ('en-GB' falls back to 'en', and an unknown language falls back to 'en'.)
+         * @function
+         * @memberof Datepicker
+         * @static
+         * @param {string} language - Language key or BCP 47 tag
+         * @param {object} localeText - Locale texts - {@link Datepicker.localeTexts}
+         * @returns {object} Registered locale texts
+         * @example
+         *
+         * tui.component.Datepicker.registerLocale('en-GB', {
+         *     titleFormat: 'MMMM yyyy',
+         *     todayFormat: 'To\\d\\ay: DD d MMMM yyyy',
+         *     firstDayOfWeek: 1
+         * });
+         *
+         * var datepicker = new tui.component.Datepicker('#datepicker-container', {
+         *     language: 'en-GB'
+         * });
+         */
+        registerLocale: locale.registerLocale,
+
+        /**
+         * Create locale texts of a language by the Intl API of the browser.
+         * The titles, meridiem, meridiemPosition, titleFormat, todayFormat and firstDayOfWeek are generated,
+         * and the other keys are from 'en'.
+         * A language which is not registered is generated automatically, if the browser supports it.
+         * @function
+         * @memberof Datepicker
+         * @static
+         * @param {string} tag - BCP 47 language tag
+         * @returns {?object} Locale texts - Null if the browser does not support the tag
+         * @example
+         *
+         * tui.component.Datepicker.registerLocale('myLang', tui.component.Datepicker.createLocaleText('sv-SE'));
+         */
+        createLocaleText: locale.createLocaleText
     },
     init: function(container, option) {
         option = mergeDefaultOption(option);
@@ -181,6 +388,13 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
          */
         this._language = option.language;
 
+        /**
+         * IANA time zone name - The local time zone if null
+         * @type {?string}
+         * @private
+         */
+        this._timeZone = option.timeZone;
+
         /**
          * Datepicker container
          * @type {jQuery}
@@ -195,6 +409,49 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
          */
         this._$element = $(tmpl(option)).appendTo(this._$container);
 
+        /**
+         * Live region announcing the selected date to screen readers
+         * - It is out of the datepicker element to be announced after closing.
+         * @type {jQuery}
+         * @private
+         */
+        this._$liveRegion = $(LIVE_REGION_HTML).appendTo(this._$container);
+
+        /**
+         * Popup position anchoring the datepicker element - null if not positioned
+         * @type {?PopupPosition}
+         * @private
+         */
+        this._popupPosition = null;
+
+        /**
+         * Bottom sheet presenting the datepicker element on narrow screens - null if not used
+         * @type {?BottomSheet}
+         * @private
+         */
+        this._bottomSheet = null;
+
+        /**
+         * Whether to keep picked dates pending until the apply
+         * @type {boolean}
+         * @private
+         */
+        this._useConfirm = !!option.confirm;
+
+        /**
+         * Selected date and dates restored by the cancel - Committed ones while pending in the confirm mode
+         * @type {?{date: ?Date, dates: Array.<Date>}}
+         * @private
+         */
+        this._revertState = null;
+
+        /**
+         * Whether the timepicker is being set by the datepicker, not by the user
+         * @type {boolean}
+         * @private
+         */
+        this._isSettingTime = false;
+
         /**
          * Calendar instance
          * @type {Calendar}
@@ -217,12 +474,56 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         this._datepickerInput = null;
 
         /**
-         * Object having date values
+         * Object having date values - The local time of it is the wall-clock time of the time zone
          * @type {Date}
          * @private
          */
         this._date = null;
 
+        /**
+         * Instant of the selected date in 'single' mode
+         * - The local time of the date can not be a wall-clock time in the DST gap of the browser's time zone,
+         *   so the instant is kept not to be shifted.
+         * @type {?number}
+         * @private
+         */
+        this._instant = null;
+
+        /**
+         * Selected dates (sorted) in 'multiple' mode
+         * @type {Array.<Date>}
+         * @private
+         */
+        this._dates = [];
+
+        /**
+         * Whether to select multiple dates
+         * @type {boolean}
+         * @private
+         */
+        this._isMultiple = !!option.multiple;
+
+        /**
+         * Maximum count of dates in 'multiple' mode
+         * @type {?number}
+         * @private
+         */
+        this._maxCount = option.maxCount;
+
+        /**
+         * Whether to keep an invalid input text showing the error message
+         * @type {boolean}
+         * @private
+         */
+        this._useValidation = !!option.validation;
+
+        /**
+         * Reason why the input text is invalid - The key of the validation messages
+         * @type {?('invalid'|'beforeMin'|'afterMax'|'unselectable')}
+         * @private
+         */
+        this._invalidReason = null;
+
         /**
          * Selectable date-ranges model
          * @type {RangeModel}
@@ -253,11 +554,28 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
 
         /**
          * Datepicker type
-         * @type {TYPE_DATE|TYPE_MONTH|TYPE_YEAR}
+         * @type {TYPE_DATE|TYPE_WEEK|TYPE_MONTH|TYPE_QUARTER|TYPE_YEAR}
          * @private
          */
         this._type = option.type;
 
+        /**
+         * Start and end dates to highlight on calendar
+         * @type {{start: ?Date, end: ?Date}}
+         * @private
+         */
+        this._highlightRange = {
+            start: null,
+            end: null
+        };
+
+        /**
+         * Hovered date for previewing a pending range
+         * @type {?Date}
+         * @private
+         */
+        this._hoveredDate = null;
+
         /**
          * Show always or not
          * @type {boolean}
@@ -282,18 +600,30 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         this.setRanges(option.selectableRanges);
         this._setEvents(option);
         this._initTimepicker(option.timepicker);
+        this._initPopupPosition(option.position);
+        this._initBottomSheet(option.presentation);
         this.setInput(option.input.element);
         this.setDateFormat(option.input.format);
-        this.setDate(option.date);
+        this._datepickerInput.setSeparator(option.input.separator);
+        this._datepickerInput.setMask(option.input.mask && !this._isMultiple);
+        if (this._isMultiple && util.isArray(option.date)) {
+            this.setDates(option.date);
+        } else {
+            this.setDate(option.date);
+        }
+        this._$liveRegion.empty(); // Not to announce the initial date
 
         util.forEach(option.openers, this.addOpener, this);
         if (!this.showAlways) {
             this._$element.hide();
         }
 
-        if (this.getType() === TYPE_DATE) {
+        if (this._getLowestCalendarType() === TYPE_DATE) {
             this._$element.find(SELECTOR_BODY).addClass('tui-datepicker-type-date');
         }
+        if (this.getType() === TYPE_WEEK) {
+            this._$element.find(SELECTOR_BODY).addClass('tui-datepicker-type-week');
+        }
     },
 
     /**
@@ -312,6 +642,17 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
             namespace: this._id
         });
 
+        if (option.confirm) {
+            setTouchClickEvent(this._$element, $.proxy(this._apply, this), {
+                selector: SELECTOR_APPLY,
+                namespace: this._id
+            });
+            setTouchClickEvent(this._$element, $.proxy(this._cancel, this), {
+                selector: SELECTOR_CANCEL,
+                namespace: this._id
+            });
+        }
+
         if (option.timepicker && option.timepicker.layoutType === 'tab') {
             setTouchClickEvent(this._$element, $.proxy(this._onClickSelectorButton, this), {
                 selector: '.' + CLASS_NAME_SELECTOR_BUTTON,
@@ -319,9 +660,47 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
             });
         }
 
+        this._$element.on('mouseover.' + this._id, '.' + CLASS_NAME_SELECTABLE, $.proxy(this._onMouseoverDate, this))
+            .on('mouseleave.' + this._id, $.proxy(this._onMouseleaveElement, this))
+            .on('keydown.' + this._id, $.proxy(this._onKeydownElement, this));
+
         this._calendar.on('draw', this._onDrawCalendar, this);
     },
 
+    /**
+     * keydownHandler - datepicker element
+     * - Enter selects the focused date and Escape closes the datepicker.
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onKeydownElement: function(ev) {
+        var keyCode = ev.which || ev.keyCode;
+
+        if (keyCode === KEYCODE_ENTER && $(ev.target).hasClass(CLASS_NAME_SELECTABLE)) {
+            ev.preventDefault();
+            this._onClickDate(ev);
+        } else if (keyCode === KEYCODE_ESCAPE && !this.showAlways) {
+            this._cancelOrClose();
+        }
+
+        if (!this.isOpened() && this._datepickerInput) {
+            this._datepickerInput.focus();
+        }
+    },
+
+    /**
+     * keydownHandler - input element
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onKeydownInput: function(ev) {
+        var keyCode = ev.which || ev.keyCode;
+
+        if (keyCode === KEYCODE_ESCAPE && !this.showAlways && this.isOpened()) {
+            this._cancelOrClose();
+        }
+    },
+
     /**
      * Off datepicker's events
      * @param {string|jQuery|Element} el - Element
@@ -331,6 +710,38 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         $(el).off('.' + this._id);
     },
 
+    /**
+     * Set PopupPosition instance
+     * @param {object|boolean} opPosition - PopupPosition option
+     * @private
+     */
+    _initPopupPosition: function(opPosition) {
+        if (!opPosition) {
+            return;
+        }
+
+        this._popupPosition = new PopupPosition(this._$element, util.isObject(opPosition) ? opPosition : {});
+    },
+
+    /**
+     * Set BottomSheet instance
+     * @param {object|boolean} opPresentation - BottomSheet option
+     * @private
+     */
+    _initBottomSheet: function(opPresentation) {
+        if (!opPresentation) {
+            return;
+        }
+
+        this._bottomSheet = new BottomSheet(util.extend({
+            localeText: locale.getLocaleText(this._language)
+        }, opPresentation));
+        this._bottomSheet.on({
+            done: this._apply,
+            cancel: this._cancel
+        }, this);
+    },
+
     /**
      * Set Timepicker instance
      * @param {object|boolean} opTimepicker - Timepicker instance
@@ -342,6 +753,9 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
             return;
         }
 
+        opTimepicker = util.extend({
+            language: this._language
+        }, opTimepicker);
         layoutType = opTimepicker.layoutType || '';
         if (layoutType.toLowerCase() === 'tab') {
             this._timepicker = new Timepicker(this._$element.find(SELECTOR_BODY), opTimepicker);
@@ -352,9 +766,17 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
 
         this._timepicker.on('change', function(ev) {
             var prevDate;
-            if (this._date) {
+
+            if (!this._isSettingTime) {
+                this._beginPending();
+            }
+            if (this._isMultiple) {
+                this._setDates(util.map(this._dates, function(date) {
+                    return new Date(date).setHours(ev.hour, ev.minute, ev.second);
+                }));
+            } else if (this._date) {
                 prevDate = new Date(this._date);
-                this.setDate(prevDate.setHours(ev.hour, ev.minute));
+                this._setDate(prevDate.setHours(ev.hour, ev.minute, ev.second), this._instant);
             }
         }, this);
     },
@@ -386,6 +808,7 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         }
         this._$element.find(btnSelector).removeClass(CLASS_NAME_CHECKED);
         $selectedBtn.addClass(CLASS_NAME_CHECKED);
+        this._updatePosition();
     },
 
     /**
@@ -407,22 +830,26 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      */
     _setDefaultClassName: function($dateElements) {
         var self = this;
+        var today = this._getToday().getTime();
+        var range = this._getHighlightRange();
 
         $dateElements.each(function(idx, el) {
             var $el = $(el);
             var timestamp = $el.data('timestamp');
             var date = new Date(timestamp);
-            var isToday = timestamp === new Date().setHours(0, 0, 0, 0);
+            var isToday = timestamp === today;
 
             if (isToday) {
                 $el.addClass(CLASS_NAME_TODAY);
             }
 
-            if (self.isSelectable(date)) {
-                $el.addClass(CLASS_NAME_SELECTABLE);
+            if (self._isSelectable(date)) {
+                $el.addClass(CLASS_NAME_SELECTABLE).attr('aria-disabled', 'false');
             } else {
-                $el.addClass(CLASS_NAME_BLOCKED);
+                $el.addClass(CLASS_NAME_BLOCKED).attr('aria-disabled', 'true');
             }
+
+            $el.toggleClass(CLASS_NAME_SELECTED_RANGE, self._isInHighlightRange(date, range));
         });
     },
 
@@ -433,29 +860,139 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      */
     _setSelectedClassName: function($dateElements) {
         var self = this;
+        var range = this._getHighlightRange();
 
         $dateElements.each(function(idx, el) {
             var $el = $(el);
             var date = new Date($el.data('timestamp'));
+            var isStart = !!range && self._isSameUnit(range.start, date);
+            var isEnd = !!range && self._isSameUnit(range.end, date);
+            var isSelected = (self._date && self._isSelected(date)) || isStart || isEnd;
 
-            if (self.isSelectable(date) && self.isSelected(date)) {
-                $el.addClass(CLASS_NAME_SELECTED);
+            $el.toggleClass(CLASS_NAME_SELECTED_START, isStart)
+                .toggleClass(CLASS_NAME_SELECTED_END, isEnd);
+
+            if (self._isSelectable(date) && isSelected) {
+                $el.addClass(CLASS_NAME_SELECTED).attr('aria-selected', 'true');
             } else {
-                $el.removeClass(CLASS_NAME_SELECTED);
+                $el.removeClass(CLASS_NAME_SELECTED).attr('aria-selected', 'false');
             }
         });
     },
 
+    /**
+     * Returns the range to highlight. (The hovered date completes a pending range.)
+     * @returns {?{start: Date, end: Date}}
+     * @private
+     */
+    _getHighlightRange: function() {
+        var start = this._highlightRange.start;
+        var end = this._highlightRange.end;
+        var anchor;
+
+        if (!start !== !end && this._hoveredDate) {
+            anchor = start || end;
+            start = new Date(Math.min(anchor, this._hoveredDate));
+            end = new Date(Math.max(anchor, this._hoveredDate));
+        }
+
+        if (!start || !end) {
+            return null;
+        }
+
+        return {
+            start: new Date(start),
+            end: new Date(end)
+        };
+    },
+
+    /**
+     * Returns whether the date is in the highlight range
+     * @param {Date} date - Date of calendar element
+     * @param {?{start: Date, end: Date}} range - Highlight range
+     * @returns {boolean}
+     * @private
+     */
+    _isInHighlightRange: function(date, range) {
+        var unitRange;
+
+        if (!range) {
+            return false;
+        }
+
+        unitRange = this._getUnitRange(date, this._getUnitType());
+
+        return unitRange.end >= new Date(range.start).setHours(0, 0, 0, 0) && unitRange.start <= range.end.getTime();
+    },
+
+    /**
+     * Mouseover handler of selectable date elements
+     * - Preview a pending range
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onMouseoverDate: function(ev) {
+        var range = this._highlightRange;
+        var timestamp = $(ev.currentTarget).data('timestamp');
+
+        if (!range.start === !range.end || (this._hoveredDate && this._hoveredDate.getTime() === timestamp)) {
+            return;
+        }
+
+        this._hoveredDate = new Date(timestamp);
+        this._refreshHighlightClassName();
+    },
+
+    /**
+     * Mouseleave handler of datepicker element
+     * - Remove the preview of a pending range
+     * @private
+     */
+    _onMouseleaveElement: function() {
+        if (!this._hoveredDate) {
+            return;
+        }
+
+        this._hoveredDate = null;
+        this._refreshHighlightClassName();
+    },
+
+    /**
+     * Refresh class names of calendar elements for the previewed highlight range
+     * - Only the range, start and end class names are changed by hovering
+     * @private
+     */
+    _refreshHighlightClassName: function() {
+        var self = this;
+        var range = this._getHighlightRange();
+
+        this._calendar.getDateElements().each(function(idx, el) {
+            var date = new Date($(el).data('timestamp'));
+
+            $(el).toggleClass(CLASS_NAME_SELECTED_RANGE, self._isInHighlightRange(date, range))
+                .toggleClass(CLASS_NAME_SELECTED_START, !!range && self._isSameUnit(range.start, date))
+                .toggleClass(CLASS_NAME_SELECTED_END, !!range && self._isSameUnit(range.end, date));
+        });
+    },
+
     /**
      * Set value a date-string of current this instance to input element
      * @private
      */
     _syncToInput: function() {
-        if (!this._date) {
+        if (this._isPending()) {
+            return; // The input keeps the committed date until the apply
+        }
+
+        if (this._isMultiple) {
+            this._datepickerInput.setDates(util.map(this._dates, this._getInputDate, this));
+        } else if (this._date) {
+            this._datepickerInput.setDate(this._getInputDate(this._date));
+        } else {
             return;
         }
 
-        this._datepickerInput.setDate(this._date);
+        this._setValidity(null); // The input text is rewritten
     },
 
     /**
@@ -469,10 +1006,10 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         var isContains = $.contains(this._$element[0], evTarget);
         var isInput = this._datepickerInput.is(evTarget);
         var isInOpener = !!$(evTarget).closest(this._openers).length;
-        var shouldClose = !(this.showAlways || isInput || isContains || isInOpener);
+        var shouldClose = !(this.showAlways || this._isSheetShown() || isInput || isContains || isInOpener);
 
         if (shouldClose) {
-            this.close();
+            this._cancelOrClose();
         }
     },
 
@@ -485,24 +1022,91 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
     _onClickDate: function(ev) {
         var timestamp = $(ev.target).data('timestamp');
         var newDate = new Date(timestamp);
-        var timepicker = this._timepicker;
-        var prevDate = this._date;
-        var shouldLowerCalendarType = this.getCalendarType() !== this._type;
+        var shouldLowerCalendarType = this.getCalendarType() !== this._getLowestCalendarType();
 
         if (shouldLowerCalendarType) {
             this.drawLowerCalendar(newDate);
         } else {
-            if (timepicker) {
-                newDate.setHours(timepicker.getHour(), timepicker.getMinute());
-            } else if (prevDate) {
-                newDate.setHours(prevDate.getHours(), prevDate.getMinutes());
+            this._setCurrentTime(newDate);
+            this._beginPending();
+
+            if (this._isMultiple) {
+                this._toggleDate(newDate);
+            } else {
+                this._setDate(newDate);
+
+                if (!this.showAlways && this.autoClose && !this._hasConfirmButtons()) {
+                    this.close();
+                }
             }
-            this.setDate(newDate);
+        }
+    },
+
+    /**
+     * Set the time of the timepicker, or the time of the selected date to a new date
+     * @param {Date} date - New date
+     * @returns {Date} The date
+     * @private
+     */
+    _setCurrentTime: function(date) {
+        var timepicker = this._timepicker;
+        var prevDate = this._date;
+
+        if (timepicker) {
+            date.setHours(timepicker.getHour(), timepicker.getMinute(), timepicker.getSecond());
+        } else if (prevDate) {
+            date.setHours(
+                prevDate.getHours(), prevDate.getMinutes(), prevDate.getSeconds(), prevDate.getMilliseconds()
+            );
+        }
+
+        return date;
+    },
+
+    /**
+     * Returns the start of today in the time zone
+     * @returns {Date}
+     * @private
+     */
+    _getToday: function() {
+        var today = dateUtil.toZonedDate(new Date(), this._timeZone);
+
+        today.setHours(0, 0, 0, 0);
+
+        return today;
+    },
+
+    /**
+     * Toggle a date in and out of the selected dates ('multiple' mode)
+     * - A new date is ignored if the count of dates reaches the maxCount.
+     * @param {Date} date - Date
+     * @private
+     */
+    _toggleDate: function(date) {
+        var dates = util.filter(this._dates, function(selectedDate) {
+            return !this._isSameUnit(selectedDate, date);
+        }, this);
+        var isAdding = dates.length === this._dates.length;
 
-            if (!this.showAlways && this.autoClose) {
-                this.close();
+        if (isAdding) {
+            if (this._isFull()) {
+                return;
             }
+            dates.push(date);
         }
+
+        this._setDates(dates);
+    },
+
+    /**
+     * Returns whether the count of selected dates reaches the maxCount
+     * @returns {boolean}
+     * @private
+     */
+    _isFull: function() {
+        var maxCount = this._maxCount;
+
+        return util.isNumber(maxCount) && this._dates.length >= maxCount;
     },
 
     /**
@@ -515,11 +1119,10 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         var $dateElements = eventData.$dateElements;
 
         this._setDefaultClassName($dateElements);
-        if (this._date) {
-            this._setSelectedClassName($dateElements);
-        }
+        this._setSelectedClassName($dateElements);
 
         this._hideUselessButtons();
+        this._updatePosition(); // The size is changed
     },
 
     /**
@@ -551,8 +1154,8 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
                 this._$element.find('.' + CLASS_NAME_PREV_MONTH_BTN).hide();
             }
         } else {
-            prevYearDate.setMonth(12, 0);
-            nextYearDate.setMonth(0, 1);
+            prevYearDate = new Date(dateUtil.getYearRangeOfLayer(prevYearDate, this.getCalendarType()).end, 11, 31);
+            nextYearDate = new Date(dateUtil.getYearRangeOfLayer(nextYearDate, this.getCalendarType()).start, 0, 1);
         }
 
         if (maxTimestamp < nextYearDate.getTime()) {
@@ -566,21 +1169,22 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
 
     /**
      * Input change handler
+     * - Relative date expressions ('today', 'next friday', '+3d', ...) are relative to today
+     *   having the current time.
+     * - The input text is rewritten in the format.
+     * - An invalid input text is rolled back, or kept with the error message in the validation mode.
+     *   An empty input text clears the date in the validation mode.
      * @private
      * @throws {Error}
      */
     _onChangeInput: function() {
-        var date;
         try {
-            date = this._datepickerInput.getDate();
-
-            if (this.isSelectable(date)) {
-                if (this._timepicker) {
-                    this._timepicker.setTime(date.getHours(), date.getMinutes());
-                }
-                this.setDate(date);
+            if (this._useValidation && this._datepickerInput.isEmpty()) {
+                this.setNull();
+            } else if (this._isMultiple) {
+                this._setDatesFromInput();
             } else {
-                this._syncToInput(); // Rollback input value
+                this._setDateFromInput();
             }
         } catch (err) {
             /**
@@ -596,25 +1200,134 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
                 type: 'ParsingError',
                 message: err.message
             });
-            this._syncToInput(); // Rollback input value
+            this._rejectInput('invalid');
         }
     },
 
     /**
-     * Returns whether the date is changed
-     * @param {Date} date - Date
-     * @returns {boolean}
+     * Set date from input-text
      * @private
+     * @throws {Error}
      */
-    _isChanged: function(date) {
-        var prevDate = this.getDate();
+    _setDateFromInput: function() {
+        var date = this._datepickerInput.getDate(this._setCurrentTime(this._getToday()));
+        var reason = this._getInvalidReason(date);
 
-        return !prevDate || (date.getTime() !== prevDate.getTime());
+        if (reason) {
+            this._rejectInput(reason);
+
+            return;
+        }
+
+        if (this._timepicker) {
+            this._setTimepickerTime(date.getHours(), date.getMinutes(), date.getSeconds());
+        }
+        this._setDate(date);
+        this._syncToInput(); // Rewrite input value
+    },
+
+    /**
+     * Set dates from input-text ('multiple' mode)
+     * - Rejects input value if one of the dates is not selectable
+     * @private
+     * @throws {Error}
+     */
+    _setDatesFromInput: function() {
+        var dates = this._datepickerInput.getDates(this._setCurrentTime(this._getToday()));
+        var reasons = util.filter(util.map(dates, this._getInvalidReason, this), function(reason) {
+            return !!reason;
+        });
+
+        if (reasons.length) {
+            this._rejectInput(reasons[0]);
+
+            return;
+        }
+
+        this._setDates(dates);
+        this._syncToInput();
+    },
+
+    /**
+     * Returns why a date from input-text can not be selected
+     * @param {Date} date - Date having the wall-clock time
+     * @returns {?('invalid'|'beforeMin'|'afterMax'|'unselectable')} Null if the date is selectable
+     * @private
+     */
+    _getInvalidReason: function(date) {
+        var unitRange;
+
+        if (!dateUtil.isValidDate(date)) {
+            return 'invalid';
+        }
+        if (this._isSelectable(date)) {
+            return null;
+        }
+
+        unitRange = this._getUnitRange(date, this._getUnitType());
+        if (unitRange.end < this._rangeModel.getMinimumValue()) {
+            return 'beforeMin';
+        }
+        if (unitRange.start > this._rangeModel.getMaximumValue()) {
+            return 'afterMax';
+        }
+
+        return 'unselectable';
+    },
+
+    /**
+     * Reject the input text - Rollback it, or keep it with the error message in the validation mode
+     * @param {string} reason - Reason why the input text is invalid
+     * @private
+     */
+    _rejectInput: function(reason) {
+        if (this._useValidation) {
+            this._setValidity(reason);
+        } else {
+            this._syncToInput();
+        }
+    },
+
+    /**
+     * Set the validity of the input text and show the error message on the input
+     * @param {?string} reason - Reason why the input text is invalid. Null if valid
+     * @private
+     */
+    _setValidity: function(reason) {
+        this._invalidReason = reason;
+        if (this._datepickerInput) {
+            this._datepickerInput.setError(this.getValidity().message || null);
+        }
+    },
+
+    /**
+     * Returns whether the selected date is changed
+     * @param {number} instant - Instant of the date
+     * @returns {boolean}
+     * @private
+     */
+    _isChanged: function(instant) {
+        return !this._date || instant !== this._instant;
+    },
+
+    /**
+     * Returns the instant of a date having the wall-clock time of the time zone
+     * @param {Date} date - Date having the wall-clock time
+     * @param {?(Date|number)} [instant] - Instant the date is converted from. It is used if the date is not changed.
+     * @returns {number}
+     * @private
+     */
+    _getInstant: function(date, instant) {
+        if (instant && dateUtil.toZonedDate(instant, this._timeZone).getTime() === date.getTime()) {
+            return new Date(instant).getTime();
+        }
+
+        return dateUtil.fromZonedDate(date, this._timeZone).getTime();
     },
 
     /**
      * Returns current calendar type
-     * @returns {'date'|'month'|'year'}
+     * @returns {'date'|'month'|'quarter'|'year'|'decade'|'century'}
      */
     getCalendarType: function() {
         return this._calendar.getType();
@@ -622,40 +1335,238 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
 
     /**
      * Returns datepicker type
-     * @returns {'date'|'month'|'year'}
+     * @returns {'date'|'week'|'month'|'quarter'|'year'}
      */
     getType: function() {
         return this._type;
     },
 
+    /**
+     * Returns the calendar type on which a date is selected
+     * - The 'week' type selects a week on the date calendar.
+     * @returns {'date'|'month'|'quarter'|'year'}
+     * @private
+     */
+    _getLowestCalendarType: function() {
+        return (this._type === TYPE_WEEK) ? TYPE_DATE : this._type;
+    },
+
+    /**
+     * Returns whether the calendar shows weeks to select
+     * @returns {boolean}
+     * @private
+     */
+    _isWeekSelecting: function() {
+        return this._type === TYPE_WEEK && this.getCalendarType() === TYPE_DATE;
+    },
+
+    /**
+     * Returns a new date to select from the date
+     * - The 'week' type selects the start date of the week.
+     * @param {Date|number} date - Date
+     * @returns {Date}
+     * @private
+     */
+    _normalizeDate: function(date) {
+        if (this._type === TYPE_WEEK) {
+            return dateUtil.getStartOfWeek(date, this._calendar.getFirstDayOfWeek());
+        }
+
+        return new Date(date);
+    },
+
+    /**
+     * Returns the monday in the week starting on the date
+     * - A week on the calendar not starting on monday spans two ISO weeks.
+     *   It is written as the ISO week of the monday, and a parsed ISO week (monday) selects it back.
+     * @param {Date} date - Start date of the week
+     * @returns {Date}
+     * @private
+     */
+    _getMondayOfWeek: function(date) {
+        var monday = new Date(date);
+
+        monday.setDate(monday.getDate() + ((8 - monday.getDay()) % 7));
+
+        return monday;
+    },
+
+    /**
+     * Returns the date to write a selected date in the input
+     * @param {Date} date - Selected date
+     * @returns {Date} The monday of the week if the input has the week of the 'week' type
+     * @private
+     */
+    _getInputDate: function(date) {
+        if (this._type === TYPE_WEEK && this._datepickerInput.hasField(TYPE_WEEK)) {
+            return this._getMondayOfWeek(date);
+        }
+
+        return date;
+    },
+
+    /**
+     * Returns the instant of a date
+     * - An ISO 8601 string is parsed. The other values are returned as they are.
+     * @param {Date|number|string} date - Date instance, timestamp or ISO 8601 string
+     * @returns {?Date|number} Null if the string is not ISO 8601
+     * @private
+     */
+    _toInstant: function(date) {
+        if (util.isString(date)) {
+            return DateTimeFormatter.parseISOString(date, this._timeZone);
+        }
+
+        return date;
+    },
+
+    /**
+     * Returns the date whose local time is the wall-clock time of the time zone
+     * - An ISO 8601 string is parsed. An invalid value is returned as it is.
+     * @param {Date|number|string} date - Date instance, timestamp or ISO 8601 string
+     * @returns {?Date|number} Null if the string is not ISO 8601
+     * @private
+     */
+    _toZonedDate: function(date) {
+        var instant = this._toInstant(date);
+
+        if (isValidDateValue(instant)) {
+            return dateUtil.toZonedDate(instant, this._timeZone);
+        }
+
+        return instant;
+    },
+
+    /**
+     * Returns the timestamp of the wall-clock time of the time zone
+     * @param {Date|number} date - Date instance or timestamp
+     * @returns {number}
+     * @private
+     */
+    _toZonedTime: function(date) {
+        return this._toZonedDate(new Date(date)).getTime();
+    },
+
     /**
      * Whether the provided date is selectable
      * @param {Date} date - Date instance
      * @returns {boolean}
      */
     isSelectable: function(date) {
-        var start, end;
+        return this._isSelectable(this._toZonedDate(date));
+    },
+
+    /**
+     * Whether the date having the wall-clock time is selectable
+     * @param {Date} date - Date instance
+     * @param {string} [unitType] - Unit type to check (default: the unit type of the current calendar)
+     * @returns {boolean}
+     * @private
+     */
+    _isSelectable: function(date, unitType) {
+        var unitRange;
 
         if (!dateUtil.isValidDate(date)) {
             return false;
         }
 
-        start = new Date(date);
-        end = new Date(date);
+        unitRange = this._getUnitRange(date, unitType || this._getUnitType());
 
-        switch (this.getCalendarType()) {
-            case TYPE_YEAR:
-                start.setMonth(0, 1);
-                end.setMonth(11, 31);
+        return this._rangeModel.hasOverlap(unitRange.start, unitRange.end);
+    },
+
+    /**
+     * Returns the timestamp range of the calendar unit (date, week, month, quarter or year) containing the date
+     * @param {Date} date - Date instance
+     * @param {string} unitType - Unit type
+     * @returns {{start: number, end: number}}
+     * @private
+     */
+    _getUnitRange: function(date, unitType) {
+        var start = new Date(date);
+        var end = new Date(date);
+
+        switch (unitType) {
+            case TYPE_WEEK:
+                start = dateUtil.getStartOfWeek(date, this._calendar.getFirstDayOfWeek());
+                end = new Date(start);
+                end.setDate(end.getDate() + 6);
                 break;
             case TYPE_MONTH:
                 start.setDate(1);
                 end.setMonth(end.getMonth() + 1, 0);
                 break;
-            default: break;
+            case TYPE_QUARTER:
+                start.setMonth(getFirstMonthOfQuarter(start), 1);
+                end.setMonth(getFirstMonthOfQuarter(end) + 3, 0);
+                break;
+            case TYPE_YEAR:
+                start.setMonth(0, 1);
+                end.setMonth(11, 31);
+                break;
+            case TYPE_DECADE:
+                start.setFullYear(getFirstYearOfDecade(start), 0, 1);
+                end.setFullYear(getFirstYearOfDecade(end) + 9, 11, 31);
+                break;
+            default:
+                return {
+                    start: start.getTime(),
+                    end: end.getTime()
+                };
+        }
+        start.setHours(0, 0, 0, 0);
+        end.setHours(23, 59, 59, 999);
+
+        return {
+            start: start.getTime(),
+            end: end.getTime()
+        };
+    },
+
+    /**
+     * Returns the unit type of the dates on the current calendar
+     * - The 'decade' calendar has years and the 'century' calendar has decades.
+     * - The 'date' calendar of the 'week' type has weeks.
+     * @returns {string}
+     * @private
+     */
+    _getUnitType: function() {
+        var calendarType = this.getCalendarType();
+
+        if (this._isWeekSelecting()) {
+            return TYPE_WEEK;
+        }
+
+        return UNIT_TYPES[calendarType] || calendarType;
+    },
+
+    /**
+     * Returns the unit type of the selected dates, regardless of the current calendar
+     * @returns {string}
+     * @private
+     */
+    _getSelectionUnitType: function() {
+        return (this._type === TYPE_WEEK) ? TYPE_WEEK : this._getLowestCalendarType();
+    },
+
+    /**
+     * Returns whether the dates are in the same calendar unit (date, week, month, quarter or year)
+     * @param {Date} date1 - Date instance
+     * @param {Date} date2 - Date instance
+     * @param {string} [unitType] - Unit type to compare (default: the unit type of the current calendar)
+     * @returns {boolean}
+     * @private
+     */
+    _isSameUnit: function(date1, date2, unitType) {
+        unitType = unitType || this._getUnitType();
+        date1 = new Date(date1);
+        date2 = new Date(date2);
+
+        if (unitType === TYPE_DATE) {
+            return date1.setHours(0, 0, 0, 0) === date2.setHours(0, 0, 0, 0);
         }
 
-        return this._rangeModel.hasOverlap(start.getTime(), end.getTime());
+        return this._getUnitRange(date1, unitType).start === this._getUnitRange(date2, unitType).start;
     },
 
     /**
@@ -664,19 +1575,54 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      * @returns {boolean}
      */
     isSelected: function(date) {
-        var curDate = new Date(this._date);
+        return this._isSelected(this._toZonedDate(date));
+    },
 
-        date = new Date(date);
-        switch (this.getCalendarType()) {
-            case TYPE_DATE:
-                return curDate.setHours(0, 0, 0, 0) === date.setHours(0, 0, 0, 0);
-            case TYPE_MONTH:
-                return (curDate.getFullYear() === date.getFullYear()) && (curDate.getMonth() === date.getMonth());
-            case TYPE_YEAR:
-                return curDate.getFullYear() === date.getFullYear();
-            default:
-                return false;
+    /**
+     * Returns whether the date having the wall-clock time is selected or not
+     * @param {Date} date - Date instance
+     * @returns {boolean}
+     * @private
+     */
+    _isSelected: function(date) {
+        var i = 0;
+        var length = this._dates.length;
+
+        if (!this._isMultiple) {
+            return this._isSameUnit(this._date, date);
+        }
+
+        for (; i < length; i += 1) {
+            if (this._isSameUnit(this._dates[i], date)) {
+                return true;
+            }
         }
+
+        return false;
+    },
+
+    /**
+     * Set start and end dates to highlight on calendar.
+     * The dates between them are marked as a selected range.
+     * If only one of them is set, hovering a date previews the pending range.
+     * @param {?Date|number} start - Start date (null for none)
+     * @param {?Date|number} end - End date (null for none)
+     * @example
+     * datepicker.setHighlightRange(new Date(2017, 2, 1), new Date(2017, 2, 10));
+     * datepicker.setHighlightRange(null, null); // clear
+     */
+    setHighlightRange: function(start, end) {
+        var $dateElements;
+
+        this._highlightRange = {
+            start: start ? new Date(this._toZonedTime(start)) : null,
+            end: end ? new Date(this._toZonedTime(end)) : null
+        };
+        this._hoveredDate = null;
+
+        $dateElements = this._calendar.getDateElements();
+        this._setDefaultClassName($dateElements);
+        this._setSelectedClassName($dateElements);
     },
 
     /**
@@ -685,11 +1631,11 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      */
     setRanges: function(ranges) {
         ranges = tui.util.map(ranges, function(range) {
-            var start = new Date(range[0]).getTime();
-            var end = new Date(range[1]).getTime();
+            var start = this._toZonedTime(range[0]);
+            var end = this._toZonedTime(range[1]);
 
             return [start, end];
-        });
+        }, this);
 
         this._rangeModel = new RangeModel(ranges);
         this._refreshFromRanges();
@@ -706,8 +1652,8 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      * datepicker.addRange(start, end);
      */
     addRange: function(start, end) {
-        start = new Date(start).getTime();
-        end = new Date(end).getTime();
+        start = this._toZonedTime(start);
+        end = this._toZonedTime(end);
 
         this._rangeModel.add(start, end);
         this._refreshFromRanges();
@@ -724,8 +1670,8 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      * datepicker.removeRange(start, end);
      */
     removeRange: function(start, end) {
-        start = new Date(start).getTime();
-        end = new Date(end).getTime();
+        start = this._toZonedTime(start);
+        end = this._toZonedTime(end);
 
         this._rangeModel.exclude(start, end);
         this._refreshFromRanges();
@@ -736,7 +1682,10 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      * @private
      */
     _refreshFromRanges: function() {
-        if (!this._date || !this.isSelectable(this._date)) {
+        if (this._isMultiple) {
+            this._setDates(this._dates);
+            this._calendar.draw(); // view update
+        } else if (!this._date || !this._isSelectable(this._date)) {
             this.setNull();
         } else {
             this._calendar.draw(); // view update
@@ -790,14 +1739,18 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         }
 
         this._calendar.draw({
-            date: this._date || new Date(),
-            type: this._type
+            date: this._date || this._getToday(),
+            type: this._getLowestCalendarType()
         });
         this._$element.show();
 
         if (!this.showAlways) {
             docEvTypes = 'touchstart.' + this._id + ' mousedown.' + this._id;
             $(document).on(docEvTypes, $.proxy(this._onMousedownDocument, this));
+            if (this._bottomSheet) {
+                $(window).on('resize.' + this._id, $.proxy(this._onResizeWindow, this));
+            }
+            this._present();
         }
 
         /**
@@ -810,52 +1763,288 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         this.fire('open');
     },
 
+    /**
+     * Present the opened datepicker element
+     * - The selection is kept to be restored by the cancel of the bottom sheet.
+     * @private
+     */
+    _present: function() {
+        if (this._bottomSheet) {
+            this._revertState = this._revertState || this._getSelection();
+        }
+        this._place();
+    },
+
+    /**
+     * Place the datepicker element in the bottom sheet on narrow screens, or as the popover
+     * @private
+     */
+    _place: function() {
+        if (this._bottomSheet && this._bottomSheet.isActive()) {
+            this._bottomSheet.show(this._$element);
+        } else if (this._popupPosition) {
+            this._popupPosition.attach(this._getAnchorElement());
+        }
+    },
+
+    /**
+     * Stop presenting the datepicker element in the bottom sheet or as the popover
+     * @private
+     */
+    _dismiss: function() {
+        if (this._bottomSheet) {
+            this._bottomSheet.hide();
+        }
+        if (this._popupPosition) {
+            this._popupPosition.detach();
+        }
+    },
+
+    /**
+     * Returns whether the datepicker element is in the bottom sheet
+     * @returns {boolean}
+     * @private
+     */
+    _isSheetShown: function() {
+        return !!this._bottomSheet && this._bottomSheet.isShown();
+    },
+
+    /**
+     * Resize event handler of window - Switch between the bottom sheet and the popover at the breakpoint
+     * @private
+     */
+    _onResizeWindow: function() {
+        if (this._bottomSheet.isActive() !== this._bottomSheet.isShown()) {
+            this._dismiss();
+            this._place();
+        }
+    },
+
+    /**
+     * Returns the selected date and dates
+     * @returns {{date: ?Date, dates: Array.<Date>, instant: ?number}}
+     * @private
+     */
+    _getSelection: function() {
+        return {
+            date: this._date,
+            dates: this._dates,
+            instant: this._instant
+        };
+    },
+
+    /**
+     * Returns the committed date and dates - The selection before picking while pending
+     * @returns {{date: ?Date, dates: Array.<Date>, instant: ?number}}
+     * @private
+     */
+    _getCommittedSelection: function() {
+        return this._isPending() ? this._revertState : this._getSelection();
+    },
+
+    /**
+     * Keep the committed selection to start picking a pending one in the confirm mode
+     * @private
+     */
+    _beginPending: function() {
+        if (this._useConfirm && !this._revertState) {
+            this._revertState = this._getSelection();
+        }
+    },
+
+    /**
+     * Returns whether the picked selection is pending in the confirm mode
+     * @returns {boolean}
+     * @private
+     */
+    _isPending: function() {
+        return this._useConfirm && !!this._revertState;
+    },
+
+    /**
+     * Returns whether the apply and cancel buttons are shown
+     * @returns {boolean}
+     * @private
+     */
+    _hasConfirmButtons: function() {
+        return this._useConfirm || this._isSheetShown();
+    },
+
+    /**
+     * Set the time of the timepicker not to be taken as picking
+     * @param {number} hour - Hour
+     * @param {number} minute - Minute
+     * @param {number} [second] - Second
+     * @private
+     */
+    _setTimepickerTime: function(hour, minute, second) {
+        this._isSettingTime = true;
+        this._timepicker.setTime(hour, minute, second);
+        this._isSettingTime = false;
+    },
+
+    /**
+     * Restore the selection kept by the confirm mode or on opening with the bottom sheet
+     * @private
+     */
+    _restoreSelection: function() {
+        var state = this._revertState;
+
+        if (!state) {
+            return;
+        }
+
+        if (this._isMultiple) {
+            this._setDates(state.dates);
+        } else if (state.date) {
+            this._setDate(state.date, state.instant);
+        } else {
+            this._setNull();
+        }
+        this._revertState = null;
+    },
+
+    /**
+     * Discard the pending selection to commit a selection set by the API
+     * - The 'change' event is fired by the set selection different from the committed one.
+     * @private
+     */
+    _discardPending: function() {
+        if (this._isPending()) {
+            this._restoreSelection();
+        }
+    },
+
+    /**
+     * Apply button handler - Commit the pending selection, and close
+     * @private
+     */
+    _apply: function() {
+        var isChanged = this._isPending()
+            && getSelectionKey(this._revertState) !== getSelectionKey(this._getSelection());
+
+        this._revertState = null;
+        this._syncToInput();
+        if (isChanged) {
+            this.fire('change');
+        }
+
+        /**
+         * Apply event - Fired by the apply button in the confirm mode, or the done button of the bottom sheet
+         * @event Datepicker#apply
+         * @example
+         * datepicker.on('apply', function() {
+         *     console.log(datepicker.getDate());
+         * });
+         */
+        this.fire('apply');
+
+        if (!this.showAlways) {
+            this.close();
+        }
+    },
+
+    /**
+     * Cancel button handler - Restore the selection before picking, and close
+     * @private
+     */
+    _cancel: function() {
+        this._restoreSelection();
+
+        /**
+         * Cancel event - Fired by the cancel button, Escape or clicking outside in the confirm mode,
+         *  or by the cancel of the bottom sheet
+         * @event Datepicker#cancel
+         * @example
+         * datepicker.on('cancel', function() {
+         *     alert('cancel');
+         * });
+         */
+        this.fire('cancel');
+
+        if (!this.showAlways) {
+            this.close();
+        }
+    },
+
+    /**
+     * Cancel if the apply and cancel buttons are shown, or close
+     * @private
+     */
+    _cancelOrClose: function() {
+        if (this._hasConfirmButtons()) {
+            this._cancel();
+        } else {
+            this.close();
+        }
+    },
+
+    /**
+     * Returns the element the datepicker is anchored to - The input, the first opener or the container
+     * @returns {HTMLElement}
+     * @private
+     */
+    _getAnchorElement: function() {
+        var input = this._datepickerInput && this._datepickerInput.getElement();
+
+        return input || this._openers[0] || this._$container[0];
+    },
+
+    /**
+     * Place the datepicker element by the anchor in the positioning mode
+     * @private
+     */
+    _updatePosition: function() {
+        if (this._popupPosition) {
+            this._popupPosition.update();
+        }
+    },
+
     /**
      * Raise calendar type
-     *  - DATE --> MONTH --> YEAR
+     *  - DATE --> MONTH --> DECADE --> CENTURY
+     *  - QUARTER --> DECADE --> CENTURY
+     *  - YEAR --> DECADE --> CENTURY (on the 'year' type)
      * @param {Date} date - Date
      */
     drawUpperCalendar: function(date) {
-        var currentType = this.getCalendarType();
+        var upperType = UPPER_CALENDAR_TYPES[this.getCalendarType()];
 
-        if (currentType === TYPE_DATE) {
-            this._calendar.draw({
-                date: date,
-                type: TYPE_MONTH
-            });
-        } else if (currentType === TYPE_MONTH) {
+        if (upperType) {
             this._calendar.draw({
                 date: date,
-                type: TYPE_YEAR
+                type: upperType
             });
         }
     },
 
     /**
      * Lower calendar type
-     *  - YEAR --> MONTH --> DATE
+     *  - CENTURY --> DECADE --> MONTH --> DATE
+     *  - CENTURY --> DECADE --> QUARTER (on the 'quarter' type)
+     *  - CENTURY --> DECADE --> YEAR (on the 'year' type)
      * @param {Date} date - Date
      */
     drawLowerCalendar: function(date) {
         var currentType = this.getCalendarType();
-        var originalType = this._type;
+        var originalType = this._getLowestCalendarType();
         var isLast = currentType === originalType;
+        var lowerType = LOWER_CALENDAR_TYPES[currentType];
 
-        if (isLast) {
+        if (isLast || !lowerType) {
             return;
         }
 
-        if (currentType === TYPE_MONTH) {
-            this._calendar.draw({
-                date: date,
-                type: TYPE_DATE
-            });
-        } else if (currentType === TYPE_YEAR) {
-            this._calendar.draw({
-                date: date,
-                type: TYPE_MONTH
-            });
+        if (UPPER_CALENDAR_TYPES[originalType] === currentType) {
+            lowerType = originalType;
+        } else if (lowerType === TYPE_MONTH && originalType === TYPE_QUARTER) {
+            lowerType = TYPE_QUARTER;
         }
+
+        this._calendar.draw({
+            date: date,
+            type: lowerType
+        });
     },
 
     /**
@@ -868,6 +2057,12 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
             return;
         }
         this._offDatepickerEvents(document);
+        this._offDatepickerEvents(window);
+        if (this._isPending()) {
+            this._restoreSelection();
+        }
+        this._revertState = null;
+        this._dismiss();
         this._$element.hide();
 
         /**
@@ -904,21 +2099,44 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      * datepicker.getDate(); // new Date(2015, 3, 13)
      */
     getDate: function() {
-        if (!this._date) {
+        var selection = this._getCommittedSelection();
+
+        if (!selection.date) {
             return null;
         }
 
-        return new Date(this._date);
+        return new Date(this._getInstant(selection.date, selection.instant));
+    },
+
+    /**
+     * Returns the ISO 8601 (RFC 3339) string of the date having the offset of the time zone
+     * @returns {?string} - ISO 8601 string
+     * @example
+     * // 2017-03-15 13:30 in UTC+09:00
+     * datepicker.getISOString(); // '2017-03-15T13:30:00.000+09:00'
+     */
+    getISOString: function() {
+        var date = this.getDate();
+
+        if (!date) {
+            return null;
+        }
+
+        return new DateTimeFormatter('ISO', null, this._timeZone).formatInstant(date);
     },
 
     /**
      * Set date and then fire 'update' custom event
-     * @param {Date|number} date - Date instance or timestamp
+     * - In 'multiple' mode, the selected dates are replaced with the date.
+     * - An ISO 8601 string without the offset is the time of the time zone. An invalid string is ignored.
+     * - The pending selection of the confirm mode is discarded, and the date is committed.
+     * @param {Date|number|string} date - Date instance, timestamp or ISO 8601 string
      * @example
      * datepicker.setDate(new Date()); // Set today
+     * datepicker.setDate('2017-03-15T13:30:00+09:00');
      */
     setDate: function(date) {
-        var isValidInput, newDate, shouldUpdate;
+        var instant;
 
         if (date === null) {
             this.setNull();
@@ -926,18 +2144,45 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
             return;
         }
 
-        isValidInput = util.isNumber(date) || util.isDate(date);
-        newDate = new Date(date);
-        shouldUpdate = isValidInput && this._isChanged(newDate) && this.isSelectable(newDate);
+        instant = this._toInstant(date);
+        if (!isValidDateValue(instant)) {
+            return;
+        }
+
+        if (this._isMultiple) {
+            this.setDates([instant]);
+
+            return;
+        }
+
+        this._discardPending();
+        this._setDate(this._toZonedDate(instant), instant);
+    },
+
+    /**
+     * Set the date having the wall-clock time of the time zone
+     * @param {Date|number} date - Date instance or timestamp
+     * @param {?(Date|number)} [instant] - Instant the date is converted from
+     * @private
+     */
+    _setDate: function(date, instant) {
+        var newDate, newInstant;
+
+        if (!isValidDateValue(date)) {
+            return;
+        }
+        newDate = this._normalizeDate(date);
+        newInstant = this._getInstant(newDate, instant);
 
-        if (shouldUpdate) {
-            newDate = new Date(date);
+        if (this._isChanged(newInstant) && this._isSelectable(newDate)) {
             this._date = newDate;
+            this._instant = newInstant;
             this._syncToInput();
             this._calendar.draw({date: newDate});
             if (this._timepicker) {
-                this._timepicker.setTime(newDate.getHours(), newDate.getMinutes());
+                this._setTimepickerTime(newDate.getHours(), newDate.getMinutes(), newDate.getSeconds());
             }
+            this._announceSelectedDate(newDate);
 
             /**
              * Change event
@@ -950,32 +2195,213 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
              *       console.log(newDate);
              *   });
              */
+            if (!this._isPending()) {
+                this.fire('change');
+            }
+        }
+    },
+
+    /**
+     * Announce a selected date to screen readers
+     * @param {Date} date - Selected date
+     * @private
+     */
+    _announceSelectedDate: function(date) {
+        var localeText = locale.getLocaleText(this._language);
+        var formatKey = SELECTED_FORMAT_KEYS[this.getType()];
+        var format = localeText[formatKey] || localeTexts[DEFAULT_LANGUAGE_TYPE][formatKey];
+        var formatter = new DateTimeFormatter(format, localeText.titles);
+
+        if (this._type === TYPE_WEEK) {
+            date = this._getMondayOfWeek(date);
+        }
+        this._$liveRegion.text(formatter.format(date));
+    },
+
+    /**
+     * Returns selected dates ('multiple' mode)
+     * @returns {Array.<Date>} - Dates sorted in ascending order
+     * @example
+     * datepicker.getDates(); // [new Date(2017, 2, 1), new Date(2017, 2, 5)]
+     */
+    getDates: function() {
+        return util.map(this._getCommittedSelection().dates, function(date) {
+            return dateUtil.fromZonedDate(date, this._timeZone);
+        }, this);
+    },
+
+    /**
+     * Set dates and then fire 'change' custom event ('multiple' mode)
+     * - Invalid, unselectable and duplicated dates are ignored.
+     * - Dates over the maxCount are ignored.
+     * - The pending selection of the confirm mode is discarded, and the dates are committed.
+     * @param {Array.<Date|number|string>} dates - Date instances, timestamps or ISO 8601 strings
+     * @example
+     * datepicker.setDates([new Date(2017, 2, 1), new Date(2017, 2, 5)]);
+     */
+    setDates: function(dates) {
+        this._discardPending();
+        this._setDates(util.map(dates || [], this._toZonedDate, this));
+    },
+
+    /**
+     * Set the dates having the wall-clock time of the time zone
+     * @param {Array.<Date|number>} dates - Date instances or timestamps
+     * @private
+     */
+    _setDates: function(dates) {
+        var newDates, prevDates, isChanged, i;
+
+        if (!this._isMultiple) {
+            return;
+        }
+
+        newDates = this._normalizeDates(dates);
+        prevDates = this._dates;
+        isChanged = newDates.length !== prevDates.length;
+
+        for (i = 0; !isChanged && i < newDates.length; i += 1) {
+            isChanged = newDates[i].getTime() !== prevDates[i].getTime();
+        }
+
+        if (!isChanged) {
+            return;
+        }
+
+        this._dates = newDates;
+        this._date = newDates.length ? new Date(newDates[newDates.length - 1]) : null;
+        this._syncToInput();
+        this._calendar.draw();
+        if (!this._isPending()) {
             this.fire('change');
         }
     },
 
+    /**
+     * Returns valid, selectable and unique dates sorted in ascending order
+     * @param {Array.<Date|number>} dates - Date instances or timestamps
+     * @returns {Array.<Date>}
+     * @private
+     */
+    _normalizeDates: function(dates) {
+        var maxCount = this._maxCount;
+        var unitType = this._getSelectionUnitType();
+        var result = [];
+
+        dates = util.filter(dates, function(date) {
+            return util.isNumber(date) || util.isDate(date);
+        });
+        dates = util.map(dates, this._normalizeDate, this);
+        dates.sort(function(a, b) {
+            return a - b;
+        });
+
+        util.forEach(dates, function(date) {
+            var prevDate = result[result.length - 1];
+            var isDuplicated = prevDate && this._isSameUnit(prevDate, date, unitType);
+
+            if (this._isSelectable(date, unitType) && !isDuplicated) {
+                result.push(date);
+            }
+        }, this);
+
+        if (util.isNumber(maxCount)) {
+            result = result.slice(0, maxCount);
+        }
+
+        return result;
+    },
+
+    /**
+     * Returns the validity of the input text
+     * - The input text is always valid out of the validation mode, since an invalid text is rolled back.
+     * @returns {{valid: boolean, reason: ?string, message: string}} Validity
+     *     - reason: 'invalid' | 'beforeMin' | 'afterMax' | 'unselectable' | null
+     *     - message: Localized message of the reason - {@link Datepicker.localeTexts}
+     * @example
+     * datepicker.getValidity(); // {valid: false, reason: 'beforeMin', message: 'Before the earliest allowed date'}
+     */
+    getValidity: function() {
+        var reason = this._invalidReason;
+        var messages = locale.getLocaleText(this._language).validationMessages || {};
+
+        return {
+            valid: !reason,
+            reason: reason,
+            message: reason ? messages[reason] : ''
+        };
+    },
+
+    /**
+     * Returns whether the input text is valid, and fires 'invalid' custom event if not
+     * @returns {boolean}
+     * @example
+     * $('form').on('submit', function(ev) {
+     *     if (!datepicker.checkValidity()) {
+     *         ev.preventDefault();
+     *     }
+     * });
+     */
+    checkValidity: function() {
+        var validity = this.getValidity();
+
+        if (!validity.valid) {
+            /**
+             * Invalid event - Fired by checkValidity with the validity of the input text
+             * @event Datepicker#invalid
+             * @example
+             *
+             * datepicker.on('invalid', function(validity) {
+             *     console.log(validity.reason, validity.message);
+             * });
+             */
+            this.fire('invalid', validity);
+        }
+
+        return validity.valid;
+    },
+
     /**
      * Set null date
+     * - The pending selection of the confirm mode is discarded.
      */
     setNull: function() {
+        this._discardPending();
+        this._setNull();
+    },
+
+    /**
+     * Clear the date and the dates
+     * @private
+     */
+    _setNull: function() {
         var isChagned = this._date !== null;
 
         if (this._datepickerInput) {
             this._datepickerInput.clearText();
         }
+        this._setValidity(null);
         if (this._timepicker) {
-            this._timepicker.setTime(0, 0);
+            this._setTimepickerTime(0, 0, 0);
         }
         this._date = null;
+        this._instant = null;
+        this._dates = [];
         this._calendar.draw(); // view update
 
-        if (isChagned) {
+        if (isChagned && !this._isPending()) {
             this.fire('change');
         }
     },
 
     /**
      * Set or update date-form
+     * - Keys: yyyy, yy, M, MM, MMM, MMMM, d, dd, D, DD, H, HH, h, hh, k, kk, K, KK, m, mm, ss, SSS, a, A,
+     *   Q (quarter), GGGG, GG (ISO week year), W, WW (ISO week), Z, ZZ, XXX (offset)
+     * - A text in brackets ([at]) or a letter after a backslash (\\d) is a literal text.
+     * - The single-letter keys (k, K, Q, W, Z) are matched only in their case,
+     *   but they replace the letters of a literal word as well. Escape such a word ('yyyy-MM-dd ([week])').
+     *   A key of unknown case ('dD', 'hH') is a literal text.
      * @param {String} [format] - date-format
      * @example
      * datepicker.setDateFormat('yyyy-MM-dd');
@@ -1020,6 +2446,36 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         return this._calendar;
     },
 
+    /**
+     * Change language
+     * - Re-localizes the calendar, the input text, the timepicker and the tab labels keeping the selected date.
+     * @param {string} language - Language key - {@link Datepicker.localeTexts}
+     * @example
+     * datepicker.changeLanguage('ko');
+     */
+    changeLanguage: function(language) {
+        var localeText = locale.getLocaleText(language);
+        var $selectorTexts = this._$element.find(SELECTOR_SELECTOR_TEXT);
+
+        this._language = language;
+        this._calendar.changeLanguage(language);
+        this._datepickerInput.setLocaleText(localeText);
+        if (this._timepicker) {
+            this._timepicker.changeLanguage(language);
+        }
+        if (this._bottomSheet) {
+            this._bottomSheet.setLocaleText(localeText);
+        }
+
+        $selectorTexts.eq(0).text(localeText.date);
+        $selectorTexts.eq(1).text(localeText.time);
+        this._$element.find(SELECTOR_APPLY).text(localeText.apply);
+        this._$element.find(SELECTOR_CANCEL).text(localeText.cancel);
+
+        this._setValidity(this._invalidReason); // Re-localize the error message
+        this._syncToInput();
+    },
+
     /**
      * Set input element
      * @param {string|jQuery|HTMLElement} element - Input element
@@ -1027,23 +2483,30 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      */
     setInput: function(element) {
         var prev = this._datepickerInput;
-        var localeText = localeTexts[this._language] || localeTexts[DEFAULT_LANGUAGE_TYPE];
-        var prevFormat;
+        var localeText = locale.getLocaleText(this._language);
+        var prevFormat, prevSeparator, prevMask;
 
         if (prev) {
             prevFormat = prev.getFormat();
+            prevSeparator = prev.getSeparator();
+            prevMask = prev.isMasked();
             prev.destroy();
         }
 
         this._datepickerInput = new DatepickerInput(element, {
             format: prevFormat,
             id: this._id,
-            localeText: localeText
+            localeText: localeText,
+            timeZone: this._timeZone
         });
+        this._datepickerInput.setSeparator(prevSeparator);
+        this._datepickerInput.setMask(prevMask);
+        this._setValidity(null);
 
         this._datepickerInput.on({
             change: this._onChangeInput,
-            click: this.open
+            click: this.open,
+            keydown: this._onKeydownInput
         }, this);
 
         this._syncToInput();
@@ -1096,6 +2559,7 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
      */
     destroy: function() {
         this._offDatepickerEvents(document);
+        this._offDatepickerEvents(window);
         this._calendar.destroy();
         if (this._timepicker) {
             this._timepicker.destroy();
@@ -1103,7 +2567,14 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
         if (this._datepickerInput) {
             this._datepickerInput.destroy();
         }
+        if (this._popupPosition) {
+            this._popupPosition.destroy();
+        }
+        if (this._bottomSheet) {
+            this._bottomSheet.destroy();
+        }
         this._$element.remove();
+        this._$liveRegion.remove();
         this.removeAllOpeners();
 
         this._calendar
@@ -1111,8 +2582,17 @@ var Datepicker = util.defineClass(/** @lends Datepicker.prototype */{
             = this._datepickerInput
             = this._$container
             = this._$element
+            = this._$liveRegion
+            = this._popupPosition
+            = this._bottomSheet
+            = this._revertState
+            = this._timeZone
             = this._date
+            = this._dates
             = this._rangeModel
+            = this._highlightRange
+            = this._hoveredDate
+            = this._invalidReason
             = this._openers
             = this._isEnabled
             = this._id
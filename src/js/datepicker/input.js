@@ -5,9 +5,144 @@
 'use strict';
 
 var DateTimeFormatter = require('../dateTimeFormatter');
+var dateUtil = require('../dateUtil');
+var InputMask = require('./inputMask');
+var relativeDate = require('../relativeDate');
 var setTouchClickEvent = require('../setTouchClickEvent');
 
 var DEFAULT_FORMAT = 'yyyy-MM-dd';
+var DEFAULT_SEPARATOR = ', ';
+
+var CLASS_NAME_INVALID = 'tui-is-invalid';
+
+var ERROR_HTML = '<span class="tui-datepicker-error" role="alert"></span>';
+
+var KEYCODE_BACKSPACE = 8;
+var KEYCODE_ENTER = 13;
+var KEYCODE_DELETE = 46;
+var KEYCODE_NUMPAD_0 = 96;
+var KEYCODE_NUMPAD_9 = 105;
+
+// Characters of the key codes - The fallback of the key values (IE8)
+var rKeyCodeCharacter = /^[0-9A-Z]$/;
+
+// Steps of the masked value by the arrow keys (up, down)
+var STEPS_OF_KEYCODES = {
+    38: 1,
+    40: -1
+};
+
+/**
+ * Returns whether a key is pressed with a modifier key
+ * @ignore
+ * @param {jQuery.Event} ev - Event object
+ * @returns {boolean}
+ */
+var isModified = function(ev) {
+    return !!(ev.ctrlKey || ev.metaKey || ev.altKey);
+};
+
+/**
+ * Returns the key value of a digit or a letter key code - The browsers not supporting the key values (IE8)
+ * @ignore
+ * @param {number} keyCode - Key code
+ * @returns {string} Empty string if the key code is not of a digit or a letter
+ */
+var getKeyOfKeyCode = function(keyCode) {
+    var char;
+
+    if (keyCode >= KEYCODE_NUMPAD_0 && keyCode <= KEYCODE_NUMPAD_9) {
+        return String(keyCode - KEYCODE_NUMPAD_0);
+    }
+    char = String.fromCharCode(keyCode);
+
+    return rKeyCodeCharacter.test(char) ? char : '';
+};
+
+/**
+ * Returns the key value of a keyboard event
+ * @ignore
+ * @param {jQuery.Event} ev - Event object
+ * @returns {string}
+ */
+var getKey = function(ev) {
+    return ev.key || (ev.originalEvent && ev.originalEvent.key) || getKeyOfKeyCode(ev.which || ev.keyCode);
+};
+
+/**
+ * Returns the selection of an input element
+ * - The text range of the document selection is used if the selection properties are not supported (IE8).
+ * @ignore
+ * @param {HTMLInputElement} input - Input element
+ * @returns {{start: number, end: number}}
+ */
+var getSelectionRange = function(input) {
+    var range, textRange;
+
+    if (tui.util.isNumber(input.selectionStart)) {
+        return {
+            start: input.selectionStart,
+            end: input.selectionEnd
+        };
+    }
+
+    range = document.selection.createRange();
+    textRange = input.createTextRange();
+    textRange.setEndPoint('EndToStart', range);
+
+    return {
+        start: textRange.text.length,
+        end: textRange.text.length + range.text.length
+    };
+};
+
+/**
+ * Set the selection of an input element
+ * - The text range is used if 'setSelectionRange' is not supported (IE8).
+ * @ignore
+ * @param {HTMLInputElement} input - Input element
+ * @param {number} start - Start of the selection
+ * @param {number} end - End of the selection
+ */
+var setSelectionRange = function(input, start, end) {
+    var textRange;
+
+    if (input.setSelectionRange) {
+        input.setSelectionRange(start, end);
+
+        return;
+    }
+
+    textRange = input.createTextRange();
+    textRange.collapse(true);
+    textRange.moveEnd('character', end);
+    textRange.moveStart('character', start);
+    textRange.select();
+};
+
+/**
+ * Returns the id references without an id
+ * @ignore
+ * @param {string} [idRefs] - Space separated id references. ex) The value of aria-describedby
+ * @param {string} id - Id to remove
+ * @returns {string}
+ */
+var removeIdRef = function(idRefs, id) {
+    return tui.util.filter($.trim(idRefs || '').split(/\s+/), function(ref) {
+        return !!ref && ref !== id;
+    }).join(' ');
+};
+
+/**
+ * Returns the id references having an id
+ * @ignore
+ * @param {string} [idRefs] - Space separated id references
+ * @param {string} id - Id to add
+ * @returns {string}
+ */
+var addIdRef = function(idRefs, id) {
+    return $.trim(removeIdRef(idRefs, id) + ' ' + id);
+};
 
 /**
  * Datepicker Input
@@ -17,6 +152,7 @@ var DEFAULT_FORMAT = 'yyyy-MM-dd';
  * @param {object} option - Option
  * @param {string} option.id - Id
  * @param {string} option.format - Text format
+ * @param {?string} [option.timeZone] - IANA time zone name of the offsets in the text
  */
 var DatepickerInput = tui.util.defineClass(/** @lends DatepickerInput.prototype */{
     init: function(inputElement, option) {
@@ -37,34 +173,182 @@ var DatepickerInput = tui.util.defineClass(/** @lends DatepickerInput.prototype
         this._id = option.id;
 
         /**
-         * LocaleText titles
+         * LocaleText having the titles and the relative date texts
          * @type {Object}
          * @private
          */
-        this._titles = option.localeText.titles;
+        this._localeText = option.localeText;
+
+        /**
+         * IANA time zone name of the offsets in the text
+         * @type {?string}
+         * @private
+         */
+        this._timeZone = option.timeZone || null;
 
         /**
          * Text<->DateTime Formatter
          * @type {DateTimeFormatter}
          * @private
          */
-        this._formatter = new DateTimeFormatter(option.format, this._titles);
+        this._formatter = this._createFormatter(option.format);
+
+        /**
+         * Separator of date strings for multiple dates
+         * @type {string}
+         * @private
+         */
+        this._separator = DEFAULT_SEPARATOR;
+
+        /**
+         * Whether the typing is guided by the format
+         * @type {boolean}
+         * @private
+         */
+        this._isMasked = false;
+
+        /**
+         * Input mask of the format - null if not masked or the format can not be masked
+         * @type {?InputMask}
+         * @private
+         */
+        this._mask = null;
+
+        /**
+         * Whether the text is edited by the mask after the last 'change' event
+         * @type {boolean}
+         * @private
+         */
+        this._isMaskEdited = false;
+
+        /**
+         * Element of the error message
+         * @type {?jQuery}
+         * @private
+         */
+        this._$error = null;
 
         this._setEvents();
     },
 
     /**
-     * Set input 'click', 'change' event
+     * Set input 'click', 'change', 'keydown', 'blur' event
      * @private
      */
     _setEvents: function() {
-        this._$input.on('change.' + this._id, $.proxy(this.fire, this, 'change'));
+        this._$input.on('change.' + this._id, $.proxy(this._onChange, this))
+            .on('keydown.' + this._id, $.proxy(this._onKeydown, this))
+            .on('blur.' + this._id, $.proxy(this._fireMaskChange, this));
 
         setTouchClickEvent(this._$input, $.proxy(this.fire, this, 'click'), {
             namespace: this._id
         });
     },
 
+    /**
+     * Change event handler
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onChange: function(ev) {
+        this._isMaskEdited = false;
+        this.fire('change', ev);
+    },
+
+    /**
+     * Keydown event handler
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onKeydown: function(ev) {
+        if (this._mask) {
+            this._onKeydownMask(ev);
+        }
+        this.fire('keydown', ev);
+    },
+
+    /**
+     * Keydown event handler of the mask
+     * - The 'change' event is fired by the enter key, since the edited text is not changed natively.
+     * @param {jQuery.Event} ev - Event object
+     * @private
+     */
+    _onKeydownMask: function(ev) {
+        var keyCode = ev.which || ev.keyCode;
+        var result;
+
+        if (keyCode === KEYCODE_ENTER) {
+            this._fireMaskChange();
+        } else if (!isModified(ev)) {
+            result = this._getMaskResult(keyCode, getKey(ev));
+        }
+
+        if (result) {
+            ev.preventDefault();
+            this._setMaskResult(result);
+        }
+    },
+
+    /**
+     * Returns the text edited by the mask
+     * @param {number} keyCode - Key code
+     * @param {string} key - Key value
+     * @returns {?{text: string, start: number, end: number}} Null if the key is not handled by the mask
+     * @private
+     */
+    _getMaskResult: function(keyCode, key) {
+        var text = this._$input[0].value;
+        var selection = getSelectionRange(this._$input[0]);
+        var step = STEPS_OF_KEYCODES[keyCode];
+
+        if (step) {
+            return this._mask.step(text, selection.start, step, this._getTodayText());
+        }
+        if (keyCode === KEYCODE_BACKSPACE) {
+            return this._mask.remove(text, selection.start, selection.end);
+        }
+        if (keyCode === KEYCODE_DELETE) {
+            return this._mask.remove(text, selection.start, Math.max(selection.end, selection.start + 1));
+        }
+
+        return (key.length === 1) ? this._mask.type(text, key, selection.start, selection.end) : null;
+    },
+
+    /**
+     * Set the text and the selection edited by the mask
+     * @param {{text: string, start: number, end: number}} result - Text and selection
+     * @private
+     */
+    _setMaskResult: function(result) {
+        var input = this._$input[0];
+
+        if (input.value !== result.text) {
+            input.value = result.text;
+            this._isMaskEdited = true;
+        }
+        setSelectionRange(input, result.start, result.end);
+    },
+
+    /**
+     * Fire the 'change' event if the text is edited by the mask
+     * @private
+     */
+    _fireMaskChange: function() {
+        if (this._isMaskEdited) {
+            this._isMaskEdited = false;
+            this.fire('change');
+        }
+    },
+
+    /**
+     * Returns the text of today - The base values of the mask
+     * @returns {string}
+     * @private
+     */
+    _getTodayText: function() {
+        return this._formatter.format(dateUtil.toZonedDate(new Date(), this._timeZone));
+    },
+
     /**
      * @see {@link http://api.jquery.com/is/}
      * @param {string|jQuery|HTMLElement|function} el - To check matched set of elements
@@ -74,6 +358,21 @@ var DatepickerInput = tui.util.defineClass(/** @lends DatepickerInput.prototype
         return this._$input.is(el);
     },
 
+    /**
+     * Returns the input element
+     * @returns {HTMLElement}
+     */
+    getElement: function() {
+        return this._$input[0];
+    },
+
+    /**
+     * Focus input
+     */
+    focus: function() {
+        this._$input.focus();
+    },
+
     /**
      * Enable input
      */
@@ -105,7 +404,153 @@ var DatepickerInput = tui.util.defineClass(/** @lends DatepickerInput.prototype
             return;
         }
 
-        this._formatter = new DateTimeFormatter(format, this._titles);
+        this._formatter = this._createFormatter(format);
+        this._refreshMask();
+    },
+
+    /**
+     * Returns whether the typing is guided by the format
+     * @returns {boolean}
+     */
+    isMasked: function() {
+        return this._isMasked;
+    },
+
+    /**
+     * Set whether the typing is guided by the format
+     * - Separators are inserted, each field accepts valid digits only,
+     *   and the arrow up/down keys change the field at the caret.
+     * - The names of months and days, and the offsets can not be masked.
+     * @param {boolean} isMasked - Whether to mask
+     */
+    setMask: function(isMasked) {
+        this._isMasked = !!isMasked;
+        this._refreshMask();
+    },
+
+    /**
+     * Create the mask of the format if masked
+     * @private
+     */
+    _refreshMask: function() {
+        var segments = this._formatter.getSegments();
+
+        this._mask = (this._isMasked && InputMask.isAvailable(segments)) ? new InputMask(segments) : null;
+    },
+
+    /**
+     * Set locale text to format the date
+     * @param {object} localeText - Locale text
+     */
+    setLocaleText: function(localeText) {
+        this._localeText = localeText;
+        this._formatter = this._createFormatter(this.getFormat());
+        this._refreshMask();
+    },
+
+    /**
+     * Create the formatter of a format
+     * @param {string} format - Format
+     * @returns {DateTimeFormatter}
+     * @private
+     */
+    _createFormatter: function(format) {
+        return new DateTimeFormatter(format, this._localeText.titles, this._timeZone);
+    },
+
+    /**
+     * Parse a text to a date
+     * - A relative date expression ('today', 'next friday', '+3d', ...) is parsed prior to the format.
+     * @param {string} text - Text
+     * @param {Date} baseDate - Date the relative date expressions are relative to
+     * @returns {Date}
+     * @throws {Error}
+     * @private
+     */
+    _parse: function(text, baseDate) {
+        return relativeDate.parse(text, baseDate, this._localeText) || this._formatter.parse(text);
+    },
+
+    /**
+     * Returns whether the format has a field of the type
+     * @param {string} type - Type of the field. ex) 'week'
+     * @returns {boolean}
+     */
+    hasField: function(type) {
+        return tui.util.filter(this._formatter.getSegments(), function(segment) {
+            return segment.type === type;
+        }).length > 0;
+    },
+
+    /**
+     * Returns separator of date strings for multiple dates
+     * @returns {string}
+     */
+    getSeparator: function() {
+        return this._separator;
+    },
+
+    /**
+     * Set separator of date strings for multiple dates
+     * @param {string} separator - Separator
+     */
+    setSeparator: function(separator) {
+        if (!separator) {
+            return;
+        }
+
+        this._separator = separator;
+    },
+
+    /**
+     * Returns whether the text is empty
+     * @returns {boolean}
+     */
+    isEmpty: function() {
+        return !$.trim(this._$input.val());
+    },
+
+    /**
+     * Set the error message - The input gets aria-invalid and the error class, and describes the message.
+     * @param {?string} message - Error message. Null to clear the error
+     */
+    setError: function(message) {
+        var errorId = this._id + '-error';
+
+        this._removeError();
+        if (!message) {
+            return;
+        }
+
+        this._$input.addClass(CLASS_NAME_INVALID).attr({
+            'aria-invalid': 'true',
+            'aria-describedby': addIdRef(this._$input.attr('aria-describedby'), errorId)
+        });
+        this._$error = $(ERROR_HTML).attr('id', errorId)
+            .text(message)
+            .insertAfter(this._$input);
+    },
+
+    /**
+     * Remove the error message
+     * @private
+     */
+    _removeError: function() {
+        var describedBy;
+
+        if (!this._$error) {
+            return;
+        }
+
+        describedBy = removeIdRef(this._$input.attr('aria-describedby'), this._$error.attr('id'));
+        if (describedBy) {
+            this._$input.attr('aria-describedby', describedBy);
+        } else {
+            this._$input.removeAttr('aria-describedby');
+        }
+        this._$input.removeClass(CLASS_NAME_INVALID).removeAttr('aria-invalid');
+        this._$error.remove();
+        this._$error = null;
     },
 
     /**
@@ -125,13 +570,77 @@ var DatepickerInput = tui.util.defineClass(/** @lends DatepickerInput.prototype
 
     /**
      * Returns date from input-text
+     * @param {Date} baseDate - Date the relative date expressions are relative to
      * @returns {Date}
      * @throws {Error}
      */
-    getDate: function() {
+    getDate: function(baseDate) {
         var value = this._$input.val();
 
-        return this._formatter.parse(value);
+        return this._parse(value, baseDate);
+    },
+
+    /**
+     * Set value from dates
+     * @param {Array.<Date>} dates - Dates
+     */
+    setDates: function(dates) {
+        var texts = tui.util.map(dates, function(date) {
+            return this._formatter.format(date);
+        }, this);
+
+        this._$input.val(texts.join(this._separator));
+    },
+
+    /**
+     * Returns dates from input-text
+     * - Whitespaces around the separator are ignored.
+     * - A separator in the format ('MMMM d, yyyy') is a part of the date string, not of the dates.
+     * @param {Date} baseDate - Date the relative date expressions are relative to
+     * @returns {Array.<Date>}
+     * @throws {Error}
+     */
+    getDates: function(baseDate) {
+        var value = $.trim(this._$input.val());
+        var separator = $.trim(this._separator);
+        var expression = separator ? '\\s*' + DateTimeFormatter.escapeRegExp(separator) + '\\s*' : '\\s+';
+        var rSeparator = new RegExp(expression, 'g');
+        var dates = [];
+        var start = 0;
+        var matched, date;
+
+        if (!value) {
+            return [];
+        }
+
+        // The shortest text parsed to a date is taken before each separator
+        matched = rSeparator.exec(value);
+        while (matched) {
+            date = this._parseOrNull(value.slice(start, matched.index), baseDate);
+            if (date) {
+                dates.push(date);
+                start = matched.index + matched[0].length;
+            }
+            matched = rSeparator.exec(value);
+        }
+        dates.push(this._parse(value.slice(start), baseDate));
+
+        return dates;
+    },
+
+    /**
+     * Parse a text to a date
+     * @param {string} text - Text
+     * @param {Date} baseDate - Date the relative date expressions are relative to
+     * @returns {?Date} Null if the text is not parsed
+     * @private
+     */
+    _parseOrNull: function(text, baseDate) {
+        try {
+            return this._parse(text, baseDate);
+        } catch (e) {
+            return null;
+        }
     },
 
     /**
@@ -141,11 +650,15 @@ var DatepickerInput = tui.util.defineClass(/** @lends DatepickerInput.prototype
         var evNamespace = '.' + this._id;
 
         this.off();
+        this._removeError();
         this._$input.off(evNamespace);
 
         this._$input
             = this._id
             = this._formatter
+            = this._localeText
+            = this._separator
+            = this._mask
             = null;
     }
 });
@@ -0,0 +1,671 @@
+/**
+ * @fileoverview Input mask guiding the typing of a date text in the format of DatepickerInput
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var constants = require('../constants');
+
+var util = tui.util;
+
+var rDigit = /^\d$/;
+var rDigits = /^\d+/;
+
+// Ranges of the values of the numeric keys
+var RANGES_OF_KEYS = {
+    GGGG: [0, 9999],
+    GG: [0, 99],
+    yyyy: [0, 9999],
+    yy: [0, 99],
+    WW: [1, 53],
+    W: [1, 53],
+    M: [1, 12],
+    MM: [1, 12],
+    Q: [1, 4],
+    dd: [1, 31],
+    d: [1, 31],
+    h: [1, 12],
+    hh: [1, 12],
+    H: [0, 23],
+    HH: [0, 23],
+    k: [1, 24],
+    kk: [1, 24],
+    K: [0, 11],
+    KK: [0, 11],
+    m: [0, 59],
+    mm: [0, 59],
+    ss: [0, 59],
+    SSS: [0, 999]
+};
+
+// Types of the fields which are not padded with leading zeros
+var UNPADDED_TYPES = [constants.TYPE_YEAR, constants.TYPE_WEEK_YEAR];
+
+/**
+ * Returns whether a segment is a literal text
+ * @ignore
+ * @param {object} segment - Segment of DateTimeFormatter
+ * @returns {boolean}
+ */
+var isText = function(segment) {
+    return util.isString(segment.text);
+};
+
+/**
+ * Create a field from a field segment of DateTimeFormatter
+ * @ignore
+ * @param {object} segment - Field segment
+ * @returns {object} Field having the range (min, max, maxLength) of the value
+ */
+var createField = function(segment) {
+    var range = RANGES_OF_KEYS[segment.key] || [0, 0];
+
+    return util.extend({}, segment, {
+        regExp: new RegExp('^' + segment.expression + '$', 'i'),
+        min: range[0],
+        max: range[1],
+        maxLength: String(range[1]).length,
+        isPadded: segment.key.length > 1 && util.inArray(segment.type, UNPADDED_TYPES) < 0
+    });
+};
+
+/**
+ * Returns whether a value of a field is valid to parse
+ * @ignore
+ * @param {object} field - Field
+ * @param {string} value - Value
+ * @returns {boolean}
+ */
+var isValidValue = function(field, value) {
+    return field.regExp.test(value);
+};
+
+/**
+ * Returns whether a value of a field is valid or can be valid by more digits
+ * @ignore
+ * @param {object} field - Field
+ * @param {string} value - Value
+ * @returns {boolean}
+ */
+var isAcceptableValue = function(field, value) {
+    return isValidValue(field, value) || (value.length < field.maxLength && Number(value) * 10 <= field.max);
+};
+
+/**
+ * Returns whether a value of a field can not have more digits
+ * @ignore
+ * @param {object} field - Field
+ * @param {string} value - Value
+ * @returns {boolean}
+ */
+var isCompleteValue = function(field, value) {
+    var isFull = !!field.names || value.length >= field.maxLength || Number(value) * 10 > field.max;
+
+    return isFull && isValidValue(field, value);
+};
+
+/**
+ * Returns the value padded with leading zeros ('3' -> '03' for 'MM')
+ * @ignore
+ * @param {object} field - Field
+ * @param {string} value - Value
+ * @returns {string}
+ */
+var padValue = function(field, value) {
+    if (!field.isPadded || value.length >= field.maxLength) {
+        return value;
+    }
+
+    return ('000' + value).slice(-field.maxLength);
+};
+
+/**
+ * Returns the value of a field at the start of a text
+ * @ignore
+ * @param {object} field - Field
+ * @param {string} text - Text
+ * @returns {string} Empty string if the text does not start with a value
+ */
+var readValue = function(field, text) {
+    var matched;
+
+    if (field.names) {
+        return util.filter(util.map(field.names, function(name) {
+            return text.slice(0, name.length);
+        }), function(value) {
+            return isValidValue(field, value);
+        })[0] || '';
+    }
+
+    matched = rDigits.exec(text);
+
+    return matched ? matched[0].slice(0, field.maxLength) : '';
+};
+
+/**
+ * Returns the value of a field having a typed character
+ * - The meridiem is chosen by the first character.
+ * @ignore
+ * @param {object} field - Field
+ * @param {string} value - Value before typing
+ * @param {string} char - Typed character
+ * @returns {?string} Null if the character is not acceptable
+ */
+var getTypedValue = function(field, value, char) {
+    var lowerChar = char.toLowerCase();
+    var typedValue = value + char;
+
+    if (field.names) {
+        return util.filter(field.names, function(name) {
+            return name.charAt(0).toLowerCase() === lowerChar;
+        })[0] || null;
+    }
+
+    return (rDigit.test(char) && isAcceptableValue(field, typedValue)) ? typedValue : null;
+};
+
+/**
+ * Returns the selection in a text
+ * @ignore
+ * @param {string} text - Text
+ * @param {number} [start] - Start of the selection. The end of the text by default.
+ * @param {number} [end] - End of the selection. The start by default.
+ * @returns {{start: number, end: number}}
+ */
+var getSelection = function(text, start, end) {
+    var selectionStart = util.isUndefined(start) ? text.length : start;
+
+    return {
+        start: selectionStart,
+        end: util.isUndefined(end) ? selectionStart : end
+    };
+};
+
+/**
+ * Returns the value of a field increased by a step - The value circulates in the range.
+ * @ignore
+ * @param {object} field - Field
+ * @param {string} value - Valid value
+ * @param {number} step - Step (1 or -1)
+ * @returns {string}
+ */
+var stepValue = function(field, value, step) {
+    var names = field.names;
+    var lowerNames, number;
+
+    if (names) {
+        lowerNames = util.map(names, function(name) {
+            return name.toLowerCase();
+        });
+
+        return names[(util.inArray(value.toLowerCase(), lowerNames) + names.length + step) % names.length];
+    }
+
+    number = Number(value) + step;
+    if (number > field.max) {
+        number = field.min;
+    } else if (number < field.min) {
+        number = field.max;
+    }
+
+    return padValue(field, String(number));
+};
+
+/**
+ * Input mask
+ * - The text is handled only while it follows the format.
+ * - The separators are inserted after a complete value of a field typed at the end.
+ * - A character making the text not follow the format is rejected.
+ * @ignore
+ * @class
+ * @param {Array.<object>} segments - Segments of DateTimeFormatter - {@link DateTimeFormatter#getSegments}
+ */
+var InputMask = util.defineClass(/** @lends InputMask.prototype */{
+    static: {
+        /**
+         * Returns whether the segments can be masked.
+         * The fields of the names of months and days, and the offsets can not be masked.
+         * @param {Array.<object>} segments - Segments of DateTimeFormatter
+         * @returns {boolean}
+         */
+        isAvailable: function(segments) {
+            var fields = util.filter(segments, function(segment) {
+                return !isText(segment);
+            });
+            var maskableFields = util.filter(fields, function(field) {
+                return !!(field.names || RANGES_OF_KEYS[field.key]);
+            });
+
+            return fields.length > 0 && maskableFields.length === fields.length;
+        }
+    },
+    init: function(segments) {
+        /**
+         * Segments - Literal texts and fields
+         * @type {Array.<object>}
+         * @private
+         */
+        this._segments = util.map(segments, function(segment) {
+            return isText(segment) ? segment : createField(segment);
+        });
+
+        /**
+         * Fields in order
+         * @type {Array.<object>}
+         * @private
+         */
+        this._fields = util.filter(this._segments, function(segment) {
+            return !isText(segment);
+        });
+    },
+
+    /**
+     * Returns the values of the fields in a text
+     * @param {string} text - Text
+     * @returns {?{values: Array.<string>, isClosed: boolean}} Null if the text does not follow the format
+     *     - isClosed: Whether the text ends with the separator after the last value
+     * @private
+     */
+    _split: function(text) {
+        var values = [];
+        var position = 0;
+        var isClosed = false;
+        var isFollowing = true;
+
+        util.forEach(this._segments, function(segment) {
+            var rest = text.slice(position);
+            var value;
+
+            if (!rest) {
+                return false;
+            }
+
+            if (isText(segment)) {
+                isFollowing = rest.indexOf(segment.text) === 0 || segment.text.indexOf(rest) === 0;
+                position += Math.min(segment.text.length, rest.length);
+                isClosed = true;
+            } else {
+                value = readValue(segment, rest);
+                isFollowing = !!value;
+                position += value.length;
+                isClosed = false;
+                values.push(value);
+            }
+
+            return isFollowing;
+        });
+
+        if (!isFollowing || position < text.length) {
+            return null;
+        }
+
+        return {
+            values: values,
+            isClosed: isClosed
+        };
+    },
+
+    /**
+     * Returns the text of the values of the fields
+     * @param {Array.<string>} values - Values of the fields
+     * @param {boolean} isClosed - Whether to add the separator after the last value
+     * @returns {{text: string, positions: Array.<{start: number, end: number}>}}
+     * @private
+     */
+    _compose: function(values, isClosed) {
+        var text = '';
+        var positions = [];
+        var fieldIndex = 0;
+
+        util.forEach(this._segments, function(segment) {
+            var isAfterValues = fieldIndex === values.length;
+
+            if (fieldIndex > values.length || (isAfterValues && (!isClosed || !isText(segment)))) {
+                return false;
+            }
+
+            if (isText(segment)) {
+                text += segment.text;
+            } else {
+                positions.push({
+                    start: text.length,
+                    end: text.length + values[fieldIndex].length
+                });
+                text += values[fieldIndex];
+                fieldIndex += 1;
+            }
+
+            return true;
+        });
+
+        return {
+            text: text,
+            positions: positions
+        };
+    },
+
+    /**
+     * Returns the result of the values having the caret at the end
+     * @param {Array.<string>} values - Values of the fields
+     * @param {boolean} isClosed - Whether to add the separator after the last value
+     * @returns {{text: string, start: number, end: number}}
+     * @private
+     */
+    _makeResult: function(values, isClosed) {
+        var text = this._compose(values, isClosed).text;
+
+        return {
+            text: text,
+            start: text.length,
+            end: text.length
+        };
+    },
+
+    /**
+     * Close the last value if it is complete
+     * @param {Array.<string>} values - Values of the fields
+     * @returns {{text: string, start: number, end: number}}
+     * @private
+     */
+    _closeIfComplete: function(values) {
+        var index = values.length - 1;
+        var field = this._fields[index];
+        var isClosed = isCompleteValue(field, values[index]);
+
+        if (isClosed) {
+            values[index] = padValue(field, values[index]);
+        }
+
+        return this._makeResult(values, isClosed);
+    },
+
+    /**
+     * Start the value of the next field by a typed character
+     * @param {Array.<string>} values - Values of the fields
+     * @param {string} char - Typed character
+     * @returns {{text: string, start: number, end: number}}
+     * @private
+     */
+    _startValue: function(values, char) {
+        var field = this._fields[values.length];
+        var value = field ? getTypedValue(field, '', char) : null;
+
+        if (value === null) {
+            return this._makeResult(values, true);
+        }
+        values.push(value);
+
+        return this._closeIfComplete(values);
+    },
+
+    /**
+     * Append a typed character to the last value.
+     * The last value is closed if the character is not acceptable for it, and then the next value is started.
+     * @param {Array.<string>} values - Values of the fields
+     * @param {string} char - Typed character
+     * @returns {{text: string, start: number, end: number}}
+     * @private
+     */
+    _appendValue: function(values, char) {
+        var index = values.length - 1;
+        var field = this._fields[index];
+        var value = getTypedValue(field, values[index], char);
+
+        if (value !== null) {
+            values[index] = value;
+
+            return this._closeIfComplete(values);
+        }
+
+        if (!isValidValue(field, values[index])) {
+            return this._makeResult(values, false);
+        }
+        values[index] = padValue(field, values[index]);
+
+        return rDigit.test(char) ? this._startValue(values, char) : this._makeResult(values, true);
+    },
+
+    /**
+     * Returns whether a text follows the format having the acceptable values
+     * @param {string} text - Text
+     * @returns {boolean}
+     * @private
+     */
+    _isFollowing: function(text) {
+        var state = this._split(text);
+        var fields = this._fields;
+
+        return !!state && util.filter(state.values, function(value, index) {
+            return !isAcceptableValue(fields[index], value);
+        }).length === 0;
+    },
+
+    /**
+     * Type a character at the end of a text
+     * @param {string} text - Text
+     * @param {string} char - Typed character
+     * @returns {?{text: string, start: number, end: number}}
+     * @private
+     */
+    _typeAtEnd: function(text, char) {
+        var state = this._split(text);
+
+        if (!state || (!text && getTypedValue(this._fields[0], '', char) === null)) {
+            return null; // A character not starting the first value starts a relative date expression
+        }
+
+        if (!state.values.length || state.isClosed) {
+            return this._startValue(state.values, char);
+        }
+
+        return this._appendValue(state.values, char);
+    },
+
+    /**
+     * Type a character replacing a selection before the end of a text
+     * @param {string} text - Text
+     * @param {string} char - Typed character
+     * @param {{start: number, end: number}} selection - Selection
+     * @returns {?{text: string, start: number, end: number}}
+     * @private
+     */
+    _typeInside: function(text, char, selection) {
+        var typedText = text.slice(0, selection.start) + char + text.slice(selection.end);
+
+        if (!this._isFollowing(text)) {
+            return null;
+        }
+
+        if (!this._isFollowing(typedText)) {
+            return {
+                text: text,
+                start: selection.start,
+                end: selection.end
+            };
+        }
+
+        return {
+            text: typedText,
+            start: selection.start + 1,
+            end: selection.start + 1
+        };
+    },
+
+    /**
+     * Type a character replacing the selection of a text.
+     * At the end of the text, a digit not acceptable for the current field is ignored,
+     * and a separator closes the current field.
+     * @param {string} text - Text
+     * @param {string} char - Typed character
+     * @param {number} [start] - Start of the selection. The end of the text by default.
+     * @param {number} [end] - End of the selection. The start by default.
+     * @returns {?{text: string, start: number, end: number}} New text and selection
+     *     - Null if the text is not guided. ex) a relative date expression
+     */
+    type: function(text, char, start, end) {
+        var selection = getSelection(text, start, end);
+
+        if (selection.end < text.length) {
+            return this._typeInside(text, char, selection);
+        }
+
+        return this._typeAtEnd(text.slice(0, selection.start), char);
+    },
+
+    /**
+     * Remove the last character of a text. The separator is removed with the last character of the value.
+     * @param {string} text - Text
+     * @returns {?{text: string, start: number, end: number}}
+     * @private
+     */
+    _removeLast: function(text) {
+        var state = this._split(text);
+        var values, index, value;
+
+        if (!state || !state.values.length) {
+            return null;
+        }
+
+        values = state.values;
+        index = values.length - 1;
+        value = this._fields[index].names ? '' : values[index].slice(0, -1);
+
+        if (value) {
+            values[index] = value;
+
+            return this._makeResult(values, false);
+        }
+        values.pop();
+
+        return this._makeResult(values, values.length > 0);
+    },
+
+    /**
+     * Remove a range of a text. Only the caret is moved if the text does not follow the format after removing.
+     * @param {string} text - Text
+     * @param {number} start - Start of the range
+     * @param {number} end - End of the range
+     * @returns {?{text: string, start: number, end: number}}
+     * @private
+     */
+    _removeRange: function(text, start, end) {
+        var caret = Math.max(start, 0);
+        var removedText = text.slice(0, caret) + text.slice(end);
+
+        if (!this._isFollowing(text)) {
+            return null;
+        }
+
+        return {
+            text: this._isFollowing(removedText) ? removedText : text,
+            start: caret,
+            end: caret
+        };
+    },
+
+    /**
+     * Remove the selection of a text, or the character before the caret.
+     * At the end of the text, the separator is removed with the last character of the value.
+     * @param {string} text - Text
+     * @param {number} [start] - Start of the selection. The end of the text by default.
+     * @param {number} [end] - End of the selection. The start by default.
+     * @returns {?{text: string, start: number, end: number}} New text and selection
+     *     - Null if the text is not guided
+     */
+    remove: function(text, start, end) {
+        var selection = getSelection(text, start, end);
+
+        if (selection.start < selection.end) {
+            return this._removeRange(text, selection.start, selection.end);
+        }
+
+        if (selection.start === text.length) {
+            return this._removeLast(text);
+        }
+
+        return this._removeRange(text, selection.start - 1, selection.start);
+    },
+
+    /**
+     * Increase or decrease the value of the field at the caret.
+     * An empty or invalid value is replaced with the value of the base text.
+     * @param {string} text - Text
+     * @param {number} caret - Caret position
+     * @param {number} step - Step (1 or -1)
+     * @param {string} baseText - Text having the base values. ex) The text of today
+     * @returns {?{text: string, start: number, end: number}} New text and selection of the field
+     *     - Null if the text is not guided
+     */
+    step: function(text, caret, step, baseText) {
+        var state = this._split(text);
+        var index, field, values, value, composed;
+
+        if (!state) {
+            return null;
+        }
+
+        values = state.values;
+        index = this._getFieldIndexAt(state, caret);
+        field = this._fields[index];
+        if (!field) {
+            return null;
+        }
+
+        value = values[index];
+        if (value && isValidValue(field, value)) {
+            values[index] = stepValue(field, value, step);
+        } else {
+            values[index] = this._getBaseValue(index, baseText);
+        }
+        composed = this._compose(values, index < values.length - 1 ? state.isClosed : true);
+
+        return {
+            text: composed.text,
+            start: composed.positions[index].start,
+            end: composed.positions[index].end
+        };
+    },
+
+    /**
+     * Returns the index of the field at a caret position
+     * @param {{values: Array.<string>, isClosed: boolean}} state - Values of the fields
+     * @param {number} caret - Caret position
+     * @returns {number} The index of the next field if the caret is after the separator of the last value
+     * @private
+     */
+    _getFieldIndexAt: function(state, caret) {
+        var positions = this._compose(state.values, state.isClosed).positions;
+        var index = state.isClosed ? positions.length : Math.max(positions.length - 1, 0);
+
+        util.forEach(positions, function(position, positionIndex) {
+            if (caret <= position.end) {
+                index = positionIndex;
+            }
+
+            return caret > position.end;
+        });
+
+        return index;
+    },
+
+    /**
+     * Returns the value of a field in the base text
+     * @param {number} index - Index of the field
+     * @param {string} baseText - Base text
+     * @returns {string} The minimum value if the base text does not have a valid value
+     * @private
+     */
+    _getBaseValue: function(index, baseText) {
+        var field = this._fields[index];
+        var baseState = this._split(baseText);
+        var value = baseState && baseState.values[index];
+
+        if (value && isValidValue(field, value)) {
+            return value;
+        }
+
+        return field.names ? field.names[0] : padValue(field, String(field.min));
+    }
+});
+
+module.exports = InputMask;
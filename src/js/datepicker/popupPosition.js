@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Popup positioning anchoring the datepicker element to the input or the opener
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var util = tui.util;
+
+var DEFAULT_PLACEMENT = 'bottom-start';
+var DEFAULT_OFFSET = 4;
+
+var rScrollable = /auto|scroll/;
+var rClipping = /auto|scroll|hidden/;
+
+var OPPOSITES = {
+    top: 'bottom',
+    bottom: 'top',
+    left: 'right',
+    right: 'left',
+    start: 'end',
+    end: 'start',
+    center: 'center'
+};
+
+// Coordinates on the main axis by the side
+var SIDE_COORDS = {
+    top: function(rect, size, offset) {
+        return {top: rect.top - size.height - offset};
+    },
+    bottom: function(rect, size, offset) {
+        return {top: rect.bottom + offset};
+    },
+    left: function(rect, size, offset) {
+        return {left: rect.left - size.width - offset};
+    },
+    right: function(rect, size, offset) {
+        return {left: rect.right + offset};
+    }
+};
+
+// Coordinates on the cross axis by the alignment
+var ALIGN_COORDS = {
+    start: function(min) {
+        return min;
+    },
+    end: function(min, max, length) {
+        return max - length;
+    },
+    center: function(min, max, length) {
+        return (min + max - length) / 2;
+    }
+};
+
+/**
+ * Returns whether the side is on the vertical axis
+ * @ignore
+ * @param {string} side - Side
+ * @returns {boolean}
+ */
+var isVerticalSide = function(side) {
+    return side === 'top' || side === 'bottom';
+};
+
+/**
+ * Returns the side and the alignment of a placement ('bottom-start', 'top-end', 'right', ...)
+ * - An unknown side is 'bottom', and no alignment is 'center'.
+ * @ignore
+ * @param {string} placement - Placement
+ * @returns {{side: string, align: string}}
+ */
+var parsePlacement = function(placement) {
+    var parts = String(placement).split('-');
+
+    return {
+        side: SIDE_COORDS[parts[0]] ? parts[0] : 'bottom',
+        align: (parts[1] === 'start' || parts[1] === 'end') ? parts[1] : 'center'
+    };
+};
+
+/**
+ * Returns the placement and the flipped placements in order of preference
+ * @ignore
+ * @param {{side: string, align: string}} placement - Preferred placement
+ * @returns {Array.<{side: string, align: string}>}
+ */
+var getFlippedPlacements = function(placement) {
+    var side = placement.side;
+    var align = placement.align;
+
+    return [
+        placement,
+        {
+            side: OPPOSITES[side],
+            align: align
+        },
+        {
+            side: side,
+            align: OPPOSITES[align]
+        },
+        {
+            side: OPPOSITES[side],
+            align: OPPOSITES[align]
+        }
+    ];
+};
+
+/**
+ * Returns the coordinates of a popup at a placement
+ * @ignore
+ * @param {{side: string, align: string}} placement - Placement
+ * @param {{top: number, right: number, bottom: number, left: number}} rect - Rect of the anchor
+ * @param {{width: number, height: number}} size - Size of the popup
+ * @param {number} offset - Gap between the anchor and the popup
+ * @returns {{top: number, left: number}}
+ */
+var getCoords = function(placement, rect, size, offset) {
+    var coords = SIDE_COORDS[placement.side](rect, size, offset);
+    var alignCoord = ALIGN_COORDS[placement.align];
+
+    if (isVerticalSide(placement.side)) {
+        coords.left = alignCoord(rect.left, rect.right, size.width);
+    } else {
+        coords.top = alignCoord(rect.top, rect.bottom, size.height);
+    }
+
+    return coords;
+};
+
+/**
+ * Shift the coordinates on the cross axis to stay in the boundary
+ * @ignore
+ * @param {{top: number, left: number}} coords - Coordinates
+ * @param {string} side - Side
+ * @param {{width: number, height: number}} size - Size of the popup
+ * @param {{top: number, right: number, bottom: number, left: number}} boundary - Boundary
+ */
+var shiftCoords = function(coords, side, size, boundary) {
+    if (isVerticalSide(side)) {
+        coords.left = Math.max(boundary.left, Math.min(coords.left, boundary.right - size.width));
+    } else {
+        coords.top = Math.max(boundary.top, Math.min(coords.top, boundary.bottom - size.height));
+    }
+};
+
+/**
+ * Returns the sum of the lengths a popup overflows the boundary
+ * @ignore
+ * @param {{top: number, left: number}} coords - Coordinates
+ * @param {{width: number, height: number}} size - Size of the popup
+ * @param {{top: number, right: number, bottom: number, left: number}} boundary - Boundary
+ * @returns {number}
+ */
+var getOverflow = function(coords, size, boundary) {
+    return Math.max(boundary.top - coords.top, 0)
+        + Math.max(coords.top + size.height - boundary.bottom, 0)
+        + Math.max(boundary.left - coords.left, 0)
+        + Math.max(coords.left + size.width - boundary.right, 0);
+};
+
+/**
+ * Compute the position of a popup
+ * - The flipped placements are tried when the preferred placement overflows the boundary,
+ *   and the placement overflowing the least is picked.
+ * @ignore
+ * @param {{top: number, right: number, bottom: number, left: number}} rect - Rect of the anchor
+ * @param {{width: number, height: number}} size - Size of the popup
+ * @param {{top: number, right: number, bottom: number, left: number}} boundary - Boundary
+ * @param {object} option - Option
+ * @param {string} option.placement - Preferred placement
+ * @param {boolean} option.flip - Whether to flip on collisions
+ * @param {boolean} option.shift - Whether to shift on collisions
+ * @param {number} option.offset - Gap between the anchor and the popup
+ * @returns {{placement: string, top: number, left: number}}
+ */
+var computePosition = function(rect, size, boundary, option) {
+    var preferred = parsePlacement(option.placement);
+    var placements = option.flip ? getFlippedPlacements(preferred) : [preferred];
+    var best = null;
+
+    util.forEach(placements, function(placement) {
+        var coords = getCoords(placement, rect, size, option.offset);
+
+        if (option.shift) {
+            shiftCoords(coords, placement.side, size, boundary);
+        }
+        coords.overflow = getOverflow(coords, size, boundary);
+        coords.placement = placement.side + (placement.align === 'center' ? '' : '-' + placement.align);
+
+        if (!best || coords.overflow < best.overflow) {
+            best = coords;
+        }
+
+        return best.overflow > 0;
+    });
+
+    return {
+        placement: best.placement,
+        top: best.top,
+        left: best.left
+    };
+};
+
+/**
+ * Returns the intersection of two rects
+ * @ignore
+ * @param {{top: number, right: number, bottom: number, left: number}} rect - Rect
+ * @param {{top: number, right: number, bottom: number, left: number}} otherRect - Other rect
+ * @returns {{top: number, right: number, bottom: number, left: number}}
+ */
+var intersectRects = function(rect, otherRect) {
+    return {
+        top: Math.max(rect.top, otherRect.top),
+        right: Math.min(rect.right, otherRect.right),
+        bottom: Math.min(rect.bottom, otherRect.bottom),
+        left: Math.max(rect.left, otherRect.left)
+    };
+};
+
+/**
+ * Returns whether the overflow style of an element matches
+ * @ignore
+ * @param {HTMLElement} element - Element
+ * @param {RegExp} rOverflow - Overflow values
+ * @returns {boolean}
+ */
+var hasOverflow = function(element, rOverflow) {
+    var $element = $(element);
+
+    return rOverflow.test($element.css('overflow') + $element.css('overflow-x') + $element.css('overflow-y'));
+};
+
+/**
+ * Popup position
+ * - The popup follows the anchor on scrolling the window and the scrolling ancestors of the anchor.
+ * @ignore
+ * @class
+ * @param {jQuery} $popup - Popup element
+ * @param {object} [option] - Option
+ * @param {string} [option.placement = 'bottom-start'] - Preferred placement
+ * @param {boolean} [option.flip = true] - Whether to flip to the opposite side and alignment on collisions
+ * @param {boolean} [option.shift = true] - Whether to shift along the side on collisions
+ * @param {number} [option.offset = 4] - Gap between the anchor and the popup
+ * @param {boolean} [option.portal = false] - Whether to move the popup into document.body
+ * @param {HTMLElement|string|jQuery} [option.anchor] - Anchor element prior to the anchor of "attach"
+ */
+var PopupPosition = util.defineClass(/** @lends PopupPosition.prototype */{
+    static: {
+        /**
+         * Compute the position of a popup
+         * @function
+         * @param {{top: number, right: number, bottom: number, left: number}} rect - Rect of the anchor
+         * @param {{width: number, height: number}} size - Size of the popup
+         * @param {{top: number, right: number, bottom: number, left: number}} boundary - Boundary
+         * @param {object} option - Option
+         * @returns {{placement: string, top: number, left: number}} Coordinates in the boundary's coordinate system
+         */
+        computePosition: computePosition
+    },
+    init: function($popup, option) {
+        option = util.extend({
+            placement: DEFAULT_PLACEMENT,
+            flip: true,
+            shift: true,
+            offset: DEFAULT_OFFSET,
+            portal: false,
+            anchor: null
+        }, option);
+
+        /**
+         * Popup element
+         * @type {jQuery}
+         * @private
+         */
+        this._$popup = $popup;
+
+        /**
+         * Option
+         * @type {object}
+         * @private
+         */
+        this._option = option;
+
+        /**
+         * Anchor element while attached
+         * @type {?HTMLElement}
+         * @private
+         */
+        this._anchor = null;
+
+        /**
+         * Window and the scrolling ancestors of the anchor while attached
+         * @type {?jQuery}
+         * @private
+         */
+        this._$scrollParents = null;
+
+        /**
+         * Event namespace
+         * @type {string}
+         * @private
+         */
+        this._namespace = '.popup-position' + util.stamp(this);
+
+        if (option.portal) {
+            $popup.appendTo(document.body);
+        }
+    },
+
+    /**
+     * Anchor the popup and follow the anchor on scrolling and resizing
+     * @param {HTMLElement} anchor - Anchor element - The anchor of the option has priority.
+     */
+    attach: function(anchor) {
+        var self = this;
+        var update = function() {
+            self.update();
+        };
+
+        this.detach();
+        this._anchor = $(this._option.anchor || anchor)[0] || null;
+        if (!this._anchor) {
+            return;
+        }
+
+        this._$scrollParents = $(this._anchor).parents()
+            .filter(function() {
+                return hasOverflow(this, rScrollable);
+            })
+            .add(window);
+        this._$scrollParents.on('scroll' + this._namespace, update);
+        $(window).on('resize' + this._namespace, update);
+
+        this.update();
+    },
+
+    /**
+     * Stop following the anchor
+     */
+    detach: function() {
+        if (this._$scrollParents) {
+            this._$scrollParents.off(this._namespace);
+        }
+        $(window).off(this._namespace);
+
+        this._anchor = this._$scrollParents = null;
+    },
+
+    /**
+     * Place the popup by the current rect of the anchor
+     * - The popup has the placement in "data-placement" attribute.
+     */
+    update: function() {
+        var $popup = this._$popup;
+        var $window = $(window);
+        var position;
+
+        if (!this._anchor) {
+            return;
+        }
+
+        position = computePosition(this._anchor.getBoundingClientRect(), {
+            width: $popup.outerWidth(),
+            height: $popup.outerHeight()
+        }, this._getBoundary(), this._option);
+
+        $popup.attr('data-placement', position.placement).offset({
+            top: position.top + $window.scrollTop(),
+            left: position.left + $window.scrollLeft()
+        });
+    },
+
+    /**
+     * Returns the visible rect of the viewport not clipped by the ancestors of the popup
+     * @returns {{top: number, right: number, bottom: number, left: number}}
+     * @private
+     */
+    _getBoundary: function() {
+        var docElement = document.documentElement;
+        var boundary = {
+            top: 0,
+            right: docElement.clientWidth,
+            bottom: docElement.clientHeight,
+            left: 0
+        };
+
+        this._$popup.parentsUntil('body').each(function() {
+            if (hasOverflow(this, rClipping)) {
+                boundary = intersectRects(boundary, this.getBoundingClientRect());
+            }
+        });
+
+        return boundary;
+    },
+
+    /**
+     * Destroy
+     */
+    destroy: function() {
+        this.detach();
+
+        this._$popup
+            = this._option
+            = null;
+    }
+});
+
+module.exports = PopupPosition;
@@ -2,6 +2,7 @@
 
 
 var Datepicker = require('./datepicker');
+var DateRangePicker = require('./dateRangePicker');
 var Calendar = require('./calendar');
 var Timepicker = require('./timepicker');
 
@@ -11,5 +12,6 @@ require('../css/timepicker.css');
 tui.util.defineNamespace('tui.component', {
     Calendar: Calendar,
     Datepicker: Datepicker,
+    DateRangePicker: DateRangePicker,
     Timepicker: Timepicker
 });
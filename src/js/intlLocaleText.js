@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Locale text generator using the Intl API of the browser
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var util = tui.util;
+
+// 2017-01-01 is a sunday
+var SAMPLE_YEAR = 2017;
+var SAMPLE_DATE = new Date(SAMPLE_YEAR, 2, 15);
+var MORNING_HOUR = 9;
+var EVENING_HOUR = 21;
+
+// Format tokens of the parts of Intl.DateTimeFormat (numeric parts, text parts)
+var TOKENS_OF_PART = {
+    year: ['yyyy', 'yyyy'],
+    month: ['M', 'MMMM'],
+    day: ['d', 'd'],
+    weekday: ['DD', 'DD']
+};
+
+var rLatinLetters = /[a-z]/i;
+var rNumeric = /^\d+$/;
+
+/**
+ * Returns whether the Intl API supports a language tag
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @returns {boolean}
+ */
+var isSupported = function(tag) {
+    if (typeof Intl === 'undefined' || !Intl.DateTimeFormat) {
+        return false;
+    }
+
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf(tag).length > 0;
+    } catch (e) { // RangeError for an invalid tag
+        return false;
+    }
+};
+
+/**
+ * Returns names of dates
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @param {object} option - Intl.DateTimeFormat option
+ * @param {Array.<Date>} dates - Dates
+ * @returns {Array.<string>}
+ */
+var getNames = function(tag, option, dates) {
+    var formatter = new Intl.DateTimeFormat(tag, option);
+
+    return util.map(dates, function(date) {
+        return formatter.format(date);
+    });
+};
+
+/**
+ * Returns the days (sunday ~ saturday) of the sample year
+ * @ignore
+ * @returns {Array.<Date>}
+ */
+var getDaysOfWeek = function() {
+    var days = [];
+    var i = 0;
+
+    for (; i < 7; i += 1) {
+        days.push(new Date(SAMPLE_YEAR, 0, 1 + i));
+    }
+
+    return days;
+};
+
+/**
+ * Returns the months of the sample year
+ * @ignore
+ * @returns {Array.<Date>}
+ */
+var getMonthsOfYear = function() {
+    var months = [];
+    var i = 0;
+
+    for (; i < 12; i += 1) {
+        months.push(new Date(SAMPLE_YEAR, i, 1));
+    }
+
+    return months;
+};
+
+/**
+ * Returns the meridiem names (AM, PM)
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @returns {?Array.<string>}
+ */
+var getMeridiemNames = function(tag) {
+    var formatter = new Intl.DateTimeFormat(tag, {
+        hour: 'numeric',
+        hour12: true
+    });
+    var names;
+
+    if (!formatter.formatToParts) {
+        return null;
+    }
+
+    names = util.map([MORNING_HOUR, EVENING_HOUR], function(hour) {
+        var dayPeriod = util.filter(formatter.formatToParts(new Date(SAMPLE_YEAR, 0, 1, hour)), function(part) {
+            return part.type === 'dayPeriod';
+        })[0];
+
+        return dayPeriod ? dayPeriod.value : '';
+    });
+
+    return (names[0] && names[1]) ? names : null;
+};
+
+/**
+ * Returns the position of the meridiem around the hour ('left': before the hour, 'right': after the hour)
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @returns {string}
+ */
+var getMeridiemPosition = function(tag) {
+    var formatter = new Intl.DateTimeFormat(tag, {
+        hour: 'numeric',
+        hour12: true
+    });
+    var types = util.map(formatter.formatToParts(new Date(SAMPLE_YEAR, 0, 1, EVENING_HOUR)), function(part) {
+        return part.type;
+    });
+
+    return util.inArray('dayPeriod', types) < util.inArray('hour', types) ? 'left' : 'right';
+};
+
+/**
+ * Make a format string of DateTimeFormatter from parts of Intl.DateTimeFormat
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @param {object} option - Intl.DateTimeFormat option
+ * @returns {?string}
+ */
+var makeFormat = function(tag, option) {
+    var formatter = new Intl.DateTimeFormat(tag, option);
+
+    if (!formatter.formatToParts) {
+        return null;
+    }
+
+    return util.map(formatter.formatToParts(SAMPLE_DATE), function(part) {
+        var tokens = TOKENS_OF_PART[part.type];
+
+        if (tokens) {
+            return tokens[rNumeric.test(part.value) ? 0 : 1];
+        }
+
+        return rLatinLetters.test(part.value) ? ('[' + part.value + ']') : part.value;
+    }).join('');
+};
+
+/**
+ * Returns the capitalized word of "today"
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @returns {?string}
+ */
+var getTodayText = function(tag) {
+    var today;
+
+    if (!Intl.RelativeTimeFormat) {
+        return null;
+    }
+
+    today = new Intl.RelativeTimeFormat(tag, {numeric: 'auto'}).format(0, 'day');
+
+    return today.charAt(0).toUpperCase() + today.slice(1);
+};
+
+/**
+ * Returns the first day of the week (0: sunday, ..., 6: saturday)
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @returns {?number}
+ */
+var getFirstDayOfWeek = function(tag) {
+    var locale, weekInfo;
+
+    if (typeof Intl.Locale !== 'function') {
+        return null;
+    }
+
+    locale = new Intl.Locale(tag);
+    weekInfo = locale.getWeekInfo ? locale.getWeekInfo() : locale.weekInfo;
+
+    return weekInfo ? (weekInfo.firstDay % 7) : null; // Intl: 1(monday) ~ 7(sunday)
+};
+
+/**
+ * Set the formats of the title and today
+ * @ignore
+ * @param {object} localeText - Locale texts to set
+ * @param {string} tag - BCP 47 language tag
+ */
+var setFormats = function(localeText, tag) {
+    var titleFormat = makeFormat(tag, {
+        year: 'numeric',
+        month: 'long'
+    });
+    var dateFormat = makeFormat(tag, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    var todayText = getTodayText(tag);
+
+    if (titleFormat) {
+        localeText.titleFormat = localeText.navigationFormat = titleFormat;
+    }
+    if (dateFormat && todayText) {
+        localeText.todayFormat = '[' + todayText + ']: ' + dateFormat;
+    }
+};
+
+module.exports = {
+    /**
+     * Create locale texts from the Intl API.
+     * The keys which the Intl API can not make are not included.
+     * @param {string} tag - BCP 47 language tag
+     * @returns {?object} Null if the Intl API does not support the tag
+     */
+    create: function(tag) {
+        var days = getDaysOfWeek();
+        var months = getMonthsOfYear();
+        var localeText, meridiemNames, firstDayOfWeek;
+
+        if (!isSupported(tag)) {
+            return null;
+        }
+
+        localeText = {
+            titles: {
+                DD: getNames(tag, {weekday: 'long'}, days),
+                D: getNames(tag, {weekday: 'short'}, days),
+                MMM: getNames(tag, {month: 'short'}, months),
+                MMMM: getNames(tag, {month: 'long'}, months)
+            }
+        };
+
+        meridiemNames = getMeridiemNames(tag);
+        if (meridiemNames) {
+            localeText.titles.A = meridiemNames;
+            localeText.meridiemPosition = getMeridiemPosition(tag);
+        }
+
+        firstDayOfWeek = getFirstDayOfWeek(tag);
+        if (util.isNumber(firstDayOfWeek)) {
+            localeText.firstDayOfWeek = firstDayOfWeek;
+        }
+
+        setFormats(localeText, tag);
+
+        return localeText;
+    }
+};
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Locale text registry resolving language fallbacks
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var localeTexts = require('./localeTexts');
+var intlLocaleText = require('./intlLocaleText');
+var constants = require('./constants');
+
+var util = tui.util;
+
+var DEFAULT_LANGUAGE_TYPE = constants.DEFAULT_LANGUAGE_TYPE;
+
+// Registered languages of the script and region subtags written in the same way (lower-cased)
+var LANGUAGE_ALIASES = {
+    'zh-hans': 'zh-CN',
+    'zh-sg': 'zh-CN',
+    'zh-hant': 'zh-TW',
+    'zh-hk': 'zh-TW',
+    'zh-mo': 'zh-TW'
+};
+
+/**
+ * Returns the registered language key equal to a tag (case-insensitive)
+ * @ignore
+ * @param {string} tag - Language tag
+ * @returns {?string}
+ */
+var findLanguage = function(tag) {
+    var lowerTag = tag.toLowerCase();
+    var found = null;
+
+    util.forEach(localeTexts, function(localeText, language) {
+        if (language.toLowerCase() === lowerTag) {
+            found = language;
+        }
+
+        return !found;
+    });
+
+    return found;
+};
+
+/**
+ * Returns the first registered language key of a primary language ('zh' -> 'zh-CN')
+ * @ignore
+ * @param {string} primaryTag - Primary language subtag
+ * @returns {?string}
+ */
+var findLanguageOfPrimaryTag = function(primaryTag) {
+    var prefix = primaryTag.toLowerCase() + '-';
+    var found = null;
+
+    util.forEach(localeTexts, function(localeText, language) {
+        if (language.toLowerCase().indexOf(prefix) === 0) {
+            found = language;
+        }
+
+        return !found;
+    });
+
+    return found;
+};
+
+/**
+ * Returns the registered language key of a script or region subtag ('zh-Hant-TW' -> 'zh-TW', 'zh-HK' -> 'zh-TW')
+ * @ignore
+ * @param {Array.<string>} subtags - Subtags of a language tag
+ * @returns {?string}
+ */
+var findLanguageOfScriptOrRegion = function(subtags) {
+    var primaryTag = subtags[0];
+    var found = null;
+
+    util.forEach(subtags.slice(1).reverse(), function(subtag) {
+        var tag = primaryTag + '-' + subtag;
+
+        found = findLanguage(tag) || LANGUAGE_ALIASES[tag.toLowerCase()] || null;
+
+        return !found;
+    });
+
+    return found;
+};
+
+/**
+ * Returns the registered language key of a language tag.
+ * The subtags are dropped one by one ('de-DE-1996' -> 'de-DE' -> 'de'),
+ * then the script or region subtags are tried with the primary language.
+ * A primary language alone ('pt') is any region of the language.
+ * @ignore
+ * @param {Array.<string>} subtags - Subtags of a language tag
+ * @returns {?string}
+ */
+var findLanguageOfSubtags = function(subtags) {
+    var found = null;
+    var length;
+
+    for (length = subtags.length; length > 0 && !found; length -= 1) {
+        found = findLanguage(subtags.slice(0, length).join('-'));
+    }
+
+    if (!found && subtags.length > 1) {
+        found = findLanguageOfScriptOrRegion(subtags);
+    } else if (!found) {
+        found = findLanguageOfPrimaryTag(subtags[0]);
+    }
+
+    return found;
+};
+
+/**
+ * Returns locale texts extending the base locale texts
+ * @ignore
+ * @param {object} base - Base locale texts
+ * @param {object} localeText - Locale texts
+ * @returns {object}
+ */
+var extendLocaleText = function(base, localeText) {
+    var extended = util.extend({}, base, localeText);
+
+    extended.titles = util.extend({}, base.titles, localeText.titles);
+    extended.relativeDates = util.extend({}, base.relativeDates, localeText.relativeDates);
+    extended.validationMessages = util.extend({}, base.validationMessages, localeText.validationMessages);
+
+    return extended;
+};
+
+/**
+ * Create locale texts of a language by the Intl API.
+ * Keys the Intl API can not make (date, time, weekNumber, selected formats) are from the default language.
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @returns {?object} Null if the Intl API does not support the tag
+ */
+var createLocaleText = function(tag) {
+    var localeText = intlLocaleText.create(tag);
+
+    return localeText ? extendLocaleText(localeTexts[DEFAULT_LANGUAGE_TYPE], localeText) : null;
+};
+
+/**
+ * Register the locale texts generated by the Intl API
+ * @ignore
+ * @param {string} tag - BCP 47 language tag
+ * @returns {?string} Registered language key
+ */
+var registerIntlLanguage = function(tag) {
+    var localeText = createLocaleText(tag);
+
+    if (!localeText) {
+        return null;
+    }
+    localeTexts[tag] = localeText;
+
+    return tag;
+};
+
+/**
+ * Resolve a language to the key of registered locale texts.
+ * A language is resolved by its subtags ('en-GB' -> 'en', 'zh-Hant-TW' -> 'zh-TW'),
+ * or generated by the Intl API ('pt-PT').
+ * Without the Intl API, another region of the primary language is used ('pt-PT' -> 'pt-BR'),
+ * and an unknown language falls back to the default language.
+ * @ignore
+ * @param {string} [language] - Language key or BCP 47 tag
+ * @returns {string}
+ */
+var resolveLanguage = function(language) {
+    var tag = String(language || DEFAULT_LANGUAGE_TYPE).replace(/_/g, '-');
+    var subtags = tag.split('-');
+
+    return findLanguageOfSubtags(subtags)
+        || registerIntlLanguage(tag)
+        || findLanguageOfPrimaryTag(subtags[0])
+        || DEFAULT_LANGUAGE_TYPE;
+};
+
+/**
+ * Returns the locale text of a language resolving the fallbacks
+ * @ignore
+ * @param {string} [language] - Language key or BCP 47 tag
+ * @returns {object}
+ */
+var getLocaleText = function(language) {
+    return localeTexts[resolveLanguage(language)];
+};
+
+/**
+ * Register the locale text of a language.
+ * Missing keys are inherited from the locale text the language falls back to.
+ * @ignore
+ * @param {string} language - Language key or BCP 47 tag
+ * @param {object} localeText - Locale text
+ * @returns {object} Registered locale text
+ */
+var registerLocale = function(language, localeText) {
+    var registered = extendLocaleText(getLocaleText(language), localeText);
+
+    localeTexts[language] = registered;
+
+    return registered;
+};
+
+module.exports = {
+    resolveLanguage: resolveLanguage,
+    getLocaleText: getLocaleText,
+    registerLocale: registerLocale,
+    createLocaleText: createLocaleText
+};
@@ -11,12 +11,46 @@ module.exports = {
             D: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
             MMM: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
             MMMM: ['January', 'February', 'March', 'April', 'May', 'June',
-                'July', 'August', 'September', 'October', 'November', 'December']
+                'July', 'August', 'September', 'October', 'November', 'December'],
+            A: ['AM', 'PM']
         },
         titleFormat: 'MMMM yyyy',
         todayFormat: 'To\\d\\ay: DD, MMMM d, yyyy',
         time: 'Time',
-        date: 'Date'
+        date: 'Date',
+        done: 'Done',
+        cancel: 'Cancel',
+        apply: 'Apply',
+        weekNumber: 'Wk',
+        quarterFormat: '[Q]Q',
+        firstDayOfWeek: 0,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM yyyy',
+        selectedFormat: '[Selected] DD, MMMM d, yyyy',
+        selectedWeekFormat: '[Selected week] W, GGGG',
+        selectedMonthFormat: '[Selected] MMMM yyyy',
+        selectedQuarterFormat: '[Selected quarter] Q, yyyy',
+        selectedYearFormat: '[Selected] yyyy',
+        relativeDates: {
+            today: 'today',
+            tomorrow: 'tomorrow',
+            yesterday: 'yesterday',
+            next: 'next',
+            last: 'last',
+            endOfMonth: 'end of month',
+            units: {
+                day: 'd',
+                week: 'w',
+                month: 'm',
+                year: 'y'
+            }
+        },
+        validationMessages: {
+            invalid: 'Not a valid date',
+            beforeMin: 'Before the earliest allowed date',
+            afterMax: 'After the latest allowed date',
+            unselectable: 'Not an allowed date'
+        }
     },
     ko: {
         titles: {
@@ -25,11 +59,519 @@ module.exports = {
             MMM: ['1월', '2월', '3월', '4월', '5월', '6월',
                 '7월', '8월', '9월', '10월', '11월', '12월'],
             MMMM: ['1월', '2월', '3월', '4월', '5월', '6월',
-                '7월', '8월', '9월', '10월', '11월', '12월']
+                '7월', '8월', '9월', '10월', '11월', '12월'],
+            A: ['오전', '오후']
         },
         titleFormat: 'yyyy.MM',
         todayFormat: '오늘: yyyy.MM.dd (D)',
         date: '날짜',
-        time: '시간'
+        done: '완료',
+        cancel: '취소',
+        apply: '적용',
+        time: '시간',
+        weekNumber: '주',
+        quarterFormat: 'Q분기',
+        firstDayOfWeek: 0,
+        meridiemPosition: 'left',
+        navigationFormat: 'yyyy년 M월',
+        selectedFormat: 'yyyy년 M월 d일 DD 선택됨',
+        selectedWeekFormat: 'GGGG년 W주 선택됨',
+        selectedMonthFormat: 'yyyy년 M월 선택됨',
+        selectedQuarterFormat: 'yyyy년 Q분기 선택됨',
+        selectedYearFormat: 'yyyy년 선택됨',
+        relativeDates: {
+            today: '오늘',
+            tomorrow: '내일',
+            yesterday: '어제',
+            next: '다음',
+            last: '지난',
+            endOfMonth: '월말',
+            units: {
+                day: '일',
+                week: '주',
+                month: '개월',
+                year: '년'
+            }
+        },
+        validationMessages: {
+            invalid: '올바른 날짜가 아닙니다',
+            beforeMin: '허용된 가장 이른 날짜보다 이전입니다',
+            afterMax: '허용된 가장 늦은 날짜보다 이후입니다',
+            unselectable: '선택할 수 없는 날짜입니다'
+        }
+    },
+    ja: {
+        titles: {
+            DD: ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'],
+            D: ['日', '月', '火', '水', '木', '金', '土'],
+            MMM: ['1月', '2月', '3月', '4月', '5月', '6月',
+                '7月', '8月', '9月', '10月', '11月', '12月'],
+            MMMM: ['1月', '2月', '3月', '4月', '5月', '6月',
+                '7月', '8月', '9月', '10月', '11月', '12月'],
+            A: ['午前', '午後']
+        },
+        titleFormat: 'yyyy年M月',
+        todayFormat: '今日: yyyy年M月d日 (D)',
+        date: '日付',
+        done: '完了',
+        cancel: 'キャンセル',
+        apply: '適用',
+        time: '時間',
+        weekNumber: '週',
+        quarterFormat: '第Q四半期',
+        firstDayOfWeek: 0,
+        meridiemPosition: 'left',
+        navigationFormat: 'yyyy年M月',
+        selectedFormat: '選択: yyyy年M月d日 DD',
+        selectedWeekFormat: '選択: GGGG年 第W週',
+        selectedMonthFormat: '選択: yyyy年M月',
+        selectedQuarterFormat: '選択: yyyy年 第Q四半期',
+        selectedYearFormat: '選択: yyyy年',
+        relativeDates: {
+            today: '今日',
+            tomorrow: '明日',
+            yesterday: '昨日',
+            next: '次の',
+            last: '前の',
+            endOfMonth: '月末',
+            units: {
+                day: '日',
+                week: '週',
+                month: 'ヶ月',
+                year: '年'
+            }
+        },
+        validationMessages: {
+            invalid: '有効な日付ではありません',
+            beforeMin: '選択可能な最も早い日付より前です',
+            afterMax: '選択可能な最も遅い日付より後です',
+            unselectable: '選択できない日付です'
+        }
+    },
+    'zh-CN': {
+        titles: {
+            DD: ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'],
+            D: ['日', '一', '二', '三', '四', '五', '六'],
+            MMM: ['1月', '2月', '3月', '4月', '5月', '6月',
+                '7月', '8月', '9月', '10月', '11月', '12月'],
+            MMMM: ['一月', '二月', '三月', '四月', '五月', '六月',
+                '七月', '八月', '九月', '十月', '十一月', '十二月'],
+            A: ['上午', '下午']
+        },
+        titleFormat: 'yyyy年M月',
+        todayFormat: '今天: yyyy年M月d日 DD',
+        date: '日期',
+        done: '完成',
+        cancel: '取消',
+        apply: '应用',
+        time: '时间',
+        weekNumber: '周',
+        quarterFormat: '第Q季度',
+        firstDayOfWeek: 1,
+        meridiemPosition: 'left',
+        navigationFormat: 'yyyy年M月',
+        selectedFormat: '已选择 yyyy年M月d日 DD',
+        selectedWeekFormat: '已选择 GGGG年第W周',
+        selectedMonthFormat: '已选择 yyyy年M月',
+        selectedQuarterFormat: '已选择 yyyy年第Q季度',
+        selectedYearFormat: '已选择 yyyy年',
+        relativeDates: {
+            today: '今天',
+            tomorrow: '明天',
+            yesterday: '昨天',
+            next: '下个',
+            last: '上个',
+            endOfMonth: '月底',
+            units: {
+                day: '天',
+                week: '周',
+                month: '个月',
+                year: '年'
+            }
+        },
+        validationMessages: {
+            invalid: '无效的日期',
+            beforeMin: '早于允许的最早日期',
+            afterMax: '晚于允许的最晚日期',
+            unselectable: '不可选择的日期'
+        }
+    },
+    'zh-TW': {
+        titles: {
+            DD: ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'],
+            D: ['日', '一', '二', '三', '四', '五', '六'],
+            MMM: ['1月', '2月', '3月', '4月', '5月', '6月',
+                '7月', '8月', '9月', '10月', '11月', '12月'],
+            MMMM: ['一月', '二月', '三月', '四月', '五月', '六月',
+                '七月', '八月', '九月', '十月', '十一月', '十二月'],
+            A: ['上午', '下午']
+        },
+        titleFormat: 'yyyy年M月',
+        todayFormat: '今天: yyyy年M月d日 DD',
+        date: '日期',
+        done: '完成',
+        cancel: '取消',
+        apply: '套用',
+        time: '時間',
+        weekNumber: '週',
+        quarterFormat: '第Q季',
+        firstDayOfWeek: 0,
+        meridiemPosition: 'left',
+        navigationFormat: 'yyyy年M月',
+        selectedFormat: '已選擇 yyyy年M月d日 DD',
+        selectedWeekFormat: '已選擇 GGGG年第W週',
+        selectedMonthFormat: '已選擇 yyyy年M月',
+        selectedQuarterFormat: '已選擇 yyyy年第Q季',
+        selectedYearFormat: '已選擇 yyyy年',
+        relativeDates: {
+            today: '今天',
+            tomorrow: '明天',
+            yesterday: '昨天',
+            next: '下個',
+            last: '上個',
+            endOfMonth: '月底',
+            units: {
+                day: '天',
+                week: '週',
+                month: '個月',
+                year: '年'
+            }
+        },
+        validationMessages: {
+            invalid: '無效的日期',
+            beforeMin: '早於允許的最早日期',
+            afterMax: '晚於允許的最晚日期',
+            unselectable: '不可選擇的日期'
+        }
+    },
+    de: {
+        titles: {
+            DD: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+            D: ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'],
+            MMM: ['Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez'],
+            MMMM: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+                'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+            A: ['AM', 'PM']
+        },
+        titleFormat: 'MMMM yyyy',
+        todayFormat: '[Heute]: DD, d. MMMM yyyy',
+        date: 'Datum',
+        done: 'Fertig',
+        cancel: 'Abbrechen',
+        apply: 'Übernehmen',
+        time: 'Zeit',
+        weekNumber: 'KW',
+        quarterFormat: 'Q. [Quartal]',
+        firstDayOfWeek: 1,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM yyyy',
+        selectedFormat: '[Ausgewählt]: DD, d. MMMM yyyy',
+        selectedWeekFormat: '[Ausgewählt]: [KW] W, GGGG',
+        selectedMonthFormat: '[Ausgewählt]: MMMM yyyy',
+        selectedQuarterFormat: '[Ausgewählt]: Q. [Quartal] yyyy',
+        selectedYearFormat: '[Ausgewählt]: yyyy',
+        relativeDates: {
+            today: 'heute',
+            tomorrow: 'morgen',
+            yesterday: 'gestern',
+            next: 'nächsten',
+            last: 'letzten',
+            endOfMonth: 'Monatsende',
+            units: {
+                day: 't',
+                week: 'w',
+                month: 'm',
+                year: 'j'
+            }
+        },
+        validationMessages: {
+            invalid: 'Kein gültiges Datum',
+            beforeMin: 'Vor dem frühesten zulässigen Datum',
+            afterMax: 'Nach dem spätesten zulässigen Datum',
+            unselectable: 'Kein zulässiges Datum'
+        }
+    },
+    fr: {
+        titles: {
+            DD: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+            D: ['dim.', 'lun.', 'mar.', 'mer.', 'jeu.', 'ven.', 'sam.'],
+            MMM: ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin',
+                'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'],
+            MMMM: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+                'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+            A: ['AM', 'PM']
+        },
+        titleFormat: 'MMMM yyyy',
+        todayFormat: '[Aujourd\'hui]: DD d MMMM yyyy',
+        date: 'Date',
+        done: 'Terminé',
+        cancel: 'Annuler',
+        apply: 'Appliquer',
+        time: 'Heure',
+        weekNumber: 'Sem.',
+        quarterFormat: '[T]Q',
+        firstDayOfWeek: 1,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM yyyy',
+        selectedFormat: '[Sélectionné]: DD d MMMM yyyy',
+        selectedWeekFormat: '[Semaine sélectionnée]: W, GGGG',
+        selectedMonthFormat: '[Sélectionné]: MMMM yyyy',
+        selectedQuarterFormat: '[Trimestre sélectionné]: Q, yyyy',
+        selectedYearFormat: '[Sélectionné]: yyyy',
+        relativeDates: {
+            today: 'aujourd\'hui',
+            tomorrow: 'demain',
+            yesterday: 'hier',
+            next: 'prochain',
+            last: 'dernier',
+            endOfMonth: 'fin du mois',
+            units: {
+                day: 'j',
+                week: 's',
+                month: 'm',
+                year: 'a'
+            }
+        },
+        validationMessages: {
+            invalid: 'Date non valide',
+            beforeMin: 'Antérieure à la première date autorisée',
+            afterMax: 'Postérieure à la dernière date autorisée',
+            unselectable: 'Date non autorisée'
+        }
+    },
+    es: {
+        titles: {
+            DD: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+            D: ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'],
+            MMM: ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'],
+            MMMM: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+                'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+            A: ['a. m.', 'p. m.']
+        },
+        titleFormat: 'MMMM [de] yyyy',
+        todayFormat: '[Hoy]: DD, d [de] MMMM [de] yyyy',
+        date: 'Fecha',
+        done: 'Listo',
+        cancel: 'Cancelar',
+        apply: 'Aplicar',
+        time: 'Hora',
+        weekNumber: 'Sem',
+        quarterFormat: '[T]Q',
+        firstDayOfWeek: 1,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM [de] yyyy',
+        selectedFormat: '[Seleccionado]: DD, d [de] MMMM [de] yyyy',
+        selectedWeekFormat: '[Semana seleccionada]: W, GGGG',
+        selectedMonthFormat: '[Seleccionado]: MMMM [de] yyyy',
+        selectedQuarterFormat: '[Trimestre seleccionado]: Q, yyyy',
+        selectedYearFormat: '[Seleccionado]: yyyy',
+        relativeDates: {
+            today: 'hoy',
+            tomorrow: 'mañana',
+            yesterday: 'ayer',
+            next: 'próximo',
+            last: 'pasado',
+            endOfMonth: 'fin de mes',
+            units: {
+                day: 'd',
+                week: 's',
+                month: 'm',
+                year: 'a'
+            }
+        },
+        validationMessages: {
+            invalid: 'Fecha no válida',
+            beforeMin: 'Anterior a la primera fecha permitida',
+            afterMax: 'Posterior a la última fecha permitida',
+            unselectable: 'Fecha no permitida'
+        }
+    },
+    it: {
+        titles: {
+            DD: ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato'],
+            D: ['dom', 'lun', 'mar', 'mer', 'gio', 'ven', 'sab'],
+            MMM: ['gen', 'feb', 'mar', 'apr', 'mag', 'giu', 'lug', 'ago', 'set', 'ott', 'nov', 'dic'],
+            MMMM: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno',
+                'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+            A: ['AM', 'PM']
+        },
+        titleFormat: 'MMMM yyyy',
+        todayFormat: '[Oggi]: DD d MMMM yyyy',
+        date: 'Data',
+        done: 'Fine',
+        cancel: 'Annulla',
+        apply: 'Applica',
+        time: 'Ora',
+        weekNumber: 'Sett.',
+        quarterFormat: '[T]Q',
+        firstDayOfWeek: 1,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM yyyy',
+        selectedFormat: '[Selezionato]: DD d MMMM yyyy',
+        selectedWeekFormat: '[Settimana selezionata]: W, GGGG',
+        selectedMonthFormat: '[Selezionato]: MMMM yyyy',
+        selectedQuarterFormat: '[Trimestre selezionato]: Q, yyyy',
+        selectedYearFormat: '[Selezionato]: yyyy',
+        relativeDates: {
+            today: 'oggi',
+            tomorrow: 'domani',
+            yesterday: 'ieri',
+            next: 'prossimo',
+            last: 'scorso',
+            endOfMonth: 'fine mese',
+            units: {
+                day: 'g',
+                week: 's',
+                month: 'm',
+                year: 'a'
+            }
+        },
+        validationMessages: {
+            invalid: 'Data non valida',
+            beforeMin: 'Precedente alla prima data consentita',
+            afterMax: 'Successiva all\'ultima data consentita',
+            unselectable: 'Data non consentita'
+        }
+    },
+    'pt-BR': {
+        titles: {
+            DD: ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'],
+            D: ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'],
+            MMM: ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'],
+            MMMM: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho',
+                'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+            A: ['AM', 'PM']
+        },
+        titleFormat: 'MMMM [de] yyyy',
+        todayFormat: '[Hoje]: DD, d [de] MMMM [de] yyyy',
+        date: 'Data',
+        done: 'Concluído',
+        cancel: 'Cancelar',
+        apply: 'Aplicar',
+        time: 'Hora',
+        weekNumber: 'Sem',
+        quarterFormat: 'Q[º] [tri.]',
+        firstDayOfWeek: 0,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM [de] yyyy',
+        selectedFormat: '[Selecionado]: DD, d [de] MMMM [de] yyyy',
+        selectedWeekFormat: '[Semana selecionada]: W, GGGG',
+        selectedMonthFormat: '[Selecionado]: MMMM [de] yyyy',
+        selectedQuarterFormat: '[Trimestre selecionado]: Q, yyyy',
+        selectedYearFormat: '[Selecionado]: yyyy',
+        relativeDates: {
+            today: 'hoje',
+            tomorrow: 'amanhã',
+            yesterday: 'ontem',
+            next: ['próxima', 'próximo'],
+            last: ['última', 'último'],
+            endOfMonth: 'fim do mês',
+            units: {
+                day: 'd',
+                week: 's',
+                month: 'm',
+                year: 'a'
+            }
+        },
+        validationMessages: {
+            invalid: 'Data inválida',
+            beforeMin: 'Anterior à primeira data permitida',
+            afterMax: 'Posterior à última data permitida',
+            unselectable: 'Data não permitida'
+        }
+    },
+    ru: {
+        titles: {
+            DD: ['воскресенье', 'понедельник', 'вторник', 'среда', 'четверг', 'пятница', 'суббота'],
+            D: ['вс', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб'],
+            MMM: ['янв', 'фев', 'мар', 'апр', 'май', 'июн', 'июл', 'авг', 'сен', 'окт', 'ноя', 'дек'],
+            MMMM: ['январь', 'февраль', 'март', 'апрель', 'май', 'июнь',
+                'июль', 'август', 'сентябрь', 'октябрь', 'ноябрь', 'декабрь'],
+            A: ['AM', 'PM']
+        },
+        titleFormat: 'MMMM yyyy',
+        todayFormat: 'Сегодня: DD, dd.MM.yyyy',
+        date: 'Дата',
+        done: 'Готово',
+        cancel: 'Отмена',
+        apply: 'Применить',
+        time: 'Время',
+        weekNumber: 'Нед',
+        quarterFormat: 'Q [кв.]',
+        firstDayOfWeek: 1,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM yyyy',
+        selectedFormat: 'Выбрано: DD, dd.MM.yyyy',
+        selectedWeekFormat: 'Выбрана неделя: W, GGGG',
+        selectedMonthFormat: 'Выбрано: MMMM yyyy',
+        selectedQuarterFormat: 'Выбран квартал: Q, yyyy',
+        selectedYearFormat: 'Выбрано: yyyy',
+        relativeDates: {
+            today: 'сегодня',
+            tomorrow: 'завтра',
+            yesterday: 'вчера',
+            next: ['следующий', 'следующая', 'следующее'],
+            last: ['прошлый', 'прошлая', 'прошлое'],
+            endOfMonth: 'конец месяца',
+            units: {
+                day: 'д',
+                week: 'н',
+                month: 'м',
+                year: 'г'
+            }
+        },
+        validationMessages: {
+            invalid: 'Недопустимая дата',
+            beforeMin: 'Раньше самой ранней допустимой даты',
+            afterMax: 'Позже самой поздней допустимой даты',
+            unselectable: 'Недоступная дата'
+        }
+    },
+    nl: {
+        titles: {
+            DD: ['zondag', 'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrijdag', 'zaterdag'],
+            D: ['zo', 'ma', 'di', 'wo', 'do', 'vr', 'za'],
+            MMM: ['jan', 'feb', 'mrt', 'apr', 'mei', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dec'],
+            MMMM: ['januari', 'februari', 'maart', 'april', 'mei', 'juni',
+                'juli', 'augustus', 'september', 'oktober', 'november', 'december'],
+            A: ['AM', 'PM']
+        },
+        titleFormat: 'MMMM yyyy',
+        todayFormat: '[Vandaag]: DD d MMMM yyyy',
+        date: 'Datum',
+        done: 'Gereed',
+        cancel: 'Annuleren',
+        apply: 'Toepassen',
+        time: 'Tijd',
+        weekNumber: 'Wk',
+        quarterFormat: '[K]Q',
+        firstDayOfWeek: 1,
+        meridiemPosition: 'right',
+        navigationFormat: 'MMMM yyyy',
+        selectedFormat: '[Geselecteerd]: DD d MMMM yyyy',
+        selectedWeekFormat: '[Geselecteerde week]: W, GGGG',
+        selectedMonthFormat: '[Geselecteerd]: MMMM yyyy',
+        selectedQuarterFormat: '[Geselecteerd kwartaal]: Q, yyyy',
+        selectedYearFormat: '[Geselecteerd]: yyyy',
+        relativeDates: {
+            today: 'vandaag',
+            tomorrow: 'morgen',
+            yesterday: 'gisteren',
+            next: 'volgende',
+            last: 'vorige',
+            endOfMonth: 'einde van de maand',
+            units: {
+                day: 'd',
+                week: 'w',
+                month: 'm',
+                year: 'j'
+            }
+        },
+        validationMessages: {
+            invalid: 'Geen geldige datum',
+            beforeMin: 'Vóór de vroegste toegestane datum',
+            afterMax: 'Na de laatste toegestane datum',
+            unselectable: 'Geen toegestane datum'
+        }
     }
 };
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Parser of the relative date expressions ('today', 'next friday', '+3d', 'end of month', ...)
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var dateUtil = require('./dateUtil');
+
+var util = tui.util;
+
+var DAYS_OF_WEEK = 7;
+var MONTHS_OF_YEAR = 12;
+
+var rOffset = /^([+-])\s*(\d+)\s*(\S+)$/;
+var rSpaces = /\s+/g;
+var rTrimmedSpaces = /^\s+|\s+$/g;
+
+// Date setters of the phrases meaning a day
+var PHRASE_SETTERS = {
+    today: function() {},
+    tomorrow: function(date) {
+        date.setDate(date.getDate() + 1);
+    },
+    yesterday: function(date) {
+        date.setDate(date.getDate() - 1);
+    },
+    endOfMonth: function(date) {
+        date.setMonth(date.getMonth() + 1, 0);
+    }
+};
+
+/**
+ * Returns the normalized text - trimmed, lowercased and having single spaces
+ * @ignore
+ * @param {string} text - Text
+ * @returns {string}
+ */
+var normalize = function(text) {
+    return String(text).replace(rTrimmedSpaces, '').replace(rSpaces, ' ').toLowerCase();
+};
+
+/**
+ * Returns the normalized phrases of a locale text value
+ * @ignore
+ * @param {string|Array.<string>} [value] - Phrase or phrases
+ * @returns {Array.<string>}
+ */
+var toPhrases = function(value) {
+    var phrases = util.filter(util.isArray(value) ? value : [value], function(phrase) {
+        return util.isString(phrase) && !!phrase;
+    });
+
+    return util.map(phrases, normalize);
+};
+
+/**
+ * Returns the text without a phrase at the start or the end
+ * @ignore
+ * @param {string} text - Normalized text
+ * @param {string|Array.<string>} [value] - Phrase or phrases
+ * @returns {?string} Null if the text does not start or end with the phrase
+ */
+var stripPhrase = function(text, value) {
+    var stripped = null;
+
+    util.forEach(toPhrases(value), function(phrase) {
+        var endIndex = text.length - phrase.length;
+
+        if (text.indexOf(phrase) === 0) {
+            stripped = text.slice(phrase.length);
+        } else if (endIndex > 0 && text.lastIndexOf(phrase) === endIndex) {
+            stripped = text.slice(0, endIndex);
+        }
+
+        return stripped === null;
+    });
+
+    return stripped === null ? null : normalize(stripped);
+};
+
+/**
+ * Returns the key of the phrases having the text
+ * @ignore
+ * @param {string} text - Normalized text
+ * @param {object} phrasesByKey - Phrases by key
+ * @returns {?string}
+ */
+var findKey = function(text, phrasesByKey) {
+    var found = null;
+
+    util.forEach(phrasesByKey, function(value, key) {
+        if (util.inArray(text, toPhrases(value)) > -1) {
+            found = key;
+        }
+
+        return !found;
+    });
+
+    return found;
+};
+
+/**
+ * Add months to a date keeping the day in the month ('01-31' + 1 month -> '02-28')
+ * @ignore
+ * @param {Date} date - Date
+ * @param {number} months - Months to add
+ */
+var addMonths = function(date, months) {
+    var day = date.getDate();
+    var lastDay;
+
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    lastDay = dateUtil.getLastDayInMonth(date.getFullYear(), date.getMonth() + 1);
+    date.setDate(Math.min(day, lastDay));
+};
+
+// Date setters of the offset units
+var OFFSET_SETTERS = {
+    day: function(date, amount) {
+        date.setDate(date.getDate() + amount);
+    },
+    week: function(date, amount) {
+        date.setDate(date.getDate() + (amount * DAYS_OF_WEEK));
+    },
+    month: addMonths,
+    year: function(date, amount) {
+        addMonths(date, amount * MONTHS_OF_YEAR);
+    }
+};
+
+/**
+ * Set the date of a phrase ('today', 'tomorrow', 'end of month', ...)
+ * @ignore
+ * @param {string} text - Normalized text
+ * @param {Date} date - Base date to set
+ * @param {object} texts - Relative date texts
+ * @returns {?Date} Null if the text is not a phrase
+ */
+var setDateOfPhrase = function(text, date, texts) {
+    var key = findKey(text, {
+        today: texts.today,
+        tomorrow: texts.tomorrow,
+        yesterday: texts.yesterday,
+        endOfMonth: texts.endOfMonth
+    });
+
+    if (!key) {
+        return null;
+    }
+    PHRASE_SETTERS[key](date);
+
+    return date;
+};
+
+/**
+ * Set the date of an offset ('+3d', '-2w', ...)
+ * @ignore
+ * @param {string} text - Normalized text
+ * @param {Date} date - Base date to set
+ * @param {object} units - Unit texts
+ * @returns {?Date} Null if the text is not an offset
+ */
+var setDateOfOffset = function(text, date, units) {
+    var matched = rOffset.exec(text);
+    var unit = matched && findKey(matched[3], units || {});
+
+    if (!unit) {
+        return null;
+    }
+    OFFSET_SETTERS[unit](date, Number(matched[2]) * (matched[1] === '-' ? -1 : 1));
+
+    return date;
+};
+
+/**
+ * Set the date of a next or last day of the week ('next friday', 'last mon', ...)
+ * - The next friday of a friday is a week after it.
+ * @ignore
+ * @param {string} text - Normalized text
+ * @param {Date} date - Base date to set
+ * @param {object} texts - Relative date texts
+ * @param {object} titles - Titles having the names of the days (DD, D)
+ * @returns {?Date} Null if the text is not a day of the week
+ */
+var setDateOfDayOfWeek = function(text, date, texts, titles) {
+    var direction = 1;
+    var name = stripPhrase(text, texts.next);
+    var day, days;
+
+    if (name === null) {
+        direction = -1;
+        name = stripPhrase(text, texts.last);
+    }
+
+    day = util.inArray(name, toPhrases(titles.DD));
+    if (day < 0) {
+        day = util.inArray(name, toPhrases(titles.D));
+    }
+    if (name === null || day < 0) {
+        return null;
+    }
+
+    days = ((((day - date.getDay()) * direction) + DAYS_OF_WEEK) % DAYS_OF_WEEK) || DAYS_OF_WEEK;
+    date.setDate(date.getDate() + (days * direction));
+
+    return date;
+};
+
+module.exports = {
+    /**
+     * Parse a relative date expression
+     * - Phrases: 'today', 'tomorrow', 'yesterday', 'end of month'
+     * - Offsets: '+3d', '-2w', '+1m', '+1y'
+     * - Days of the week: 'next friday', 'last mon'
+     * The phrases and the units are localized by the "relativeDates" of the locale text.
+     * @param {string} text - Text to parse
+     * @param {Date} baseDate - Date the expression is relative to. The time of it is kept.
+     * @param {object} localeText - Locale text having the "relativeDates" and the "titles"
+     * @returns {?Date} Null if the text is not a relative date expression
+     * @example
+     *  // 2017-03-15 is a wednesday
+     *  relativeDate.parse('next friday', new Date(2017, 2, 15), localeText); // new Date(2017, 2, 17)
+     */
+    parse: function(text, baseDate, localeText) {
+        var texts = localeText.relativeDates;
+        var date = new Date(baseDate);
+
+        if (!texts) {
+            return null;
+        }
+        text = normalize(text);
+
+        return setDateOfPhrase(text, date, texts)
+            || setDateOfOffset(text, date, texts.units)
+            || setDateOfDayOfWeek(text, date, texts, localeText.titles || {});
+    }
+};
@@ -9,13 +9,22 @@
 var Spinbox = require('./spinbox');
 var Selectbox = require('./selectbox');
 var dateUtil = require('./../dateUtil');
+var locale = require('./../locale');
+var constants = require('./../constants');
 var tmpl = require('./../../template/timepicker/index.hbs');
 
 var util = tui.util;
 
+var DEFAULT_LANGUAGE_TYPE = constants.DEFAULT_LANGUAGE_TYPE;
+var DEFAULT_MERIDIEM_TITLES = ['AM', 'PM'];
+var DEFAULT_MERIDIEM_POSITION = 'right';
+
+var CLASS_NAME_LEFT_MERIDIEM = 'tui-has-left';
+
 var SELECTOR_MERIDIEM_ELELEMENT = '.tui-timepicker-meridiem';
 var SELECTOR_HOUR_ELELEMENT = '.tui-timepicker-hour';
 var SELECTOR_MINUTE_ELELEMENT = '.tui-timepicker-minute';
+var SELECTOR_SECOND_ELELEMENT = '.tui-timepicker-second';
 
 /**
  * Merge default option
@@ -27,19 +36,41 @@ var mergeDefaultOption = function(option) {
     return util.extend({
         initialHour: 0,
         initialMinute: 0,
+        initialSecond: 0,
         showMeridiem: true,
-        inputType: 'selectbox'
+        showSecond: false,
+        inputType: 'selectbox',
+        language: DEFAULT_LANGUAGE_TYPE
     }, option);
 };
 
+/**
+ * Whether the time is valid
+ * @ignore
+ * @param {number} hour - Hour (0~23)
+ * @param {number} minute - Minute (0~59)
+ * @param {number} second - Second (0~59)
+ * @returns {boolean}
+ */
+var isValidTime = function(hour, minute, second) {
+    var isNumber = util.isNumber(hour) && util.isNumber(minute) && util.isNumber(second);
+
+    return isNumber && (hour <= 23) && (minute <= 59) && (second <= 59);
+};
+
 /**
  * @class
  * @param {string|jQuery|HTMLElement} container - Container element
  * @param {Object} [option] - Option for initialization
  * @param {number} [option.initialHour = 0] - Initial setting value of hour
  * @param {number} [option.initialMinute = 0] - Initial setting value of minute
+ * @param {number} [option.initialSecond = 0] - Initial setting value of second
  * @param {string} [option.inputType = 'selectbox'] - 'selectbox' or 'spinbox'
  * @param {boolean} [option.showMeridiem = true] - Show meridiem expression?
+ * @param {boolean} [option.showSecond = false] - Show second column?
+ * @param {string} [option.language = 'en'] - Language key of the meridiem titles - {@link Datepicker.localeTexts}
+ * @param {string} [option.meridiemPosition] - 'left' to put the meridiem before the hour, or 'right'.
+ *                                             Default - meridiemPosition of the language
  *
  * @tutorial timepickers
  */
@@ -83,6 +114,12 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
          */
         this._showMeridiem = option.showMeridiem;
 
+        /**
+         * @type {boolean}
+         * @private
+         */
+        this._showSecond = option.showSecond;
+
         /**
          * @type {Spinbox}
          * @private
@@ -95,6 +132,12 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
          */
         this._minuteInput = null;
 
+        /**
+         * @type {Spinbox|Selectbox}
+         * @private
+         */
+        this._secondInput = null;
+
         /**
          * @type {number}
          * @private
@@ -107,6 +150,12 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
          */
         this._minute = option.initialMinute || 0;
 
+        /**
+         * @type {number}
+         * @private
+         */
+        this._second = option.initialSecond || 0;
+
         /**
          * Timepicker inputType
          * @type {'spinbox'|'selectbox'}
@@ -114,6 +163,28 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
          */
         this._inputType = option.inputType;
 
+        /**
+         * Meridiem titles of the language
+         * @type {Array.<string>}
+         * @private
+         */
+        this._meridiemTitles = null;
+
+        /**
+         * Meridiem position given by option
+         * @type {?string}
+         * @private
+         */
+        this._meridiemPositionOption = option.meridiemPosition || null;
+
+        /**
+         * Meridiem position - 'left' (before the hour) or 'right' (after the minute)
+         * @type {string}
+         * @private
+         */
+        this._meridiemPosition = DEFAULT_MERIDIEM_POSITION;
+
+        this._setLanguage(option.language);
         this._render();
         this._setEvents();
     },
@@ -123,9 +194,6 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
      * @private
      */
     _setEvents: function() {
-        this._hourInput.on('change', this._onChangeTimeInput, this);
-        this._minuteInput.on('change', this._onChangeTimeInput, this);
-
         if (this._showMeridiem) {
             this._$container.on(
                 'change.timepicker',
@@ -135,6 +203,20 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
         }
     },
 
+    /**
+     * Set meridiem titles and position of a language
+     * @param {string} language - Language key
+     * @private
+     */
+    _setLanguage: function(language) {
+        var localeText = locale.getLocaleText(language);
+
+        this._meridiemTitles = localeText.titles.A || DEFAULT_MERIDIEM_TITLES;
+        this._meridiemPosition = this._meridiemPositionOption
+            || localeText.meridiemPosition
+            || DEFAULT_MERIDIEM_POSITION;
+    },
+
     /**
      * Render element
      * @private
@@ -142,7 +224,10 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
     _render: function() {
         var context = {
             showMeridiem: this._showMeridiem,
-            inputType: this._inputType
+            showSecond: this._showSecond,
+            inputType: this._inputType,
+            am: this._meridiemTitles[0],
+            pm: this._meridiemTitles[1]
         };
 
         this._$element.remove();
@@ -156,9 +241,24 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
             this._$amEl = this._$meridiemElement.find('[value="AM"]');
             this._$pmEl = this._$meridiemElement.find('[value="PM"]');
             this._syncToMeridiemElements();
+            this._setMeridiemPosition();
         }
     },
 
+    /**
+     * Move the meridiem element before the hour element if the position is left
+     * @private
+     */
+    _setMeridiemPosition: function() {
+        if (this._meridiemPosition !== 'left') {
+            return;
+        }
+
+        this._$meridiemElement
+            .addClass(CLASS_NAME_LEFT_MERIDIEM)
+            .insertBefore(this._$element.find(SELECTOR_HOUR_ELELEMENT));
+    },
+
     /**
      * Render time selectors
      * @private
@@ -183,6 +283,29 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
             initialValue: this._minute,
             items: dateUtil.getRangeArr(0, 59)
         });
+
+        this._hourInput.on('change', this._onChangeTimeInput, this);
+        this._minuteInput.on('change', this._onChangeTimeInput, this);
+
+        if (this._showSecond) {
+            this._secondInput = new BoxComponent(this._$element.find(SELECTOR_SECOND_ELELEMENT), {
+                initialValue: this._second,
+                items: dateUtil.getRangeArr(0, 59)
+            });
+            this._secondInput.on('change', this._onChangeTimeInput, this);
+        }
+    },
+
+    /**
+     * Destroy time selectors
+     * @private
+     */
+    _destroyTimeInputs: function() {
+        this._hourInput.destroy();
+        this._minuteInput.destroy();
+        if (this._secondInput) {
+            this._secondInput.destroy();
+        }
     },
 
     /**
@@ -216,6 +339,9 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
 
         this._hourInput.setValue(hour);
         this._minuteInput.setValue(minute);
+        if (this._secondInput) {
+            this._secondInput.setValue(this._second);
+        }
     },
 
     /**
@@ -228,7 +354,7 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
         var isPM = (event.target.value === 'PM');
 
         hour = this._to24Hour(isPM, hour);
-        this.setTime(hour, this._minute);
+        this.setTime(hour, this._minute, this._second);
     },
 
     /**
@@ -238,12 +364,13 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
     _onChangeTimeInput: function() {
         var hour = this._hourInput.getValue();
         var minute = this._minuteInput.getValue();
+        var second = this._secondInput ? this._secondInput.getValue() : this._second;
         var isPM = this._hour >= 12;
 
         if (this._showMeridiem) {
             hour = this._to24Hour(isPM, hour);
         }
-        this.setTime(hour, minute);
+        this.setTime(hour, minute, second);
     },
 
     /**
@@ -282,7 +409,7 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
      * @returns {boolean} result of set time
      */
     setHour: function(hour) {
-        return this.setTime(hour, this._minute);
+        return this.setTime(hour, this._minute, this._second);
     },
 
     /**
@@ -291,22 +418,33 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
      * @returns {boolean} result of set time
      */
     setMinute: function(minute) {
-        return this.setTime(this._hour, minute);
+        return this.setTime(this._hour, minute, this._second);
+    },
+
+    /**
+     * Set second
+     * @param {number} second for time picker
+     * @returns {boolean} result of set time
+     */
+    setSecond: function(second) {
+        return this.setTime(this._hour, this._minute, second);
     },
 
     /**
      * Set time
      * @param {number} hour for time picker - (0~23)
      * @param {number} minute for time picker
+     * @param {number} [second] for time picker - The current second is kept if omitted
      */
-    setTime: function(hour, minute) {
-        var isNumber = util.isNumber(hour) && util.isNumber(minute);
-        if (!isNumber || (hour > 23) || (minute > 59)) {
+    setTime: function(hour, minute, second) {
+        second = util.isUndefined(second) ? this._second : second;
+        if (!isValidTime(hour, minute, second)) {
             return;
         }
 
         this._hour = hour;
         this._minute = minute;
+        this._second = second;
 
         this._syncToInputs();
         this._syncToMeridiemElements();
@@ -316,7 +454,8 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
          */
         this.fire('change', {
             hour: this._hour,
-            minute: this._minute
+            minute: this._minute,
+            second: this._second
         });
     },
 
@@ -336,13 +475,39 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
         return this._minute;
     },
 
+    /**
+     * Get second
+     * @returns {number} second
+     */
+    getSecond: function() {
+        return this._second;
+    },
+
+    /**
+     * Change language of the meridiem titles.
+     * The meridiem position follows the language unless the meridiemPosition option is given.
+     * @param {string} language - Language key - {@link Datepicker.localeTexts}
+     * @example
+     * timepicker.changeLanguage('ko');
+     */
+    changeLanguage: function(language) {
+        var isHidden = this._$element.css('display') === 'none';
+
+        this._setLanguage(language);
+        this._destroyTimeInputs();
+        this._render();
+
+        if (isHidden) {
+            this.hide();
+        }
+    },
+
     /**
      * Destroy
      */
     destroy: function() {
         this.off();
-        this._hourInput.destroy();
-        this._minuteInput.destroy();
+        this._destroyTimeInputs();
         this._$container.off('.timepicker');
         this._$element.remove();
 
@@ -350,9 +515,15 @@ var Timepicker = util.defineClass(/** @lends Timepicker.prototype */ {
             = this._showMeridiem
             = this._hourInput
             = this._minuteInput
+            = this._secondInput
+            = this._showSecond
             = this._hour
             = this._minute
+            = this._second
             = this._inputType
+            = this._meridiemTitles
+            = this._meridiemPositionOption
+            = this._meridiemPosition
             = this._$element
             = this._$meridiemElement
             = this._$amEl
@@ -6,26 +6,25 @@
 
 var dateUtil = require('../../js/dateUtil');
 
-module.exports = function(year, month, options) {
+module.exports = function(year, month, firstDayOfWeek, options) {
     var weekNumber = 0;
     var weeksCount = 6; // Fix for no changing height
     var out = '';
-    var weekContext;
+    var weekContext, dayIndex;
 
     for (; weekNumber < weeksCount; weekNumber += 1) {
         weekContext = {
             year: year,
             month: month,
-            dates: [
-                dateUtil.getDateOfWeek(year, month, weekNumber, 0),
-                dateUtil.getDateOfWeek(year, month, weekNumber, 1),
-                dateUtil.getDateOfWeek(year, month, weekNumber, 2),
-                dateUtil.getDateOfWeek(year, month, weekNumber, 3),
-                dateUtil.getDateOfWeek(year, month, weekNumber, 4),
-                dateUtil.getDateOfWeek(year, month, weekNumber, 5),
-                dateUtil.getDateOfWeek(year, month, weekNumber, 6)
-            ]
+            dates: []
         };
+        for (dayIndex = 0; dayIndex < 7; dayIndex += 1) {
+            weekContext.dates.push(
+                dateUtil.getDateOfWeek(year, month, weekNumber, (firstDayOfWeek + dayIndex) % 7, firstDayOfWeek)
+            );
+        }
+        weekContext.weekNumber = dateUtil.getWeekNumber(weekContext.dates[0], firstDayOfWeek);
+        weekContext.startTimestamp = weekContext.dates[0].getTime();
         out += options.fn(weekContext);
     }
 
@@ -20,11 +20,13 @@ describe('Calendar - Body', function() {
     it('"changeLanguage" should change each layer\'s language', function() {
         spyOn(body._dateLayer, 'changeLanguage');
         spyOn(body._monthLayer, 'changeLanguage');
+        spyOn(body._quarterLayer, 'changeLanguage');
         spyOn(body._yearLayer, 'changeLanguage');
 
         body.changeLanguage('ko');
         expect(body._dateLayer.changeLanguage).toHaveBeenCalledWith('ko');
         expect(body._monthLayer.changeLanguage).toHaveBeenCalledWith('ko');
+        expect(body._quarterLayer.changeLanguage).toHaveBeenCalledWith('ko');
         expect(body._yearLayer.changeLanguage).toHaveBeenCalledWith('ko');
     });
 
@@ -184,7 +184,7 @@ describe('Calendar', function() {
 
             expect(calendar._header.changeLanguage).toHaveBeenCalledWith('ko');
             expect(calendar._body.changeLanguage).toHaveBeenCalledWith('ko');
-            expect(calendar._render).toHaveBeenCalled();
+            expect(calendar._render.calls.count()).toBe(1);
         });
 
         it('"destory" should destory', function() {
@@ -198,4 +198,338 @@ describe('Calendar', function() {
             expect(nCalendar._body).toBeNull();
         });
     });
+
+    describe('firstDayOfWeek', function() {
+        var calendar;
+
+        afterEach(function() {
+            calendar.destroy();
+        });
+
+        it('should start the week on sunday by default', function() {
+            calendar = new Calendar($('<div></div>'), {
+                date: new Date(2017, 2)
+            });
+
+            expect(calendar.getFirstDayOfWeek()).toBe(0);
+            expect(calendar._$element.find('th').first().text()).toBe('Sun');
+            expect(calendar.getDateElements().first().data('timestamp')).toBe(new Date(2017, 1, 26).getTime());
+        });
+
+        it('should rotate the header and the dates by the option', function() {
+            var $headers;
+
+            calendar = new Calendar($('<div></div>'), {
+                date: new Date(2017, 2),
+                firstDayOfWeek: 1
+            });
+            $headers = calendar._$element.find('th');
+
+            expect(calendar.getFirstDayOfWeek()).toBe(1);
+            expect($headers.first().text()).toBe('Mon');
+            expect($headers.last().text()).toBe('Sun');
+            expect($headers.last().hasClass('tui-sun')).toBe(true);
+            expect(calendar.getDateElements().first().data('timestamp')).toBe(new Date(2017, 1, 27).getTime());
+            expect(calendar.getDateElements().eq(6).hasClass('tui-calendar-sun')).toBe(true);
+        });
+
+        it('should use the first day of the week of the locale text', function() {
+            Calendar.localeTexts.test = tui.util.extend({}, Calendar.localeTexts.en, {
+                firstDayOfWeek: 6
+            });
+            calendar = new Calendar($('<div></div>'), {
+                date: new Date(2017, 2),
+                language: 'test'
+            });
+
+            expect(calendar.getFirstDayOfWeek()).toBe(6);
+            expect(calendar._$element.find('th').first().text()).toBe('Sat');
+
+            delete Calendar.localeTexts.test;
+        });
+    });
+
+    describe('showWeekNumbers', function() {
+        var calendar;
+
+        beforeEach(function() {
+            calendar = new Calendar($('<div></div>'), {
+                date: new Date(2017, 0),
+                firstDayOfWeek: 1,
+                showWeekNumbers: true
+            });
+        });
+
+        afterEach(function() {
+            calendar.destroy();
+        });
+
+        it('should render the week numbers in front of weeks', function() {
+            var $weekNumbers = calendar._$element.find('.tui-calendar-week-number');
+
+            expect(calendar._$element.find('.tui-calendar-week-number-title').text()).toBe('Wk');
+            expect($weekNumbers.length).toBe(6);
+            expect($weekNumbers.first().text()).toBe('52');
+            expect($weekNumbers.eq(1).text()).toBe('1');
+            expect(calendar.getDateElements().length).toBe(42);
+        });
+
+        it('should fire "clickWeek" event with the week span', function() {
+            var handler = jasmine.createSpy('clickWeek handler');
+
+            calendar.on('clickWeek', handler);
+            calendar._$element.find('.tui-calendar-week-number').eq(1).trigger('click');
+
+            expect(handler).toHaveBeenCalledWith({
+                weekNumber: 1,
+                start: new Date(2017, 0, 2),
+                end: new Date(2017, 0, 8)
+            });
+        });
+
+        it('should fire "clickWeek" event with the week number regardless of the cell text', function() {
+            var handler = jasmine.createSpy('clickWeek handler');
+            var $weekNumber = calendar._$element.find('.tui-calendar-week-number').eq(1);
+
+            calendar.on('clickWeek', handler);
+            $weekNumber.text('W1');
+            $weekNumber.trigger('click');
+
+            expect(handler.calls.argsFor(0)[0].weekNumber).toBe(1);
+        });
+
+        it('should not render the week numbers by default', function() {
+            var defaultCalendar = new Calendar($('<div></div>'));
+
+            expect(defaultCalendar._$element.find('.tui-calendar-week-number').length).toBe(0);
+
+            defaultCalendar.destroy();
+        });
+    });
+
+    describe('quarter type', function() {
+        var calendar;
+
+        beforeEach(function() {
+            calendar = new Calendar($('<div></div>'), {
+                date: new Date(2017, 4),
+                type: 'quarter'
+            });
+        });
+
+        afterEach(function() {
+            calendar.destroy();
+        });
+
+        it('should render quarters of the year', function() {
+            var $quarters = calendar.getDateElements();
+
+            expect(calendar.getType()).toBe('quarter');
+            expect($quarters.length).toBe(4);
+            expect($quarters.eq(1).data('timestamp')).toBe(new Date(2017, 3, 1).getTime());
+            expect(calendar._$element.find('.tui-calendar-title').text()).toBe('2017');
+        });
+
+        it('should render the quarters in the format of the language', function() {
+            expect(calendar.getDateElements().eq(1).text()).toBe('Q2');
+
+            calendar.changeLanguage('ko');
+
+            expect(calendar.getDateElements().eq(1).text()).toBe('2분기');
+        });
+
+        it('should page by year', function() {
+            expect(calendar.getNextDate()).toEqual(new Date(2018, 4));
+            expect(calendar.getPrevDate()).toEqual(new Date(2016, 4));
+        });
+    });
+
+    describe('decade and century types', function() {
+        var calendar;
+
+        beforeEach(function() {
+            calendar = new Calendar($('<div></div>'), {
+                date: new Date(2017, 0),
+                type: 'decade'
+            });
+        });
+
+        afterEach(function() {
+            calendar.destroy();
+        });
+
+        it('should render years of the decade', function() {
+            var $years = calendar.getDateElements();
+
+            expect($years.length).toBe(12);
+            expect($.trim($years.eq(1).text())).toBe('2010');
+            expect($years.first().hasClass('tui-calendar-other-decade')).toBe(true);
+            expect(calendar._$element.find('.tui-calendar-title').text()).toBe('2010 - 2019');
+        });
+
+        it('should render decades of the century', function() {
+            var $decades;
+
+            calendar.draw({
+                type: 'century'
+            });
+            $decades = calendar.getDateElements();
+
+            expect($decades.length).toBe(12);
+            expect($decades.eq(2).data('timestamp')).toBe(new Date(2010, 0, 1).getTime());
+            expect(calendar._$element.find('.tui-calendar-title').text()).toBe('2000 - 2099');
+        });
+
+        it('should page by 10 years on the decade and 100 years on the century', function() {
+            expect(calendar.getNextDate()).toEqual(new Date(2027, 0));
+
+            calendar.draw({
+                type: 'century'
+            });
+
+            expect(calendar.getPrevDate()).toEqual(new Date(1917, 0));
+        });
+    });
+
+    describe('keyboard navigation', function() {
+        var $container, calendar;
+
+        /**
+         * Trigger a keydown event on the focused cell
+         * @param {number} keyCode - Key code
+         * @param {boolean} [shiftKey] - Whether the shift key is pressed
+         */
+        function keydown(keyCode, shiftKey) {
+            $(document.activeElement).trigger($.Event('keydown', {
+                which: keyCode,
+                shiftKey: !!shiftKey
+            }));
+        }
+
+        /**
+         * Returns the date of the focused cell
+         * @returns {Date}
+         */
+        function getFocusedDate() {
+            return new Date($(document.activeElement).data('timestamp'));
+        }
+
+        beforeEach(function() {
+            $container = $('<div></div>').appendTo('body');
+            calendar = new Calendar($container, {
+                date: new Date(2017, 2, 15),
+                firstDayOfWeek: 1
+            });
+            calendar._$element.find('[tabindex=0]').focus();
+        });
+
+        afterEach(function() {
+            calendar.destroy();
+            $container.remove();
+        });
+
+        it('should render the layers as grids having one tabbable cell', function() {
+            var $tabbable = calendar.getDateElements().filter('[tabindex=0]');
+
+            expect(calendar._$element.find('.tui-calendar-body-inner').attr('role')).toBe('grid');
+            expect($tabbable.length).toBe(1);
+            expect($tabbable.data('timestamp')).toBe(new Date(2017, 2, 15).getTime());
+        });
+
+        it('should move the focus by the arrow keys', function() {
+            keydown(39); // right
+            expect(getFocusedDate()).toEqual(new Date(2017, 2, 16));
+
+            keydown(40); // down
+            expect(getFocusedDate()).toEqual(new Date(2017, 2, 23));
+
+            keydown(37); // left
+            keydown(38); // up
+            expect(getFocusedDate()).toEqual(new Date(2017, 2, 15));
+            expect(document.activeElement.getAttribute('tabindex')).toBe('0');
+        });
+
+        it('should draw the adjacent month when the focus moves out of the month', function() {
+            calendar._focusDate(new Date(2017, 2, 31));
+            keydown(39); // right
+
+            expect(calendar.getDate().getMonth()).toBe(3);
+            expect(getFocusedDate()).toEqual(new Date(2017, 3, 1));
+        });
+
+        it('should change the month by PageUp/PageDown and the year with the shift key', function() {
+            calendar._focusDate(new Date(2017, 2, 31));
+
+            keydown(33); // page up
+            expect(getFocusedDate()).toEqual(new Date(2017, 1, 28));
+
+            keydown(34, true); // shift + page down
+            expect(getFocusedDate()).toEqual(new Date(2018, 1, 28));
+        });
+
+        it('should move the focus to the start and end of the week by Home/End', function() {
+            keydown(36); // home
+            expect(getFocusedDate()).toEqual(new Date(2017, 2, 13));
+
+            keydown(35); // end
+            expect(getFocusedDate()).toEqual(new Date(2017, 2, 19));
+        });
+
+        it('should move the focus by cells of the month layer', function() {
+            calendar.draw({
+                type: 'month'
+            });
+            calendar._$element.find('[tabindex=0]').focus();
+
+            expect(getFocusedDate()).toEqual(new Date(2017, 2, 1));
+
+            keydown(40); // down
+            expect(getFocusedDate()).toEqual(new Date(2017, 6, 1));
+
+            keydown(34); // page down
+            expect(getFocusedDate()).toEqual(new Date(2018, 6, 1));
+            expect(calendar.getDate().getFullYear()).toBe(2018);
+        });
+    });
+
+    describe('announcements', function() {
+        var calendar, $liveRegion;
+
+        beforeEach(function() {
+            calendar = new Calendar($('<div></div>'), {
+                date: new Date(2026, 2, 3)
+            });
+            $liveRegion = calendar._$element.find('.tui-calendar-live-region');
+        });
+
+        afterEach(function() {
+            calendar.destroy();
+        });
+
+        it('should have an empty live region after the initial draw', function() {
+            expect($liveRegion.attr('aria-live')).toBe('polite');
+            expect($liveRegion.text()).toBe('');
+        });
+
+        it('should announce the month when the month changes', function() {
+            calendar.drawNext();
+
+            expect($liveRegion.text()).toBe('April 2026');
+        });
+
+        it('should announce the title when the layer changes', function() {
+            calendar.draw({
+                type: 'year'
+            });
+
+            expect($liveRegion.text()).toBe('2022 - 2030');
+        });
+
+        it('should announce in the changed language', function() {
+            calendar.changeLanguage('ko');
+            calendar.drawPrev();
+
+            expect($liveRegion.text()).toBe('2026년 2월');
+        });
+    });
 });
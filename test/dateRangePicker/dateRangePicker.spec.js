@@ -0,0 +1,140 @@
+/**
+ * @fileoverview DateRangePicker spec
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var DateRangePicker = require('../../src/js/dateRangePicker');
+var Datepicker = require('../../src/js/datepicker');
+
+describe('DateRangePicker', function() {
+    var rangepicker, startInput, endInput;
+
+    beforeEach(function() {
+        startInput = document.createElement('input');
+        endInput = document.createElement('input');
+        rangepicker = new DateRangePicker({
+            startpicker: {
+                date: new Date(2017, 2, 10),
+                input: startInput,
+                container: document.createElement('div')
+            },
+            endpicker: {
+                date: new Date(2017, 2, 20),
+                input: endInput,
+                container: document.createElement('div')
+            },
+            selectableRanges: [
+                [new Date(2017, 0, 1), new Date(2017, 11, 31)]
+            ]
+        });
+    });
+
+    afterEach(function() {
+        rangepicker.destroy();
+    });
+
+    it('should throw error without picker containers', function() {
+        expect(function() {
+            return new DateRangePicker({
+                startpicker: {}
+            });
+        }).toThrow();
+    });
+
+    it('should create start and end datepickers', function() {
+        expect(rangepicker.getStartpicker()).toEqual(jasmine.any(Datepicker));
+        expect(rangepicker.getEndpicker()).toEqual(jasmine.any(Datepicker));
+        expect(rangepicker.getStartDate()).toEqual(new Date(2017, 2, 10));
+        expect(rangepicker.getEndDate()).toEqual(new Date(2017, 2, 20));
+        expect(startInput.value).toBe('2017-03-10');
+        expect(endInput.value).toBe('2017-03-20');
+    });
+
+    it('should bound the endpicker ranges by the start date', function() {
+        var endpicker = rangepicker.getEndpicker();
+
+        expect(endpicker.isSelectable(new Date(2017, 2, 9))).toBe(false);
+        expect(endpicker.isSelectable(new Date(2017, 2, 10))).toBe(true);
+
+        rangepicker.setStartDate(new Date(2017, 1, 1));
+
+        expect(endpicker.isSelectable(new Date(2017, 1, 1))).toBe(true);
+        expect(endpicker.isSelectable(new Date(2016, 11, 31))).toBe(false);
+    });
+
+    it('should clear the end date when the start date is set after it', function() {
+        rangepicker.setStartDate(new Date(2017, 3, 1));
+
+        expect(rangepicker.getEndDate()).toBeNull();
+        expect(endInput.value).toBe('');
+    });
+
+    it('should clear the end date when the start date is cleared', function() {
+        rangepicker.getStartpicker().setNull();
+
+        expect(rangepicker.getEndDate()).toBeNull();
+        expect(endInput.value).toBe('');
+    });
+
+    it('should fire one "change" event having both dates', function() {
+        var handler = jasmine.createSpy('change handler');
+
+        rangepicker.on('change', handler);
+        rangepicker.setStartDate(new Date(2017, 3, 1));
+
+        expect(handler.calls.count()).toBe(1);
+        expect(handler).toHaveBeenCalledWith({
+            start: new Date(2017, 3, 1),
+            end: null
+        });
+
+        rangepicker.setEndDate(new Date(2017, 3, 5));
+
+        expect(handler.calls.count()).toBe(2);
+        expect(handler).toHaveBeenCalledWith({
+            start: new Date(2017, 3, 1),
+            end: new Date(2017, 3, 5)
+        });
+    });
+
+    it('"setRanges" should update both pickers', function() {
+        rangepicker.setRanges([
+            [new Date(2018, 0, 1), new Date(2018, 11, 31)]
+        ]);
+
+        expect(rangepicker.getStartDate()).toBeNull();
+        expect(rangepicker.getEndDate()).toBeNull();
+        expect(rangepicker.getStartpicker().isSelectable(new Date(2018, 0, 1))).toBe(true);
+        expect(rangepicker.getEndpicker().isSelectable(new Date(2018, 0, 1))).toBe(true);
+    });
+
+    it('"addRange" should update both pickers', function() {
+        rangepicker.addRange(new Date(2018, 0, 1), new Date(2018, 0, 31));
+
+        expect(rangepicker.getStartpicker().isSelectable(new Date(2018, 0, 10))).toBe(true);
+        expect(rangepicker.getEndpicker().isSelectable(new Date(2018, 0, 10))).toBe(true);
+    });
+
+    it('should highlight the range on both pickers', function() {
+        spyOn(rangepicker.getStartpicker(), 'setHighlightRange');
+        spyOn(rangepicker.getEndpicker(), 'setHighlightRange');
+
+        rangepicker.setEndDate(new Date(2017, 2, 25));
+
+        expect(rangepicker.getStartpicker().setHighlightRange)
+            .toHaveBeenCalledWith(new Date(2017, 2, 10), new Date(2017, 2, 25));
+        expect(rangepicker.getEndpicker().setHighlightRange)
+            .toHaveBeenCalledWith(new Date(2017, 2, 10), new Date(2017, 2, 25));
+    });
+
+    it('"changeLanguage" should change the language of both pickers', function() {
+        spyOn(rangepicker.getStartpicker(), 'changeLanguage');
+        spyOn(rangepicker.getEndpicker(), 'changeLanguage');
+
+        rangepicker.changeLanguage('ko');
+
+        expect(rangepicker.getStartpicker().changeLanguage).toHaveBeenCalledWith('ko');
+        expect(rangepicker.getEndpicker().changeLanguage).toHaveBeenCalledWith('ko');
+    });
+});
@@ -4,6 +4,8 @@
  */
 
 var DateTimeFormatter = require('../src/js/dateTimeFormatter');
+var localeTexts = require('../src/js/localeTexts');
+var dateUtil = require('../src/js/dateUtil');
 
 describe('DateTimeFormatter', function() {
     var formatter;
@@ -14,7 +16,7 @@ describe('DateTimeFormatter', function() {
 
     describe('"format" method', function() { // Parameters
         beforeEach(function() {
-            formatter = new DateTimeFormatter('yyyy-MM-dd hh:mm');
+            formatter = new DateTimeFormatter('yyyy-MM-dd HH:mm');
         });
 
         it('should return formatted string', function() {
@@ -38,14 +40,107 @@ describe('DateTimeFormatter', function() {
             expect(formatter.parse('20160312 12:00 am')).toEqual(new Date(2016, 2, 12, 0, 0));
             expect(formatter.parse('20160312 12:00 pm')).toEqual(new Date(2016, 2, 12, 12, 0));
             expect(formatter.parse('20160312 12:00 pm')).toEqual(new Date(2016, 2, 12, 12, 0));
-            expect(formatter.parse('20160312 13:00 pm')).toEqual(new Date(2016, 2, 12, 13, 0));
             expect(formatter.parse('20160312 10:00 am')).toEqual(new Date(2016, 2, 12, 10, 0));
+            expect(formatter.parse('20160312 1:05 pm')).toEqual(new Date(2016, 2, 12, 13, 5));
         });
 
         it('should parse time string first than meridiem', function() {
+            formatter = new DateTimeFormatter('yyyyMMdd HH:mm A');
+
             expect(formatter.parse('20160312 13:00 am')).toEqual(new Date(2016, 2, 12, 13, 0));
             expect(formatter.parse('20160312 16:00 am')).toEqual(new Date(2016, 2, 12, 16, 0));
         });
+
+        it('should throw error with the 24-hour for the 12-hour key', function() {
+            expect(function() {
+                formatter.parse('20160312 13:00 pm');
+            }).toThrow();
+        });
+    });
+
+    describe('hour keys', function() {
+        var date = new Date(2016, 2, 12, 0, 5);
+        var afternoon = new Date(2016, 2, 12, 13, 5);
+
+        it('"H", "HH" should be 0 ~ 23', function() {
+            formatter = new DateTimeFormatter('H:mm HH:m');
+
+            expect(formatter.format(date)).toBe('0:05 00:5');
+            expect(formatter.format(afternoon)).toBe('13:05 13:5');
+            expect(new DateTimeFormatter('H:m').parse('0:5')).toEqual(new Date(1900, 0, 1, 0, 5));
+            expect(new DateTimeFormatter('HH:mm').parse('23:59')).toEqual(new Date(1900, 0, 1, 23, 59));
+        });
+
+        it('"h", "hh" should be 1 ~ 12', function() {
+            formatter = new DateTimeFormatter('h:mm hh:mm');
+
+            expect(formatter.format(date)).toBe('12:05 12:05');
+            expect(formatter.format(afternoon)).toBe('1:05 01:05');
+            expect(new DateTimeFormatter('hh:mm').parse('12:05')).toEqual(new Date(1900, 0, 1, 0, 5));
+            expect(function() {
+                new DateTimeFormatter('hh:mm').parse('00:05');
+            }).toThrow();
+        });
+
+        it('"k", "kk" should be 1 ~ 24', function() {
+            formatter = new DateTimeFormatter('k:mm kk:mm');
+
+            expect(formatter.format(date)).toBe('24:05 24:05');
+            expect(formatter.format(afternoon)).toBe('13:05 13:05');
+            expect(new DateTimeFormatter('kk:mm').parse('24:05')).toEqual(new Date(1900, 0, 1, 0, 5));
+            expect(new DateTimeFormatter('kk:mm').parse('13:05')).toEqual(new Date(1900, 0, 1, 13, 5));
+        });
+
+        it('"K", "KK" should be 0 ~ 11', function() {
+            formatter = new DateTimeFormatter('K:mm KK:mm a');
+
+            expect(formatter.format(date)).toBe('0:05 00:05 am');
+            expect(formatter.format(afternoon)).toBe('1:05 01:05 pm');
+            expect(new DateTimeFormatter('KK:mm a').parse('11:05 pm')).toEqual(new Date(1900, 0, 1, 23, 5));
+            expect(function() {
+                new DateTimeFormatter('KK:mm a').parse('12:05 pm');
+            }).toThrow();
+        });
+
+        it('"k" and "K" should be matched only in their case', function() {
+            expect(new DateTimeFormatter('Kk').format(afternoon)).toBe('113');
+            expect(new DateTimeFormatter('kK').format(afternoon)).toBe('131');
+        });
+
+        it('should parse a single-digit hour and minute', function() {
+            formatter = new DateTimeFormatter('yyyy-MM-dd H:m');
+
+            expect(formatter.parse('2016-03-12 7:5')).toEqual(new Date(2016, 2, 12, 7, 5));
+        });
+    });
+
+    describe('with localized meridiem titles', function() {
+        var koTitles = localeTexts.ko.titles;
+
+        it('should format the meridiem to the localized title', function() {
+            formatter = new DateTimeFormatter('A h:mm', koTitles);
+            expect(formatter.format(new Date(2016, 10, 28, 9, 5))).toBe('오전 9:05');
+            expect(formatter.format(new Date(2016, 10, 28, 16, 11))).toBe('오후 4:11');
+        });
+
+        it('should parse the localized title before the hour', function() {
+            formatter = new DateTimeFormatter('yyyy-MM-dd A hh:mm', koTitles);
+            expect(formatter.parse('2016-03-12 오후 03:20')).toEqual(new Date(2016, 2, 12, 15, 20));
+            expect(formatter.parse('2016-03-12 오전 12:00')).toEqual(new Date(2016, 2, 12, 0, 0));
+        });
+
+        it('should parse the localized title having special characters', function() {
+            formatter = new DateTimeFormatter('hh:mm a', localeTexts.es.titles);
+            expect(formatter.format(new Date(2016, 2, 12, 15, 20))).toBe('03:20 p. m.');
+            expect(formatter.parse('03:20 p. m.')).toEqual(new Date(1900, 0, 1, 15, 20));
+            expect(formatter.parse('03:20 A. M.')).toEqual(new Date(1900, 0, 1, 3, 20));
+        });
+
+        it('should parse "am/pm" as well', function() {
+            formatter = new DateTimeFormatter('A hh:mm', localeTexts['zh-CN'].titles);
+            expect(formatter.parse('下午 01:00')).toEqual(new Date(1900, 0, 1, 13, 0));
+            expect(formatter.parse('pm 01:00')).toEqual(new Date(1900, 0, 1, 13, 0));
+        });
     });
 
     describe('on "yy/mm/dd"', function() {
@@ -91,6 +186,246 @@ describe('DateTimeFormatter', function() {
         });
     });
 
+    describe('on "GGGG-[W]WW"', function() {
+        beforeEach(function() {
+            formatter = new DateTimeFormatter('GGGG-[W]WW');
+        });
+
+        it('should format date to the ISO week', function() {
+            expect(formatter.format(new Date(2017, 2, 8))).toEqual('2017-W10');
+            expect(formatter.format(new Date(2017, 0, 1))).toEqual('2016-W52');
+        });
+
+        it('should parse the ISO week to the start date of the week', function() {
+            expect(formatter.parse('2017-W10')).toEqual(new Date(2017, 2, 6));
+            expect(formatter.parse('2016-W52')).toEqual(new Date(2016, 11, 26));
+        });
+
+        it('should use the ISO weeks starting on monday', function() {
+            formatter = new DateTimeFormatter('GGGG-[W]WW');
+
+            expect(formatter.format(new Date(2017, 2, 5))).toEqual('2017-W09');
+            expect(formatter.format(new Date(2017, 2, 6))).toEqual('2017-W10');
+            expect(formatter.parse('2017-W10')).toEqual(new Date(2017, 2, 6));
+        });
+    });
+
+    it('should keep the lower-cased letters of the week keys in a literal word', function() {
+        formatter = new DateTimeFormatter('yyyy grew WW');
+
+        expect(formatter.format(new Date(2017, 2, 8))).toBe('2017 grew 10');
+    });
+
+    describe('on "yyyy [Q]Q"', function() {
+        beforeEach(function() {
+            formatter = new DateTimeFormatter('yyyy [Q]Q');
+        });
+
+        it('should format date to the quarter', function() {
+            expect(formatter.format(new Date(2017, 0, 31))).toEqual('2017 Q1');
+            expect(formatter.format(new Date(2017, 8, 30))).toEqual('2017 Q3');
+            expect(formatter.format(new Date(2017, 9, 1))).toEqual('2017 Q4');
+        });
+
+        it('should parse the quarter to the first date of the quarter', function() {
+            expect(formatter.parse('2017 Q2')).toEqual(new Date(2017, 3, 1));
+        });
+
+        it('should keep the lower-cased letter of the quarter key in a literal word', function() {
+            formatter = new DateTimeFormatter('yyyy qtr Q');
+
+            expect(formatter.format(new Date(2017, 3, 1))).toBe('2017 qtr 2');
+            expect(formatter.parse('2017 qtr 2')).toEqual(new Date(2017, 3, 1));
+        });
+    });
+
+    describe('on "HH:mm:ss.SSS"', function() {
+        beforeEach(function() {
+            formatter = new DateTimeFormatter('yyyy-MM-dd HH:mm:ss.SSS');
+        });
+
+        it('should format the seconds and milliseconds', function() {
+            expect(formatter.format(new Date(2016, 2, 12, 15, 4, 5, 7))).toBe('2016-03-12 15:04:05.007');
+            expect(formatter.format(new Date(2016, 2, 12, 15, 4, 59, 999))).toBe('2016-03-12 15:04:59.999');
+        });
+
+        it('should parse the seconds and milliseconds', function() {
+            expect(formatter.parse('2016-03-12 15:04:05.007')).toEqual(new Date(2016, 2, 12, 15, 4, 5, 7));
+            expect(formatter.parse('2016-03-12 15:04:59.999')).toEqual(new Date(2016, 2, 12, 15, 4, 59, 999));
+        });
+
+        it('should throw error with invalid seconds', function() {
+            expect(function() {
+                formatter.parse('2016-03-12 15:04:60.000');
+            }).toThrow();
+        });
+
+        it('should keep the upper-cased letters of the second key in a literal word', function() {
+            formatter = new DateTimeFormatter('HH:mm:ss BOSS');
+
+            expect(formatter.format(new Date(2016, 2, 12, 15, 4, 5))).toBe('15:04:05 BOSS');
+            expect(formatter.parse('15:04:05 BOSS')).toEqual(new Date(1900, 0, 1, 15, 4, 5));
+        });
+    });
+
+    describe('offsets', function() {
+        var date = new Date(Date.UTC(2017, 2, 15, 4, 30, 5, 7));
+
+        it('should parse the offsets to the time shifted from UTC', function() {
+            formatter = new DateTimeFormatter('yyyy-MM-dd HH:mm:ss.SSS Z');
+            expect(formatter.parse('2017-03-15 13:30:05.007 +09:00')).toEqual(date);
+            expect(formatter.parse('2017-03-15 04:30:05.007 Z')).toEqual(date);
+
+            formatter = new DateTimeFormatter('yyyy-MM-dd HH:mm:ss.SSS ZZ');
+            expect(formatter.parse('2017-03-14 23:00:05.007 -0530')).toEqual(date);
+        });
+
+        it('should format the local offset', function() {
+            var offset = -date.getTimezoneOffset();
+            var sign = offset < 0 ? '-' : '+';
+            var hours = ('0' + Math.floor(Math.abs(offset) / 60)).slice(-2);
+            var minutes = ('0' + (Math.abs(offset) % 60)).slice(-2);
+
+            expect(new DateTimeFormatter('Z').format(date)).toBe(sign + hours + ':' + minutes);
+            expect(new DateTimeFormatter('ZZ').format(date)).toBe(sign + hours + minutes);
+            expect(new DateTimeFormatter('XXX').format(date)).toBe(offset ? (sign + hours + ':' + minutes) : 'Z');
+        });
+
+        it('should round-trip the "ISO" preset', function() {
+            formatter = new DateTimeFormatter('ISO');
+
+            expect(formatter.getRawString()).toBe('yyyy-MM-dd[T]HH:mm:ss.SSSXXX');
+            expect(formatter.parse(formatter.format(date))).toEqual(date);
+        });
+
+        it('"parseISOString" should parse ISO 8601 strings', function() {
+            expect(DateTimeFormatter.parseISOString('2017-03-15T04:30:05.007Z')).toEqual(date);
+            expect(DateTimeFormatter.parseISOString('2017-03-15T13:30:05+09:00'))
+                .toEqual(new Date(Date.UTC(2017, 2, 15, 4, 30, 5)));
+            expect(DateTimeFormatter.parseISOString('2017-03-15T13:30')).toEqual(new Date(2017, 2, 15, 13, 30));
+            expect(DateTimeFormatter.parseISOString('2017-03-15')).toEqual(new Date(2017, 2, 15));
+            expect(DateTimeFormatter.parseISOString('March 15')).toBeNull();
+        });
+
+        it('"parseISOString" should truncate the fraction of a second to milliseconds', function() {
+            expect(DateTimeFormatter.parseISOString('2017-01-01T00:00:00.123456+00:00'))
+                .toEqual(new Date(Date.UTC(2017, 0, 1, 0, 0, 0, 123)));
+            expect(DateTimeFormatter.parseISOString('2017-01-01T00:00:00.5Z'))
+                .toEqual(new Date(Date.UTC(2017, 0, 1, 0, 0, 0, 500)));
+        });
+
+        it('"parseISOString" should not parse a date out of the month', function() {
+            expect(DateTimeFormatter.parseISOString('2017-02-31')).toBeNull();
+            expect(DateTimeFormatter.parseISOString('2017-02-29T00:00Z')).toBeNull();
+            expect(DateTimeFormatter.parseISOString('2016-02-29')).toEqual(new Date(2016, 1, 29));
+        });
+
+        it('should keep the lower-cased letters of the offset keys in a literal word', function() {
+            formatter = new DateTimeFormatter('HH:mm zone box');
+
+            expect(formatter.format(new Date(2017, 2, 15, 13, 30))).toBe('13:30 zone box');
+            expect(formatter.parse('13:30 zone box')).toEqual(new Date(1900, 0, 1, 13, 30));
+        });
+
+        it('should format and parse the wall-clock time of a time zone', function() {
+            var zonedDate = new Date(2017, 2, 15, 0, 30, 5, 7); // 2017-03-15T04:30:05.007Z in New York (EDT)
+
+            if (!dateUtil.isValidTimeZone('America/New_York')) {
+                pending('The time zones of the Intl API are not supported');
+            }
+            formatter = new DateTimeFormatter('ISO', null, 'America/New_York');
+
+            expect(formatter.format(zonedDate)).toBe('2017-03-15T00:30:05.007-04:00');
+            expect(formatter.parse('2017-03-15T13:30:05.007+09:00')).toEqual(zonedDate);
+        });
+
+        it('should format and parse the instant of the wall-clock time in a DST gap of the local time zone', function() {
+            var instant = new Date(Date.UTC(2017, 2, 11, 17, 30)); // 2017-03-12T02:30+09:00
+
+            if (!dateUtil.isValidTimeZone('Asia/Seoul')) {
+                pending('The time zones of the Intl API are not supported');
+            }
+            formatter = new DateTimeFormatter('ISO', null, 'Asia/Seoul');
+
+            expect(formatter.formatInstant(instant)).toBe('2017-03-12T02:30:00.000+09:00');
+            expect(DateTimeFormatter.parseISOString('2017-03-12T02:30', 'Asia/Seoul')).toEqual(instant);
+            expect(DateTimeFormatter.parseISOString('2017-03-11T17:30Z', 'Asia/Seoul')).toEqual(instant);
+        });
+    });
+
+    describe('on "DD, MMMM d, yyyy"', function() {
+        beforeEach(function() {
+            formatter = new DateTimeFormatter('DD, MMMM d, yyyy');
+        });
+
+        it('should parse the string it formatted', function() {
+            var date = new Date(2026, 2, 3);
+
+            expect(formatter.format(date)).toBe('Tuesday, March 3, 2026');
+            expect(formatter.parse(formatter.format(date))).toEqual(date);
+        });
+
+        it('should parse the names case-insensitively', function() {
+            expect(formatter.parse('tuesday, MARCH 3, 2026')).toEqual(new Date(2026, 2, 3));
+        });
+
+        it('should parse the abbreviated names', function() {
+            expect(formatter.parse('Tue, Mar 3, 2026')).toEqual(new Date(2026, 2, 3));
+        });
+
+        it('should throw error with an unknown name', function() {
+            expect(function() {
+                formatter.parse('Tuesday, Foo 3, 2026');
+            }).toThrow();
+        });
+    });
+
+    it('should parse the localized month names', function() {
+        formatter = new DateTimeFormatter('d MMM yyyy', localeTexts.de.titles);
+        expect(formatter.parse('3 März 2026')).toEqual(new Date(2026, 2, 3));
+
+        formatter = new DateTimeFormatter('yyyy MMMM d', localeTexts.ko.titles);
+        expect(formatter.parse('2026 10월 3')).toEqual(new Date(2026, 9, 3));
+        expect(formatter.parse('2026 1월 3')).toEqual(new Date(2026, 0, 3));
+    });
+
+    it('should use the names of "en" missing in the titles', function() {
+        var titles = {
+            MMMM: localeTexts.en.titles.MMMM
+        };
+
+        expect(new DateTimeFormatter('yyyy-MM-dd', titles).format(new Date(2017, 2, 8))).toBe('2017-03-08');
+        expect(new DateTimeFormatter('D, MMMM d', titles).format(new Date(2017, 2, 8))).toBe('Wed, March 8');
+    });
+
+    it('should return the segments of the format', function() {
+        formatter = new DateTimeFormatter('[W]WW \\d, yyyy h:mm A', localeTexts.en.titles);
+
+        expect(tui.util.map(formatter.getSegments(), function(segment) {
+            return segment.key || segment.text;
+        })).toEqual(['W', 'WW', ' d, ', 'yyyy', ' ', 'h', ':', 'mm', ' ', 'a']);
+        expect(formatter.getSegments()[9]).toEqual(jasmine.objectContaining({
+            type: 'meridiem',
+            names: ['AM', 'PM']
+        }));
+    });
+
+    it('should keep the keys of unknown case as literal texts', function() {
+        formatter = new DateTimeFormatter('yyyy-MM-dd dD hH');
+
+        expect(formatter.format(new Date(2017, 2, 8))).toBe('2017-03-08 dD hH');
+        expect(formatter.parse('2017-03-08 dD hH')).toEqual(new Date(2017, 2, 8));
+        expect(tui.util.map(formatter.getSegments(), function(segment) {
+            return segment.key || segment.text;
+        })).toEqual(['yyyy', '-', 'MM', '-', 'dd', ' dD hH']);
+    });
+
+    it('should keep the letters of the single-letter keys escaped by brackets', function() {
+        formatter = new DateTimeFormatter('yyyy-MM-dd ([week])');
+
+        expect(formatter.format(new Date(2017, 2, 8))).toBe('2017-03-08 (week)');
+    });
+
     it('should throw error with invalid date', function() {
         formatter = new DateTimeFormatter('yyyy/MM/dd');
 
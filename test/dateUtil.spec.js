@@ -105,3 +105,96 @@ describe('getDateOfWeek', function() {
         expect(getDateOfWeek(2016, 11, 4, 6).getMonth()).toEqual(11); // December
     });
 });
+
+describe('week numbering', function() {
+    it('should return the start date of the week', function() {
+        expect(dateUtil.getStartOfWeek(new Date(2017, 2, 8))).toEqual(new Date(2017, 2, 6)); // monday
+        expect(dateUtil.getStartOfWeek(new Date(2017, 2, 8), 0)).toEqual(new Date(2017, 2, 5)); // sunday
+    });
+
+    it('should return the ISO week number and week-year', function() {
+        expect(dateUtil.getWeekNumber(new Date(2017, 0, 1))).toBe(52);
+        expect(dateUtil.getWeekYear(new Date(2017, 0, 1))).toBe(2016);
+        expect(dateUtil.getWeekNumber(new Date(2017, 0, 2))).toBe(1);
+        expect(dateUtil.getWeekNumber(new Date(2015, 11, 31))).toBe(53);
+        expect(dateUtil.getWeekYear(new Date(2015, 11, 31))).toBe(2015);
+    });
+
+    it('should return the week number by the first day of the week', function() {
+        expect(dateUtil.getWeekNumber(new Date(2017, 2, 5), 0)).toBe(10);
+        expect(dateUtil.getWeekNumber(new Date(2017, 2, 5), 1)).toBe(9);
+    });
+
+    it('should return the start date of the week by the week number', function() {
+        expect(dateUtil.getDateOfWeekNumber(2017, 1)).toEqual(new Date(2017, 0, 2));
+        expect(dateUtil.getDateOfWeekNumber(2015, 53)).toEqual(new Date(2015, 11, 28));
+        expect(dateUtil.getDateOfWeekNumber(2017, 10, 0)).toEqual(new Date(2017, 2, 5));
+    });
+});
+
+describe('first day of the week', function() {
+    it('should return weeks count of the month', function() {
+        expect(dateUtil.getWeeksCount(2017, 4)).toBe(6); // 2017-04-01 is saturday
+        expect(dateUtil.getWeeksCount(2017, 4, 1)).toBe(5);
+        expect(dateUtil.getWeeksCount(2017, 4, 6)).toBe(5);
+    });
+
+    it('should return date of the week on a monday-first calendar', function() {
+        expect(dateUtil.getDateOfWeek(2016, 12, 0, 1, 1)).toEqual(new Date(2016, 10, 28));
+        expect(dateUtil.getDateOfWeek(2016, 12, 0, 0, 1)).toEqual(new Date(2016, 11, 4));
+        expect(dateUtil.getDateOfWeek(2017, 1, 0, 1, 1)).toEqual(new Date(2016, 11, 26));
+    });
+});
+
+describe('getYearRangeOfLayer', function() {
+    it('should return years on the year, decade and century layers', function() {
+        expect(dateUtil.getYearRangeOfLayer(new Date(2017, 0), 'year')).toEqual({start: 2013, end: 2021});
+        expect(dateUtil.getYearRangeOfLayer(new Date(2017, 0), 'decade')).toEqual({start: 2010, end: 2019});
+        expect(dateUtil.getYearRangeOfLayer(new Date(2017, 0), 'century')).toEqual({start: 2000, end: 2099});
+        expect(dateUtil.getYearRangeOfLayer(new Date(2017, 0), 'month')).toEqual({start: 2017, end: 2017});
+    });
+});
+
+describe('time zones', function() {
+    var isIntlSupported = dateUtil.isValidTimeZone('UTC');
+
+    it('"isValidTimeZone" should return false for an unknown time zone', function() {
+        expect(dateUtil.isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    });
+
+    it('should convert an instant to the wall-clock time of a time zone and back', function() {
+        var instant = new Date(Date.UTC(2017, 2, 15, 4, 30, 5, 7));
+        var zonedDate;
+
+        if (!isIntlSupported) {
+            pending('The time zones of the Intl API are not supported');
+        }
+        zonedDate = dateUtil.toZonedDate(instant, 'Asia/Seoul');
+
+        expect(zonedDate).toEqual(new Date(2017, 2, 15, 13, 30, 5, 7));
+        expect(dateUtil.fromZonedDate(zonedDate, 'Asia/Seoul')).toEqual(instant);
+        expect(dateUtil.getTimeZoneOffset(instant, 'Asia/Seoul')).toBe(540);
+        expect(dateUtil.getTimeZoneOffset(instant, 'America/New_York')).toBe(-240);
+    });
+
+    it('should keep the wall-clock time in a DST gap of the local time zone', function() {
+        var instant = Date.UTC(2017, 2, 11, 17, 30); // 2017-03-12 02:30 in Seoul, in the gap of New York
+        var wallTime = Date.UTC(2017, 2, 12, 2, 30);
+
+        if (!isIntlSupported) {
+            pending('The time zones of the Intl API are not supported');
+        }
+
+        expect(dateUtil.toWallTime(instant, 'Asia/Seoul')).toBe(wallTime);
+        expect(dateUtil.fromWallTime(wallTime, 'Asia/Seoul').getTime()).toBe(instant);
+        expect(dateUtil.getTimeZoneOffset(instant, 'Asia/Seoul')).toBe(540);
+    });
+
+    it('should use the local time zone without a time zone', function() {
+        var date = new Date(2017, 2, 15, 13, 30);
+
+        expect(dateUtil.toZonedDate(date)).toEqual(date);
+        expect(dateUtil.fromZonedDate(date)).toEqual(date);
+        expect(dateUtil.getTimeZoneOffset(date)).toBe(-date.getTimezoneOffset());
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview BottomSheet spec
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var BottomSheet = require('../../src/js/datepicker/bottomSheet');
+var localeTexts = require('../../src/js/localeTexts');
+
+describe('BottomSheet', function() {
+    var $container, $content, sheet;
+    var touch = function(type, clientY) {
+        sheet._$panel.trigger($.Event(type, {
+            originalEvent: {
+                changedTouches: [{
+                    clientY: clientY
+                }]
+            }
+        }));
+    };
+
+    beforeEach(function() {
+        $container = $('<div><div class="content"></div></div>').appendTo('body');
+        $content = $container.find('.content');
+        sheet = new BottomSheet({
+            mode: 'sheet',
+            localeText: localeTexts.en
+        });
+    });
+
+    afterEach(function() {
+        sheet.destroy();
+        $container.remove();
+    });
+
+    it('should be active below the breakpoint in the auto mode', function() {
+        var autoSheet = new BottomSheet({
+            breakpoint: window.innerWidth + 1,
+            localeText: localeTexts.en
+        });
+        var wideSheet = new BottomSheet({
+            breakpoint: window.innerWidth,
+            localeText: localeTexts.en
+        });
+
+        expect(sheet.isActive()).toBe(true);
+        expect(autoSheet.isActive()).toBe(true);
+        expect(wideSheet.isActive()).toBe(false);
+        autoSheet.destroy();
+        wideSheet.destroy();
+    });
+
+    it('should move the content into the sheet and back', function() {
+        sheet.show($content);
+
+        expect(sheet.isShown()).toBe(true);
+        expect($content.closest('.tui-datepicker-sheet').length).toBe(1);
+        expect($content.hasClass('tui-is-sheet')).toBe(true);
+        expect($('body').hasClass('tui-datepicker-sheet-open')).toBe(true);
+
+        sheet.hide();
+
+        expect(sheet.isShown()).toBe(false);
+        expect($content.parent()[0]).toBe($container[0]);
+        expect($content.hasClass('tui-is-sheet')).toBe(false);
+        expect($('body').hasClass('tui-datepicker-sheet-open')).toBe(false);
+    });
+
+    it('should fire the done and cancel events by the buttons and the backdrop', function() {
+        var done = jasmine.createSpy('done');
+        var cancel = jasmine.createSpy('cancel');
+
+        sheet.on({
+            done: done,
+            cancel: cancel
+        });
+        sheet.show($content);
+        sheet._$sheet.find('.tui-datepicker-sheet-done').trigger('click');
+        sheet._$sheet.find('.tui-datepicker-sheet-cancel').trigger('click');
+        sheet._$sheet.find('.tui-datepicker-sheet-backdrop').trigger('click');
+
+        expect(done.calls.count()).toBe(1);
+        expect(cancel.calls.count()).toBe(2);
+    });
+
+    it('should fire the cancel event by a long swipe down', function() {
+        var cancel = jasmine.createSpy('cancel');
+
+        sheet.on('cancel', cancel);
+        sheet.show($content);
+
+        touch('touchstart', 100);
+        touch('touchmove', 130);
+        expect(sheet._$panel[0].style.transform).toBe('translateY(30px)');
+        touch('touchend', 150);
+        expect(cancel).not.toHaveBeenCalled();
+
+        touch('touchstart', 100);
+        touch('touchend', 300);
+        expect(cancel).toHaveBeenCalled();
+        expect(sheet._$panel[0].style.transform).toBe('');
+    });
+
+    it('should not swipe while the panel is scrolled', function() {
+        var cancel = jasmine.createSpy('cancel');
+        var scrollTop = spyOn(sheet._$panel, 'scrollTop').and.returnValue(50);
+
+        sheet.on('cancel', cancel);
+        sheet.show($content);
+
+        touch('touchstart', 100);
+        touch('touchmove', 200);
+        expect(sheet._$panel[0].style.transform).toBe('');
+        touch('touchend', 300);
+        expect(cancel).not.toHaveBeenCalled();
+
+        touch('touchstart', 100);
+        touch('touchmove', 150);
+        scrollTop.and.returnValue(0);
+        touch('touchmove', 170);
+        expect(sheet._$panel[0].style.transform).toBe('translateY(20px)');
+    });
+
+    it('should localize the labels of the buttons', function() {
+        sheet.setLocaleText(localeTexts.ko);
+
+        expect(sheet._$sheet.find('.tui-datepicker-sheet-done').text()).toBe('완료');
+        expect(sheet._$sheet.find('.tui-datepicker-sheet-cancel').text()).toBe('취소');
+    });
+});
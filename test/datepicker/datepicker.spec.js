@@ -9,8 +9,24 @@ var Datepicker = require('../../src/js/datepicker');
 var Calendar = require('../../src/js/calendar');
 var Timepicker = require('../../src/js/timepicker');
 var constants = require('../../src/js/constants');
+var dateUtil = require('../../src/js/dateUtil');
+var DateTimeFormatter = require('../../src/js/dateTimeFormatter');
 
 describe('Date Picker', function() {
+    var clickDate = function(datepicker, date) {
+        datepicker._onClickDate({
+            target: $('<td data-timestamp="' + date.getTime() + '"></td>')[0]
+        });
+    };
+    var createDatepicker = function($container, input, format, option) {
+        return new Datepicker($container, tui.util.extend({
+            input: {
+                element: input,
+                format: format
+            }
+        }, option));
+    };
+
     describe('date=null on constructor', function() {
         var datepicker, input, container;
 
@@ -122,6 +138,29 @@ describe('Date Picker', function() {
             expect(datepicker.getDate()).toEqual(new Date(2014, 2, 12));
         });
 
+        it('setDate with ISO 8601 strings', function() {
+            datepicker.setDate('2014-03-12T10:20:30+09:00');
+            expect(datepicker.getDate()).toEqual(new Date(Date.UTC(2014, 2, 12, 1, 20, 30)));
+
+            datepicker.setDate('2014-03-13');
+            expect(datepicker.getDate()).toEqual(new Date(2014, 2, 13));
+
+            datepicker.setDate('not a date');
+            expect(datepicker.getDate()).toEqual(new Date(2014, 2, 13));
+        });
+
+        it('getISOString', function() {
+            var date = new Date(2014, 2, 12, 10, 20, 30);
+
+            datepicker.setDate(date);
+
+            expect(datepicker.getISOString()).toMatch(/^2014-03-12T10:20:30\.000(Z|[+-]\d{2}:\d{2})$/);
+            expect(new Date(datepicker.getISOString())).toEqual(date);
+
+            datepicker.setNull();
+            expect(datepicker.getISOString()).toBeNull();
+        });
+
         it('isSelectable', function() {
             datepicker.setRanges([
                 [new Date(1994, 4, 9), new Date(2090, 4, 11)]
@@ -152,6 +191,27 @@ describe('Date Picker', function() {
             expect(input.value).toEqual('20141127 12:34 PM');
         });
 
+        it('timepicker.setTime with seconds -> date and input text', function() {
+            var input = document.createElement('input');
+
+            datepicker.setInput(input);
+            datepicker.setDateFormat('yyyyMMdd HH:mm:ss');
+            datepicker.getTimepicker().setTime(12, 34, 56);
+
+            expect(datepicker.getDate()).toEqual(new Date(2014, 10, 27, 12, 34, 56));
+            expect(input.value).toEqual('20141127 12:34:56');
+        });
+
+        it('_onClickDate should keep the seconds of the timepicker', function() {
+            var td = document.createElement('td');
+
+            datepicker.getTimepicker().setTime(12, 34, 56);
+            $(td).data('timestamp', new Date(2014, 10, 20).getTime());
+            datepicker._onClickDate({target: td});
+
+            expect(datepicker.getDate()).toEqual(new Date(2014, 10, 20, 12, 34, 56));
+        });
+
         it('addOpener', function() {
             var btn = document.createElement('BUTTON');
 
@@ -303,6 +363,28 @@ describe('Date Picker', function() {
             expect(input.value).toEqual('17년 02월 03일');
         });
 
+        it('_onChangeInput should resolve the relative date expressions', function() {
+            var tomorrow = new Date();
+
+            tomorrow.setHours(0, 0, 0, 0);
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            input.value = 'tomorrow';
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDate()).toEqual(tomorrow);
+            expect(input.value).toEqual(new DateTimeFormatter('yy년 MM월 dd일').format(tomorrow));
+        });
+
+        it('_onChangeInput should rollback an unselectable relative date', function() {
+            datepicker.setRanges([[new Date(2015, 0, 1), new Date(2015, 11, 31)]]);
+            datepicker.setDate(new Date(2015, 4, 10));
+            input.value = '+3y';
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDate()).toEqual(new Date(2015, 4, 10));
+            expect(input.value).toEqual('15년 05월 10일');
+        });
+
         it('click-opener event should call "toggle"', function() {
             var opener = document.createElement('button');
 
@@ -486,5 +568,1305 @@ describe('Date Picker', function() {
             $btn = $container.find('.' + constants.CLASS_NAME_NEXT_MONTH_BTN);
             expect(isHidden($btn)).toBe(true);
         });
+
+        it('should hide the year buttons by the years on the page', function() {
+            datepicker.drawUpperCalendar(new Date(2017, 0));
+            datepicker.drawUpperCalendar(new Date(2017, 0)); // decade calendar: 2010 - 2019
+
+            expect(isHidden($container.find('.' + constants.CLASS_NAME_PREV_YEAR_BTN))).toBe(true);
+            expect(isHidden($container.find('.' + constants.CLASS_NAME_NEXT_YEAR_BTN))).toBe(true);
+
+            datepicker.setRanges([
+                [new Date(2000, 0, 1), new Date(2030, 0, 1)]
+            ]);
+            datepicker.drawLowerCalendar(new Date(2017, 0));
+            datepicker.drawUpperCalendar(new Date(2017, 0)); // decade calendar: 2010 - 2019
+
+            expect(isHidden($container.find('.' + constants.CLASS_NAME_PREV_YEAR_BTN))).toBe(false);
+            expect(isHidden($container.find('.' + constants.CLASS_NAME_NEXT_YEAR_BTN))).toBe(false);
+
+            datepicker.drawUpperCalendar(new Date(2017, 0)); // century calendar: 2000 - 2099
+
+            expect(isHidden($container.find('.' + constants.CLASS_NAME_PREV_YEAR_BTN))).toBe(true);
+            expect(isHidden($container.find('.' + constants.CLASS_NAME_NEXT_YEAR_BTN))).toBe(true);
+        });
+    });
+
+    describe('highlight range', function() {
+        var datepicker, $container;
+
+        function getCell(date) {
+            return $container.find('[data-timestamp="' + date.getTime() + '"]');
+        }
+
+        beforeEach(function() {
+            $container = $('<div></div>');
+            datepicker = new Datepicker($container, {
+                date: new Date(2017, 2, 10),
+                showAlways: true
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+            $container.remove();
+        });
+
+        it('should mark the dates between start and end as a selected range', function() {
+            datepicker.setHighlightRange(new Date(2017, 2, 10), new Date(2017, 2, 15));
+
+            expect(getCell(new Date(2017, 2, 9)).hasClass('tui-is-selected-range')).toBe(false);
+            expect(getCell(new Date(2017, 2, 12)).hasClass('tui-is-selected-range')).toBe(true);
+            expect(getCell(new Date(2017, 2, 16)).hasClass('tui-is-selected-range')).toBe(false);
+            expect(getCell(new Date(2017, 2, 10)).hasClass('tui-is-selected-start')).toBe(true);
+            expect(getCell(new Date(2017, 2, 15)).hasClass('tui-is-selected-end')).toBe(true);
+            expect(getCell(new Date(2017, 2, 15)).hasClass('tui-is-selected')).toBe(true);
+        });
+
+        it('should preview a pending range by hovering a date', function() {
+            var $cell = getCell(new Date(2017, 2, 20));
+
+            datepicker.setHighlightRange(new Date(2017, 2, 10), null);
+            $cell.trigger('mouseover');
+
+            expect(getCell(new Date(2017, 2, 15)).hasClass('tui-is-selected-range')).toBe(true);
+            expect($cell.hasClass('tui-is-selected-end')).toBe(true);
+
+            datepicker._onMouseleaveElement();
+
+            expect(getCell(new Date(2017, 2, 15)).hasClass('tui-is-selected-range')).toBe(false);
+            expect($cell.hasClass('tui-is-selected-end')).toBe(false);
+        });
+
+        it('should not refresh the preview by hovering the same date again', function() {
+            var $cell = getCell(new Date(2017, 2, 20));
+
+            datepicker.setHighlightRange(new Date(2017, 2, 10), null);
+            $cell.trigger('mouseover');
+            spyOn(datepicker, '_setSelectedClassName');
+            spyOn(datepicker, '_refreshHighlightClassName').and.callThrough();
+            $cell.trigger('mouseover');
+
+            expect(datepicker._refreshHighlightClassName).not.toHaveBeenCalled();
+
+            getCell(new Date(2017, 2, 18)).trigger('mouseover');
+
+            expect(datepicker._refreshHighlightClassName).toHaveBeenCalled();
+            expect(datepicker._setSelectedClassName).not.toHaveBeenCalled();
+            expect($cell.hasClass('tui-is-selected-range')).toBe(false);
+        });
+
+        it('should not preview when both start and end are set', function() {
+            datepicker.setHighlightRange(new Date(2017, 2, 10), new Date(2017, 2, 12));
+            getCell(new Date(2017, 2, 20)).trigger('mouseover');
+
+            expect(getCell(new Date(2017, 2, 15)).hasClass('tui-is-selected-range')).toBe(false);
+        });
+    });
+
+    describe('multiple mode', function() {
+        var datepicker, input;
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            datepicker = createDatepicker($('<div></div>'), input, 'yyyy-MM-dd', {
+                multiple: true,
+                maxCount: 3,
+                date: [new Date(2017, 2, 5), new Date(2017, 2, 1)],
+                selectableRanges: [
+                    [new Date(2017, 0, 1), new Date(2017, 11, 31)]
+                ]
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+        });
+
+        it('should set initial dates sorted', function() {
+            expect(datepicker.getDates()).toEqual([new Date(2017, 2, 1), new Date(2017, 2, 5)]);
+            expect(input.value).toBe('2017-03-01, 2017-03-05');
+        });
+
+        it('"setDates" should ignore unselectable and duplicated dates', function() {
+            datepicker.setDates([
+                new Date(2017, 2, 7),
+                new Date(2016, 2, 7),
+                new Date(2017, 2, 7, 10)
+            ]);
+
+            expect(datepicker.getDates()).toEqual([new Date(2017, 2, 7)]);
+        });
+
+        it('"setDate" should ignore an invalid string', function() {
+            var changeHandler = jasmine.createSpy('change');
+
+            datepicker.on('change', changeHandler);
+            datepicker.setDate('garbage');
+
+            expect(datepicker.getDates()).toEqual([new Date(2017, 2, 1), new Date(2017, 2, 5)]);
+            expect(input.value).toBe('2017-03-01, 2017-03-05');
+            expect(changeHandler).not.toHaveBeenCalled();
+        });
+
+        it('"setDates" should compare dates by date while the month calendar is shown', function() {
+            datepicker.drawUpperCalendar(new Date(2017, 2));
+            datepicker.setDates([new Date(2017, 2, 1), new Date(2017, 2, 5), new Date(2017, 2, 9)]);
+
+            expect(datepicker.getDates()).toEqual([
+                new Date(2017, 2, 1),
+                new Date(2017, 2, 5),
+                new Date(2017, 2, 9)
+            ]);
+        });
+
+        it('should keep all dates on changing the time while the month calendar is shown', function() {
+            var timePicker = new Datepicker($('<div></div>'), {
+                multiple: true,
+                date: [new Date(2017, 2, 1), new Date(2017, 2, 5), new Date(2017, 2, 9)],
+                timepicker: true
+            });
+
+            timePicker.drawUpperCalendar(new Date(2017, 2));
+            timePicker.getTimepicker().setTime(12, 34);
+
+            expect(timePicker.getDates()).toEqual([
+                new Date(2017, 2, 1, 12, 34),
+                new Date(2017, 2, 5, 12, 34),
+                new Date(2017, 2, 9, 12, 34)
+            ]);
+
+            timePicker.destroy();
+        });
+
+        it('should toggle a clicked date', function() {
+            clickDate(datepicker, new Date(2017, 2, 3));
+
+            expect(datepicker.getDates()).toEqual([
+                new Date(2017, 2, 1),
+                new Date(2017, 2, 3),
+                new Date(2017, 2, 5)
+            ]);
+
+            clickDate(datepicker, new Date(2017, 2, 1));
+
+            expect(datepicker.getDates()).toEqual([new Date(2017, 2, 3), new Date(2017, 2, 5)]);
+        });
+
+        it('should not add a date over the maxCount', function() {
+            clickDate(datepicker, new Date(2017, 2, 3));
+            clickDate(datepicker, new Date(2017, 2, 4));
+
+            expect(datepicker.getDates().length).toBe(3);
+            expect(datepicker.isSelected(new Date(2017, 2, 4))).toBe(false);
+        });
+
+        it('"isSelected" should check all dates', function() {
+            expect(datepicker.isSelected(new Date(2017, 2, 1))).toBe(true);
+            expect(datepicker.isSelected(new Date(2017, 2, 5))).toBe(true);
+            expect(datepicker.isSelected(new Date(2017, 2, 3))).toBe(false);
+        });
+
+        it('should set dates from input text', function() {
+            input.value = '2017-04-01,2017-04-03';
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDates()).toEqual([new Date(2017, 3, 1), new Date(2017, 3, 3)]);
+            expect(input.value).toBe('2017-04-01, 2017-04-03');
+        });
+
+        it('should read back the text of a format having the separator', function() {
+            datepicker.setDateFormat('MMMM d, yyyy');
+
+            expect(input.value).toBe('March 1, 2017, March 5, 2017');
+
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDates()).toEqual([new Date(2017, 2, 1), new Date(2017, 2, 5)]);
+            expect(input.value).toBe('March 1, 2017, March 5, 2017');
+
+            input.value = 'April 1, 2017,April 3, 2017';
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDates()).toEqual([new Date(2017, 3, 1), new Date(2017, 3, 3)]);
+        });
+
+        it('should rollback input text having an unselectable date', function() {
+            input.value = '2017-04-01, 2018-04-03';
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDates()).toEqual([new Date(2017, 2, 1), new Date(2017, 2, 5)]);
+            expect(input.value).toBe('2017-03-01, 2017-03-05');
+        });
+
+        it('"setNull" should clear all dates', function() {
+            datepicker.setNull();
+
+            expect(datepicker.getDates()).toEqual([]);
+            expect(datepicker.getDate()).toBeNull();
+            expect(input.value).toBe('');
+        });
+    });
+
+    describe('week type', function() {
+        var datepicker, input;
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            datepicker = createDatepicker($('<div></div>'), input, 'GGGG-[W]WW', {
+                type: 'week',
+                date: new Date(2017, 2, 8)
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+        });
+
+        it('should draw the date calendar', function() {
+            expect(datepicker.getCalendarType()).toBe('date');
+            expect(datepicker.getType()).toBe('week');
+        });
+
+        it('should select the start date of the week', function() {
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 5));
+            expect(input.value).toBe('2017-W10');
+
+            clickDate(datepicker, new Date(2017, 2, 16));
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 12));
+        });
+
+        it('should select the whole week', function() {
+            expect(datepicker.isSelected(new Date(2017, 2, 5))).toBe(true);
+            expect(datepicker.isSelected(new Date(2017, 2, 11))).toBe(true);
+            expect(datepicker.isSelected(new Date(2017, 2, 12))).toBe(false);
+        });
+
+        it('should set the week from input text', function() {
+            input.value = '2017-W20';
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 4, 14));
+            expect(input.value).toBe('2017-W20');
+        });
+
+        it('should write the ISO week of the monday in the selected week', function() {
+            datepicker.setDate(new Date(2017, 0, 1));
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 0, 1));
+            expect(input.value).toBe(new DateTimeFormatter('GGGG-[W]WW').format(new Date(2017, 0, 2)));
+            expect(input.value).toBe('2017-W01');
+        });
+
+        it('should select the week by the first day of the week on calendar', function() {
+            var mondayPicker = new Datepicker($('<div></div>'), {
+                type: 'week',
+                date: new Date(2017, 2, 5),
+                calendar: {
+                    firstDayOfWeek: 1
+                },
+                input: {
+                    element: input,
+                    format: 'GGGG-[W]WW'
+                }
+            });
+
+            expect(mondayPicker.getDate()).toEqual(new Date(2017, 1, 27));
+            expect(input.value).toBe('2017-W09');
+
+            mondayPicker.destroy();
+        });
+    });
+
+    describe('quarter type', function() {
+        var datepicker, input;
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            datepicker = createDatepicker($('<div></div>'), input, 'yyyy-[Q]Q', {
+                type: 'quarter',
+                date: new Date(2017, 4, 1),
+                selectableRanges: [
+                    [new Date(2017, 1, 15), new Date(2017, 7, 31)]
+                ]
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+        });
+
+        it('should draw the quarter calendar', function() {
+            expect(datepicker.getCalendarType()).toBe('quarter');
+            expect(input.value).toBe('2017-Q2');
+        });
+
+        it('should block quarters out of selectable ranges', function() {
+            expect(datepicker.isSelectable(new Date(2017, 0, 1))).toBe(true);
+            expect(datepicker.isSelectable(new Date(2017, 6, 1))).toBe(true);
+            expect(datepicker.isSelectable(new Date(2017, 9, 1))).toBe(false);
+        });
+
+        it('should select the whole quarter', function() {
+            expect(datepicker.isSelected(new Date(2017, 3, 1))).toBe(true);
+            expect(datepicker.isSelected(new Date(2017, 5, 30))).toBe(true);
+            expect(datepicker.isSelected(new Date(2017, 6, 1))).toBe(false);
+        });
+
+        it('should navigate between the decade and quarter calendars', function() {
+            datepicker.drawUpperCalendar(new Date(2017, 4));
+            expect(datepicker.getCalendarType()).toBe('decade');
+
+            datepicker.drawLowerCalendar(new Date(2017, 4));
+            expect(datepicker.getCalendarType()).toBe('quarter');
+
+            datepicker.drawLowerCalendar(new Date(2017, 4));
+            expect(datepicker.getCalendarType()).toBe('quarter');
+        });
+    });
+
+    describe('decade and century calendars', function() {
+        var datepicker;
+
+        beforeEach(function() {
+            datepicker = new Datepicker($('<div></div>'), {
+                date: new Date(2017, 2, 10),
+                showAlways: true,
+                selectableRanges: [
+                    [new Date(1900, 0, 1), new Date(2017, 11, 31)]
+                ]
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+        });
+
+        it('should zoom out from the month calendar to the decade calendar', function() {
+            datepicker.drawUpperCalendar(new Date(2017, 2));
+            expect(datepicker.getCalendarType()).toBe('month');
+
+            datepicker.drawUpperCalendar(new Date(2017, 2));
+            expect(datepicker.getCalendarType()).toBe('decade');
+
+            datepicker.drawUpperCalendar(new Date(2017, 2));
+            expect(datepicker.getCalendarType()).toBe('century');
+
+            datepicker.drawUpperCalendar(new Date(2017, 2));
+            expect(datepicker.getCalendarType()).toBe('century');
+        });
+
+        it('should zoom in from the century calendar to the month calendar', function() {
+            datepicker._calendar.draw({
+                date: new Date(1950, 0),
+                type: 'century'
+            });
+
+            datepicker.drawLowerCalendar(new Date(1950, 0));
+            expect(datepicker.getCalendarType()).toBe('decade');
+
+            datepicker.drawLowerCalendar(new Date(1955, 0));
+            expect(datepicker.getCalendarType()).toBe('month');
+        });
+
+        it('should block decades and years out of selectable ranges', function() {
+            datepicker._calendar.draw({
+                date: new Date(2017, 0),
+                type: 'century'
+            });
+
+            expect(datepicker.isSelectable(new Date(2010, 0))).toBe(true);
+            expect(datepicker.isSelectable(new Date(2020, 0))).toBe(false);
+            expect(datepicker.isSelected(new Date(2010, 0))).toBe(true);
+
+            datepicker._calendar.draw({
+                type: 'decade'
+            });
+
+            expect(datepicker.isSelectable(new Date(2017, 0))).toBe(true);
+            expect(datepicker.isSelectable(new Date(2018, 0))).toBe(false);
+            expect(datepicker.isSelected(new Date(2017, 0))).toBe(true);
+        });
+    });
+
+    describe('year type with the decade calendar', function() {
+        it('should zoom in from the decade calendar to the year calendar', function() {
+            var datepicker = new Datepicker($('<div></div>'), {
+                type: 'year',
+                date: new Date(2017, 0)
+            });
+
+            datepicker._calendar.draw({
+                type: 'decade'
+            });
+            datepicker.drawLowerCalendar(new Date(2015, 0));
+
+            expect(datepicker.getCalendarType()).toBe('year');
+
+            datepicker.destroy();
+        });
+    });
+
+    describe('keyboard and aria', function() {
+        var $container, datepicker, input;
+
+        /**
+         * Trigger a keydown event
+         * @param {HTMLElement} target - Event target
+         * @param {number} keyCode - Key code
+         */
+        function keydown(target, keyCode) {
+            $(target).trigger($.Event('keydown', {
+                which: keyCode
+            }));
+        }
+
+        /**
+         * Returns the date cell of a date
+         * @param {Date} date - Date
+         * @returns {jQuery}
+         */
+        function findCell(date) {
+            return datepicker._calendar.getDateElements().filter(function() {
+                return $(this).data('timestamp') === date.getTime();
+            });
+        }
+
+        beforeEach(function() {
+            $container = $('<div></div>').appendTo('body');
+            input = $('<input type="text">').appendTo('body')[0];
+            datepicker = new Datepicker($container, {
+                date: new Date(2017, 2, 15),
+                input: {
+                    element: input
+                },
+                selectableRanges: [
+                    [new Date(2017, 2, 10), new Date(2017, 2, 20)]
+                ]
+            });
+            datepicker.open();
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+            $container.remove();
+            $(input).remove();
+        });
+
+        it('should set aria-selected and aria-disabled with the class names', function() {
+            expect(findCell(new Date(2017, 2, 15)).attr('aria-selected')).toBe('true');
+            expect(findCell(new Date(2017, 2, 16)).attr('aria-selected')).toBe('false');
+            expect(findCell(new Date(2017, 2, 16)).attr('aria-disabled')).toBe('false');
+            expect(findCell(new Date(2017, 2, 21)).attr('aria-disabled')).toBe('true');
+
+            datepicker.setDate(new Date(2017, 2, 16));
+
+            expect(findCell(new Date(2017, 2, 15)).attr('aria-selected')).toBe('false');
+            expect(findCell(new Date(2017, 2, 16)).attr('aria-selected')).toBe('true');
+        });
+
+        it('should select the focused date by Enter and return the focus to the input', function() {
+            var $cell = findCell(new Date(2017, 2, 17));
+
+            $cell.focus();
+            keydown($cell[0], 13);
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 17));
+            expect(datepicker.isOpened()).toBe(false);
+            expect(document.activeElement).toBe(input);
+        });
+
+        it('should not select a blocked date by Enter', function() {
+            keydown(findCell(new Date(2017, 2, 21))[0], 13);
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15));
+            expect(datepicker.isOpened()).toBe(true);
+        });
+
+        it('should close by Escape', function() {
+            keydown(findCell(new Date(2017, 2, 15))[0], 27);
+
+            expect(datepicker.isOpened()).toBe(false);
+
+            datepicker.open();
+            keydown(input, 27);
+
+            expect(datepicker.isOpened()).toBe(false);
+        });
+    });
+
+    describe('announcements', function() {
+        var datepicker;
+
+        /**
+         * Returns the text of the live region
+         * @returns {string}
+         */
+        function getAnnouncement() {
+            return datepicker._$container.find('.tui-datepicker-live-region').text();
+        }
+
+        afterEach(function() {
+            datepicker.destroy();
+        });
+
+        it('should announce a selected date', function() {
+            datepicker = new Datepicker($('<div></div>'), {
+                date: new Date(2026, 2, 1)
+            });
+
+            expect(getAnnouncement()).toBe('');
+
+            datepicker.setDate(new Date(2026, 2, 3));
+
+            expect(getAnnouncement()).toBe('Selected Tuesday, March 3, 2026');
+        });
+
+        it('should announce a selected unit with the locale text of the type', function() {
+            datepicker = new Datepicker($('<div></div>'), {
+                date: new Date(2026, 2, 1),
+                type: 'month',
+                language: 'ko'
+            });
+            datepicker.setDate(new Date(2026, 4, 1));
+
+            expect(getAnnouncement()).toBe('2026년 5월 선택됨');
+        });
+    });
+
+    describe('changeLanguage', function() {
+        var datepicker, input;
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            datepicker = new Datepicker($('<div></div>'), {
+                date: new Date(2017, 2, 15, 13, 0),
+                input: {
+                    element: input,
+                    format: 'yyyy MMMM d hh:mm A'
+                },
+                timepicker: {
+                    layoutType: 'tab'
+                }
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+        });
+
+        it('should re-localize the calendar and the input text keeping the date', function() {
+            datepicker.changeLanguage('ko');
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15, 13, 0));
+            expect(input.value).toBe('2017 3월 15 01:00 오후');
+            expect(datepicker.getCalendar()._$element.find('.tui-calendar-title').text()).toBe('2017.03');
+            expect(datepicker._$element.find('th.tui-sun').first().text()).toBe('일');
+        });
+
+        it('should parse the localized input text', function() {
+            datepicker.changeLanguage('ko');
+            input.value = '2017 4월 1 09:30 오후';
+            datepicker._onChangeInput();
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 3, 1, 21, 30));
+        });
+
+        it('should re-localize the tab labels and the meridiem of the timepicker', function() {
+            var $meridiemOptions;
+
+            datepicker.changeLanguage('ko');
+            $meridiemOptions = datepicker._$element.find('.tui-timepicker-meridiem option');
+
+            expect(datepicker._$element.find('.tui-datepicker-selector-text').eq(0).text()).toBe('날짜');
+            expect(datepicker._$element.find('.tui-datepicker-selector-text').eq(1).text()).toBe('시간');
+            expect($meridiemOptions.eq(0).text()).toBe('오전');
+            expect($meridiemOptions.eq(1).text()).toBe('오후');
+        });
+
+        it('should keep the selected class names on the calendar', function() {
+            datepicker.changeLanguage('ko');
+
+            expect(datepicker._$element.find('.tui-is-selected').data('timestamp'))
+                .toBe(new Date(2017, 2, 15).getTime());
+        });
+    });
+
+    describe('languages', function() {
+        it('should fall back to the default language for an unknown language', function() {
+            var datepicker;
+
+            expect(function() {
+                datepicker = new Datepicker($('<div></div>'), {
+                    language: 'xx-YY'
+                });
+            }).not.toThrow();
+            expect(datepicker._$element.find('th.tui-sun').text()).toBe('Sun');
+
+            datepicker.destroy();
+        });
+
+        it('should use the bundled locale texts resolved by the fallback', function() {
+            var datepicker = new Datepicker($('<div></div>'), {
+                date: new Date(2017, 2, 15),
+                language: 'de-AT'
+            });
+
+            expect(datepicker.getCalendar().getFirstDayOfWeek()).toBe(1);
+            expect(datepicker._$element.find('.tui-calendar-title').text()).toBe('März 2017');
+
+            datepicker.destroy();
+        });
+
+        it('should accept a language tag supported by the Intl API', function() {
+            var datepicker;
+
+            if (typeof Intl === 'undefined' || !Intl.DateTimeFormat.prototype.formatToParts) {
+                pending('The Intl API is not supported');
+            }
+            datepicker = new Datepicker($('<div></div>'), {
+                date: new Date(2017, 2, 15),
+                language: 'sv-SE'
+            });
+
+            expect(datepicker._$element.find('.tui-calendar-title').text()).toBe('mars 2017');
+
+            datepicker.destroy();
+            delete Datepicker.localeTexts['sv-SE'];
+        });
+    });
+
+    describe('time zone', function() {
+        var isIntlSupported = dateUtil.isValidTimeZone('Asia/Seoul');
+        var instant = new Date(Date.UTC(2017, 2, 14, 16, 30)); // 2017-03-15 01:30 in Seoul
+        var datepicker, input;
+
+        beforeEach(function() {
+            if (!isIntlSupported) {
+                return;
+            }
+            input = document.createElement('input');
+            datepicker = new Datepicker($('<div></div>'), {
+                date: instant,
+                timeZone: 'Asia/Seoul',
+                timepicker: true,
+                input: {
+                    element: input,
+                    format: 'yyyy-MM-dd HH:mm'
+                }
+            });
+        });
+
+        afterEach(function() {
+            if (datepicker) {
+                datepicker.destroy();
+                datepicker = null;
+            }
+        });
+
+        it('should throw error for an unsupported time zone', function() {
+            expect(function() {
+                return new Datepicker($('<div></div>'), {
+                    timeZone: 'Mars/Olympus_Mons'
+                });
+            }).toThrow();
+        });
+
+        it('should show the wall-clock time of the time zone', function() {
+            if (!isIntlSupported) {
+                pending('The time zones of the Intl API are not supported');
+            }
+
+            expect(input.value).toBe('2017-03-15 01:30');
+            expect(datepicker.getTimepicker().getHour()).toBe(1);
+            expect(datepicker.getTimepicker().getMinute()).toBe(30);
+            expect(datepicker.getCalendar().getDate().getDate()).toBe(15);
+        });
+
+        it('"getDate" should return the instant', function() {
+            if (!isIntlSupported) {
+                pending('The time zones of the Intl API are not supported');
+            }
+
+            expect(datepicker.getDate()).toEqual(instant);
+            expect(datepicker.getISOString()).toBe('2017-03-15T01:30:00.000+09:00');
+        });
+
+        it('"getDate" should return the instant of a wall-clock time in a DST gap of the local time zone', function() {
+            var gapInstant = new Date(Date.UTC(2017, 2, 11, 17, 30)); // 2017-03-12 02:30 in Seoul
+
+            if (!isIntlSupported) {
+                pending('The time zones of the Intl API are not supported');
+            }
+            datepicker.setDate(gapInstant);
+
+            expect(datepicker.getDate()).toEqual(gapInstant);
+            expect(datepicker.getISOString()).toBe('2017-03-12T02:30:00.000+09:00');
+
+            datepicker.setDate('2017-03-12T02:30:00+09:00');
+
+            expect(datepicker.getDate()).toEqual(gapInstant);
+        });
+
+        it('should parse the input text in the time zone', function() {
+            if (!isIntlSupported) {
+                pending('The time zones of the Intl API are not supported');
+            }
+            input.value = '2017-03-20 09:00';
+            $(input).trigger('change');
+
+            expect(datepicker.getDate()).toEqual(new Date(Date.UTC(2017, 2, 20, 0, 0)));
+        });
+
+        it('should keep the time zone on changing the time of the timepicker', function() {
+            if (!isIntlSupported) {
+                pending('The time zones of the Intl API are not supported');
+            }
+            datepicker.getTimepicker().setTime(23, 0);
+
+            expect(datepicker.getDate()).toEqual(new Date(Date.UTC(2017, 2, 15, 14, 0)));
+        });
+
+        it('should bound the selectable days by the time zone', function() {
+            if (!isIntlSupported) {
+                pending('The time zones of the Intl API are not supported');
+            }
+            datepicker.setRanges([[new Date(Date.UTC(2017, 2, 14, 15)), new Date(Date.UTC(2017, 2, 31))]]);
+            datepicker.open();
+
+            expect(datepicker._$element.find('[data-timestamp=' + new Date(2017, 2, 15).getTime() + ']')
+                .hasClass('tui-is-selectable')).toBe(true);
+            expect(datepicker._$element.find('[data-timestamp=' + new Date(2017, 2, 14).getTime() + ']')
+                .hasClass('tui-is-blocked')).toBe(true);
+            expect(datepicker.isSelected(new Date(Date.UTC(2017, 2, 15, 14, 0)))).toBe(true); // 03-15 23:00
+        });
+
+        it('should mark today of the time zone', function() {
+            var today;
+
+            if (!isIntlSupported) {
+                pending('The time zones of the Intl API are not supported');
+            }
+            today = dateUtil.toZonedDate(new Date(), 'Asia/Seoul');
+            datepicker.setDate(new Date());
+            datepicker.open();
+
+            expect(datepicker._$element.find('.tui-calendar-today').data('timestamp'))
+                .toBe(today.setHours(0, 0, 0, 0));
+        });
+    });
+
+    describe('input mask', function() {
+        var datepicker, input;
+        var pressKey = function(which, key) {
+            var ev = $.Event('keydown', {
+                which: which,
+                key: key
+            });
+
+            $(input).trigger(ev);
+
+            return ev;
+        };
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            document.body.appendChild(input);
+            datepicker = new Datepicker($('<div></div>'), {
+                input: {
+                    element: input,
+                    format: 'yyyy-MM-dd',
+                    mask: true
+                }
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+            document.body.removeChild(input);
+        });
+
+        it('should guide the typing by the format', function() {
+            tui.util.forEach('2017315'.split(''), function(char) {
+                expect(pressKey(48 + Number(char), char).isDefaultPrevented()).toBe(true);
+            });
+
+            expect(input.value).toBe('2017-03-15');
+        });
+
+        it('should set the date by the enter key after the guided typing', function() {
+            input.value = '2017-03-1';
+            input.setSelectionRange(9, 9);
+            pressKey(53, '5');
+            pressKey(13, 'Enter');
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15));
+        });
+
+        it('should change the field at the caret by the arrow keys', function() {
+            datepicker.setDate(new Date(2017, 2, 15));
+            input.setSelectionRange(6, 6);
+            pressKey(38, 'ArrowUp');
+
+            expect(input.value).toBe('2017-04-15');
+            expect(input.selectionStart).toBe(5);
+            expect(input.selectionEnd).toBe(7);
+        });
+
+        it('should reject the letters in the digit fields', function() {
+            input.value = '2';
+            input.setSelectionRange(1, 1);
+
+            expect(pressKey(84, 't').isDefaultPrevented()).toBe(true);
+            expect(input.value).toBe('2');
+        });
+
+        it('should not guide the typing of a relative date expression', function() {
+            var today = new Date();
+
+            input.value = '';
+
+            expect(pressKey(84, 't').isDefaultPrevented()).toBe(false);
+            expect(pressKey(187, '+').isDefaultPrevented()).toBe(false);
+
+            input.value = 'today';
+            $(input).trigger('change');
+
+            expect(datepicker.getDate()).toEqual(new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+        });
+
+        it('should guide the typing at the caret before the end', function() {
+            input.value = '2017-0-15';
+            input.setSelectionRange(6, 6);
+            pressKey(51, '3');
+
+            expect(input.value).toBe('2017-03-15');
+            expect(input.selectionStart).toBe(7);
+
+            pressKey(84, 't');
+
+            expect(input.value).toBe('2017-03-15');
+        });
+
+        it('should remove a character at the caret by the delete key', function() {
+            input.value = '2017-03-15';
+            input.setSelectionRange(6, 6);
+            pressKey(46, 'Delete');
+
+            expect(input.value).toBe('2017-0-15');
+            expect(input.selectionStart).toBe(6);
+        });
+
+        it('should use the key code without the key value', function() {
+            input.value = '2017-0';
+            input.setSelectionRange(6, 6);
+            pressKey(99);
+
+            expect(input.value).toBe('2017-03-');
+        });
+
+        it('should keep the mask on changing the input element', function() {
+            var newInput = document.createElement('input');
+
+            datepicker.setInput(newInput);
+
+            expect(datepicker._datepickerInput.isMasked()).toBe(true);
+        });
+    });
+
+    describe('validation', function() {
+        var datepicker, input;
+        var changeText = function(text) {
+            input.value = text;
+            $(input).trigger('change');
+        };
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            document.body.appendChild(input);
+            datepicker = new Datepicker($('<div></div>'), {
+                input: {
+                    element: input,
+                    format: 'yyyy-MM-dd'
+                },
+                date: new Date(2017, 2, 15),
+                selectableRanges: [
+                    [new Date(2017, 0, 1), new Date(2017, 5, 30)],
+                    [new Date(2017, 7, 1), new Date(2017, 11, 31)]
+                ],
+                validation: true
+            });
+        });
+
+        afterEach(function() {
+            datepicker.destroy();
+            document.body.removeChild(input);
+        });
+
+        it('should keep an invalid text with the error message', function() {
+            changeText('2017-13-45');
+
+            expect(input.value).toBe('2017-13-45');
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15));
+            expect(input.getAttribute('aria-invalid')).toBe('true');
+            expect($(input).hasClass('tui-is-invalid')).toBe(true);
+            expect($('#' + input.getAttribute('aria-describedby')).text()).toBe('Not a valid date');
+        });
+
+        it('should tell why the date is not selectable', function() {
+            changeText('2016-12-31');
+            expect(datepicker.getValidity()).toEqual({
+                valid: false,
+                reason: 'beforeMin',
+                message: 'Before the earliest allowed date'
+            });
+
+            changeText('2018-01-01');
+            expect(datepicker.getValidity().reason).toBe('afterMax');
+
+            changeText('2017-07-15');
+            expect(datepicker.getValidity().reason).toBe('unselectable');
+        });
+
+        it('should clear the error by a valid text', function() {
+            changeText('foo');
+            changeText('2017-04-01');
+
+            expect(datepicker.getValidity().valid).toBe(true);
+            expect(datepicker.getDate()).toEqual(new Date(2017, 3, 1));
+            expect(input.hasAttribute('aria-invalid')).toBe(false);
+            expect(input.hasAttribute('aria-describedby')).toBe(false);
+            expect($('.tui-datepicker-error').length).toBe(0);
+        });
+
+        it('should clear the date by an empty text', function() {
+            changeText('');
+
+            expect(datepicker.getDate()).toBeNull();
+            expect(datepicker.checkValidity()).toBe(true);
+        });
+
+        it('"checkValidity" should fire the invalid event', function() {
+            var spy = jasmine.createSpy('invalid');
+
+            datepicker.on('invalid', spy);
+            changeText('foo');
+
+            expect(datepicker.checkValidity()).toBe(false);
+            expect(spy).toHaveBeenCalledWith(datepicker.getValidity());
+        });
+
+        it('should re-localize the error message', function() {
+            datepicker.setNull();
+            changeText('foo');
+            datepicker.changeLanguage('ko');
+
+            expect(datepicker.getValidity().message).toBe('올바른 날짜가 아닙니다');
+            expect($('.tui-datepicker-error').text()).toBe('올바른 날짜가 아닙니다');
+        });
+
+        it('should rollback an invalid text out of the validation mode', function() {
+            var picker = new Datepicker($('<div></div>'), {
+                input: {
+                    element: document.createElement('input'),
+                    format: 'yyyy-MM-dd'
+                },
+                date: new Date(2017, 2, 15)
+            });
+            var pickerInput = picker._datepickerInput._$input[0];
+
+            pickerInput.value = '2017-13-45';
+            $(pickerInput).trigger('change');
+
+            expect(pickerInput.value).toBe('2017-03-15');
+            expect(picker.checkValidity()).toBe(true);
+            picker.destroy();
+        });
+    });
+
+    describe('positioning', function() {
+        var datepicker, input;
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            document.body.appendChild(input);
+            datepicker = new Datepicker($('<div></div>').appendTo('body'), {
+                input: {
+                    element: input
+                },
+                position: {
+                    placement: 'bottom-end',
+                    portal: true
+                }
+            });
+        });
+
+        afterEach(function() {
+            datepicker._$container.remove();
+            datepicker.destroy();
+            document.body.removeChild(input);
+        });
+
+        it('should portal the datepicker element into the body', function() {
+            expect(datepicker._$element.parent()[0]).toBe(document.body);
+        });
+
+        it('should anchor the datepicker element to the input on opening', function() {
+            spyOn(datepicker._popupPosition, 'attach').and.callThrough();
+            datepicker.open();
+
+            expect(datepicker._popupPosition.attach).toHaveBeenCalledWith(input);
+            expect(datepicker._$element.attr('data-placement')).toBeTruthy();
+        });
+
+        it('should stop following the input on closing', function() {
+            spyOn(datepicker._popupPosition, 'detach').and.callThrough();
+            datepicker.open();
+            datepicker.close();
+
+            expect(datepicker._popupPosition.detach).toHaveBeenCalled();
+        });
+    });
+
+    describe('bottom sheet', function() {
+        var datepicker, input;
+        var $sheet = function() {
+            return $('.tui-datepicker-sheet');
+        };
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            document.body.appendChild(input);
+            datepicker = createDatepicker($('<div></div>').appendTo('body'), input, 'yyyy-MM-dd', {
+                date: new Date(2017, 2, 15),
+                presentation: {
+                    mode: 'sheet'
+                }
+            });
+        });
+
+        afterEach(function() {
+            datepicker._$container.remove();
+            datepicker.destroy();
+            document.body.removeChild(input);
+        });
+
+        it('should present the datepicker element in the sheet', function() {
+            datepicker.open();
+
+            expect($sheet().find(datepicker._$element).length).toBe(1);
+
+            datepicker.close();
+
+            expect($sheet().find(datepicker._$element).length).toBe(0);
+            expect(datepicker._$element.parent()[0]).toBe(datepicker._$container[0]);
+        });
+
+        it('should not close by selecting a date until the done button', function() {
+            datepicker.open();
+            clickDate(datepicker, new Date(2017, 2, 20));
+
+            expect(datepicker.isOpened()).toBe(true);
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 20));
+
+            $sheet().find('.tui-datepicker-sheet-done').trigger('click');
+
+            expect(datepicker.isOpened()).toBe(false);
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 20));
+        });
+
+        it('should restore the date by the cancel button', function() {
+            datepicker.open();
+            datepicker.setDate(new Date(2017, 2, 20));
+            $sheet().find('.tui-datepicker-sheet-cancel').trigger('click');
+
+            expect(datepicker.isOpened()).toBe(false);
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15));
+            expect(input.value).toBe('2017-03-15');
+        });
+
+        it('should restore the date on opening after switching to the sheet by resizing', function() {
+            spyOn(datepicker._bottomSheet, 'isActive').and.returnValue(false);
+            datepicker.open();
+            datepicker.setDate(new Date(2017, 2, 20));
+
+            datepicker._bottomSheet.isActive.and.returnValue(true);
+            $(window).trigger('resize');
+
+            expect($sheet().find(datepicker._$element).length).toBe(1);
+
+            $sheet().find('.tui-datepicker-sheet-cancel').trigger('click');
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15));
+        });
+
+        it('should not handle the resize of the window after destroying an opened datepicker', function() {
+            var $container = $('<div></div>').appendTo('body');
+            var sheetPicker = new Datepicker($container, {
+                presentation: {
+                    mode: 'sheet'
+                }
+            });
+
+            sheetPicker.open();
+            sheetPicker.destroy();
+
+            expect(function() {
+                $(window).trigger('resize');
+            }).not.toThrow();
+
+            $container.remove();
+        });
+
+        it('should not close by the mousedown on the sheet', function() {
+            datepicker.open();
+            $sheet().find('.tui-datepicker-sheet-backdrop').trigger('mousedown');
+
+            expect(datepicker.isOpened()).toBe(true);
+        });
+    });
+
+    describe('confirm mode', function() {
+        var datepicker, input, changeHandler;
+
+        beforeEach(function() {
+            input = document.createElement('input');
+            document.body.appendChild(input);
+            datepicker = createDatepicker($('<div></div>').appendTo('body'), input, 'yyyy-MM-dd', {
+                date: new Date(2017, 2, 15),
+                timepicker: true,
+                confirm: true
+            });
+            changeHandler = jasmine.createSpy('change');
+            datepicker.on('change', changeHandler);
+            datepicker.open();
+        });
+
+        afterEach(function() {
+            datepicker._$container.remove();
+            datepicker.destroy();
+            document.body.removeChild(input);
+        });
+
+        it('should keep a picked date pending without the change event', function() {
+            clickDate(datepicker, new Date(2017, 2, 20));
+
+            expect(datepicker.isOpened()).toBe(true);
+            expect(changeHandler).not.toHaveBeenCalled();
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15));
+            expect(input.value).toBe('2017-03-15');
+            expect(datepicker._$element.find('.tui-is-selected').data('timestamp'))
+                .toBe(new Date(2017, 2, 20).getTime());
+        });
+
+        it('should keep a changed time pending', function() {
+            datepicker.getTimepicker().setTime(12, 30);
+
+            expect(changeHandler).not.toHaveBeenCalled();
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 15));
+        });
+
+        it('should commit the pending date by the apply button', function() {
+            var applyHandler = jasmine.createSpy('apply');
+
+            datepicker.on('apply', applyHandler);
+            clickDate(datepicker, new Date(2017, 2, 20));
+            datepicker.getTimepicker().setTime(12, 30);
+            datepicker._$element.find('.tui-datepicker-apply').trigger('click');
+
+            expect(datepicker.isOpened()).toBe(false);
+            expect(changeHandler.calls.count()).toBe(1);
+            expect(applyHandler).toHaveBeenCalled();
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 20, 12, 30));
+            expect(input.value).toBe('2017-03-20');
+        });
+
+        it('should not fire the change event by applying the same date', function() {
+            clickDate(datepicker, new Date(2017, 2, 20));
+            clickDate(datepicker, new Date(2017, 2, 15));
+            datepicker._$element.find('.tui-datepicker-apply').trigger('click');
+
+            expect(changeHandler).not.toHaveBeenCalled();
+        });
+
+        it('should revert the pending date by the cancel button', function() {
+            var cancelHandler = jasmine.createSpy('cancel');
+
+            datepicker.on('cancel', cancelHandler);
+            clickDate(datepicker, new Date(2017, 2, 20));
+            datepicker._$element.find('.tui-datepicker-cancel').trigger('click');
+
+            expect(datepicker.isOpened()).toBe(false);
+            expect(cancelHandler).toHaveBeenCalled();
+            expect(changeHandler).not.toHaveBeenCalled();
+            expect(datepicker._date).toEqual(new Date(2017, 2, 15));
+            expect(input.value).toBe('2017-03-15');
+        });
+
+        it('should revert the pending date by Escape and clicking outside', function() {
+            var cancelHandler = jasmine.createSpy('cancel');
+
+            datepicker.on('cancel', cancelHandler);
+            clickDate(datepicker, new Date(2017, 2, 20));
+            datepicker._$element.trigger($.Event('keydown', {which: 27}));
+
+            expect(datepicker.isOpened()).toBe(false);
+            expect(datepicker._date).toEqual(new Date(2017, 2, 15));
+
+            datepicker.open();
+            clickDate(datepicker, new Date(2017, 2, 21));
+            $(document.body).trigger('mousedown');
+
+            expect(datepicker.isOpened()).toBe(false);
+            expect(datepicker._date).toEqual(new Date(2017, 2, 15));
+            expect(cancelHandler.calls.count()).toBe(2);
+            expect(changeHandler).not.toHaveBeenCalled();
+        });
+
+        it('should commit a date set by the API while a picked date is pending', function() {
+            clickDate(datepicker, new Date(2017, 2, 20));
+            datepicker.setDate(new Date(2017, 2, 25));
+
+            expect(changeHandler.calls.count()).toBe(1);
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 25));
+            expect(input.value).toBe('2017-03-25');
+
+            datepicker._$element.find('.tui-datepicker-cancel').trigger('click');
+
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 25));
+        });
+
+        it('should commit the picked date set by the API while it is pending', function() {
+            clickDate(datepicker, new Date(2017, 2, 20));
+            datepicker.setDate(new Date(2017, 2, 20));
+
+            expect(changeHandler.calls.count()).toBe(1);
+            expect(datepicker.getDate()).toEqual(new Date(2017, 2, 20));
+            expect(input.value).toBe('2017-03-20');
+        });
+
+        it('should keep the picked date pending by an invalid date set by the API', function() {
+            clickDate(datepicker, new Date(2017, 2, 20));
+            datepicker.setDate('invalid');
+
+            expect(changeHandler).not.toHaveBeenCalled();
+            expect(datepicker._date).toEqual(new Date(2017, 2, 20));
+        });
+
+        it('should commit the null date set by the API while a picked date is pending', function() {
+            clickDate(datepicker, new Date(2017, 2, 20));
+            datepicker.setNull();
+
+            expect(changeHandler.calls.count()).toBe(1);
+            expect(datepicker.getDate()).toBeNull();
+        });
+
+        it('should localize the labels of the buttons', function() {
+            datepicker.changeLanguage('ko');
+
+            expect(datepicker._$element.find('.tui-datepicker-apply').text()).toBe('적용');
+            expect(datepicker._$element.find('.tui-datepicker-cancel').text()).toBe('취소');
+        });
     });
 });
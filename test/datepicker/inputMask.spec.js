@@ -0,0 +1,182 @@
+/**
+ * @fileoverview InputMask spec
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var InputMask = require('../../src/js/datepicker/inputMask');
+var DateTimeFormatter = require('../../src/js/dateTimeFormatter');
+var localeTexts = require('../../src/js/localeTexts');
+
+describe('InputMask', function() {
+    var createMask = function(format) {
+        return new InputMask(new DateTimeFormatter(format, localeTexts.en.titles).getSegments());
+    };
+    var typeText = function(mask, chars) {
+        var text = '';
+
+        tui.util.forEach(chars.split(''), function(char) {
+            var result = mask.type(text, char);
+
+            text = result ? result.text : text + char;
+        });
+
+        return text;
+    };
+
+    it('"isAvailable" should return false for the names and the offsets', function() {
+        var isAvailable = function(format) {
+            return InputMask.isAvailable(new DateTimeFormatter(format, localeTexts.en.titles).getSegments());
+        };
+
+        expect(isAvailable('yyyy-MM-dd hh:mm A')).toBe(true);
+        expect(isAvailable('GGGG-[W]WW')).toBe(true);
+        expect(isAvailable('MMM dd, yyyy')).toBe(false);
+        expect(isAvailable('DD yyyy-MM-dd')).toBe(false);
+        expect(isAvailable('yyyy-MM-ddTHH:mmZZ')).toBe(false);
+    });
+
+    describe('on "yyyy-MM-dd"', function() {
+        var mask;
+
+        beforeEach(function() {
+            mask = createMask('yyyy-MM-dd');
+        });
+
+        it('should insert the separators after the complete fields', function() {
+            expect(typeText(mask, '20170315')).toBe('2017-03-15');
+        });
+
+        it('should pad and move to the next field when a digit can not be added', function() {
+            expect(typeText(mask, '201731')).toBe('2017-03-1');
+            expect(typeText(mask, '2017-3-5')).toBe('2017-03-05');
+        });
+
+        it('should ignore invalid digits and characters', function() {
+            expect(typeText(mask, '2017-00')).toBe('2017-0');
+            expect(typeText(mask, '2017-1x')).toBe('2017-01-');
+            expect(typeText(mask, '2017-03-159')).toBe('2017-03-15');
+        });
+
+        it('should set the caret at the end', function() {
+            expect(mask.type('2017-0', '3')).toEqual({
+                text: '2017-03-',
+                start: 8,
+                end: 8
+            });
+        });
+
+        it('should reject the letters in the digit fields', function() {
+            expect(mask.type('2', 't')).toEqual({
+                text: '2',
+                start: 1,
+                end: 1
+            });
+            expect(typeText(mask, '2x017')).toBe('2017-');
+        });
+
+        it('should not handle a character not starting the first value in an empty text', function() {
+            expect(mask.type('', 't')).toBeNull();
+            expect(mask.type('', '+')).toBeNull();
+            expect(typeText(mask, '+3d')).toBe('+3d');
+            expect(typeText(mask, 'next friday')).toBe('next friday');
+        });
+
+        it('should not handle the texts not following the format', function() {
+            expect(mask.type('+3', 'd')).toBeNull();
+            expect(mask.type('today', '1', 0, 0)).toBeNull();
+            expect(mask.remove('today')).toBeNull();
+        });
+
+        it('should type a character at the caret before the end', function() {
+            expect(mask.type('2017-0-15', '3', 6, 6)).toEqual({
+                text: '2017-03-15',
+                start: 7,
+                end: 7
+            });
+            expect(mask.type('2017-03-15', '4', 5, 7).text).toBe('2017-4-15');
+            expect(mask.type('2017-03-15', '2', 0, 10).text).toBe('2');
+        });
+
+        it('should reject a character making the text not follow the format before the end', function() {
+            expect(mask.type('2017-03-15', 'x', 6, 6)).toEqual({
+                text: '2017-03-15',
+                start: 6,
+                end: 6
+            });
+            expect(mask.type('2017-03-15', '1', 6, 6).text).toBe('2017-03-15');
+            expect(mask.type('2017-1-15', '3', 6, 6).text).toBe('2017-1-15');
+        });
+
+        it('should remove a character at the caret before the end', function() {
+            expect(mask.remove('2017-03-15', 7, 7)).toEqual({
+                text: '2017-0-15',
+                start: 6,
+                end: 6
+            });
+            expect(mask.remove('2017-03-15', 8, 10).text).toBe('2017-03-');
+        });
+
+        it('should move the caret over a separator instead of removing it', function() {
+            expect(mask.remove('2017-03-15', 5, 5)).toEqual({
+                text: '2017-03-15',
+                start: 4,
+                end: 4
+            });
+        });
+
+        it('should remove the separator with the last digit', function() {
+            expect(mask.remove('2017-03-').text).toBe('2017-0');
+            expect(mask.remove('2017-0').text).toBe('2017-');
+            expect(mask.remove('2').text).toBe('');
+            expect(mask.remove('')).toBeNull();
+        });
+
+        it('should step the field at the caret and select it', function() {
+            expect(mask.step('2017-03-15', 6, 1, '2020-01-01')).toEqual({
+                text: '2017-04-15',
+                start: 5,
+                end: 7
+            });
+            expect(mask.step('2017-12-15', 5, 1, '2020-01-01').text).toBe('2017-01-15');
+            expect(mask.step('2017-03-01', 9, -1, '2020-01-01').text).toBe('2017-03-31');
+        });
+
+        it('should fill an empty field with the base text by stepping', function() {
+            expect(mask.step('2017-', 5, 1, '2020-10-19')).toEqual({
+                text: '2017-10-',
+                start: 5,
+                end: 7
+            });
+            expect(mask.step('', 0, -1, '2020-10-19').text).toBe('2020-');
+        });
+    });
+
+    describe('on "hh:mm A"', function() {
+        var mask;
+
+        beforeEach(function() {
+            mask = createMask('hh:mm A');
+        });
+
+        it('should type the meridiem by the first letter', function() {
+            expect(typeText(mask, '930p')).toBe('09:30 PM');
+            expect(typeText(mask, '1230x')).toBe('12:30 ');
+        });
+
+        it('should toggle the meridiem by stepping', function() {
+            expect(mask.step('09:30 PM', 7, 1, '01:00 AM').text).toBe('09:30 AM');
+        });
+
+        it('should circulate the hour in the range', function() {
+            expect(mask.step('12:30 PM', 0, 1, '01:00 AM').text).toBe('01:30 PM');
+        });
+    });
+
+    it('should keep the literal texts of the format', function() {
+        var mask = createMask('GGGG-[W]WW');
+
+        expect(typeText(mask, '201711')).toBe('2017-W11');
+        expect(mask.remove('2017-W').text).toBe('201');
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview PopupPosition spec
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var PopupPosition = require('../../src/js/datepicker/popupPosition');
+
+describe('PopupPosition', function() {
+    describe('"computePosition"', function() {
+        var boundary = {
+            top: 0,
+            right: 1000,
+            bottom: 800,
+            left: 0
+        };
+        var size = {
+            width: 200,
+            height: 300
+        };
+        var option = {
+            placement: 'bottom-start',
+            flip: true,
+            shift: true,
+            offset: 4
+        };
+        var createRect = function(top, left) {
+            return {
+                top: top,
+                right: left + 120,
+                bottom: top + 30,
+                left: left
+            };
+        };
+
+        it('should place the popup at the preferred placement', function() {
+            expect(PopupPosition.computePosition(createRect(100, 100), size, boundary, option)).toEqual({
+                placement: 'bottom-start',
+                top: 134,
+                left: 100
+            });
+        });
+
+        it('should align the popup by the placement', function() {
+            var rect = createRect(400, 400);
+            var compute = function(placement) {
+                return PopupPosition.computePosition(rect, size, boundary, tui.util.extend({}, option, {
+                    placement: placement
+                }));
+            };
+
+            expect(compute('top-end')).toEqual({
+                placement: 'top-end',
+                top: 96,
+                left: 320
+            });
+            expect(compute('right').top).toBe(265);
+            expect(compute('left-start').left).toBe(196);
+        });
+
+        it('should flip the side on collisions', function() {
+            expect(PopupPosition.computePosition(createRect(600, 100), size, boundary, option)).toEqual({
+                placement: 'top-start',
+                top: 296,
+                left: 100
+            });
+        });
+
+        it('should flip the alignment on collisions without shifting', function() {
+            var noShiftOption = tui.util.extend({}, option, {
+                shift: false
+            });
+
+            expect(PopupPosition.computePosition(createRect(600, 900), size, boundary, noShiftOption)).toEqual({
+                placement: 'top-end',
+                top: 296,
+                left: 820
+            });
+        });
+
+        it('should shift the popup into the boundary', function() {
+            var noFlipOption = tui.util.extend({}, option, {
+                flip: false
+            });
+
+            expect(PopupPosition.computePosition(createRect(100, 900), size, boundary, noFlipOption)).toEqual({
+                placement: 'bottom-start',
+                top: 134,
+                left: 800
+            });
+        });
+
+        it('should keep the preferred placement when all placements overflow', function() {
+            var smallBoundary = {
+                top: 0,
+                right: 300,
+                bottom: 200,
+                left: 0
+            };
+
+            expect(PopupPosition.computePosition(createRect(50, 50), size, smallBoundary, option).placement)
+                .toBe('bottom-start');
+        });
+    });
+
+    describe('on the element', function() {
+        var $container, $popup, $anchor, popupPosition;
+
+        beforeEach(function() {
+            $anchor = $('<input type="text">').appendTo('body');
+            $container = $('<div></div>').appendTo('body');
+            $popup = $('<div style="position: absolute"></div>').appendTo($container);
+        });
+
+        afterEach(function() {
+            popupPosition.destroy();
+            $popup.remove();
+            $container.remove();
+            $anchor.remove();
+        });
+
+        it('should move the popup into the body by the portal option', function() {
+            popupPosition = new PopupPosition($popup, {
+                portal: true
+            });
+
+            expect($popup.parent()[0]).toBe(document.body);
+        });
+
+        it('should place the popup at the anchor', function() {
+            popupPosition = new PopupPosition($popup);
+            popupPosition.attach($anchor[0]);
+
+            expect($popup.attr('data-placement')).toMatch(/^(top|bottom)-(start|end)$/);
+        });
+
+        it('should follow the anchor on scrolling until detached', function() {
+            popupPosition = new PopupPosition($popup);
+            popupPosition.attach($anchor[0]);
+            spyOn(popupPosition, 'update');
+
+            $(window).trigger('scroll');
+            expect(popupPosition.update).toHaveBeenCalled();
+
+            popupPosition.update.calls.reset();
+            popupPosition.detach();
+            $(window).trigger('scroll');
+            expect(popupPosition.update).not.toHaveBeenCalled();
+        });
+    });
+});
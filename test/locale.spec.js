@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Locale spec
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var locale = require('../src/js/locale');
+var localeTexts = require('../src/js/localeTexts');
+var intlLocaleText = require('../src/js/intlLocaleText');
+
+describe('locale', function() {
+    describe('resolveLanguage()', function() {
+        it('should resolve a registered language', function() {
+            expect(locale.resolveLanguage('ko')).toBe('ko');
+            expect(locale.resolveLanguage('zh-TW')).toBe('zh-TW');
+        });
+
+        it('should resolve a language case-insensitively with "-" or "_"', function() {
+            expect(locale.resolveLanguage('zh_cn')).toBe('zh-CN');
+            expect(locale.resolveLanguage('PT-br')).toBe('pt-BR');
+        });
+
+        it('should fall back to the language without the region', function() {
+            expect(locale.resolveLanguage('en-GB')).toBe('en');
+            expect(locale.resolveLanguage('de-AT')).toBe('de');
+        });
+
+        it('should resolve the script and region subtags of the primary language', function() {
+            expect(locale.resolveLanguage('zh-Hant-TW')).toBe('zh-TW');
+            expect(locale.resolveLanguage('zh-Hant')).toBe('zh-TW');
+            expect(locale.resolveLanguage('zh-HK')).toBe('zh-TW');
+            expect(locale.resolveLanguage('zh-MO')).toBe('zh-TW');
+            expect(locale.resolveLanguage('zh-Hans-SG')).toBe('zh-CN');
+        });
+
+        it('should fall back to another region of the primary language', function() {
+            expect(locale.resolveLanguage('pt')).toBe('pt-BR');
+            expect(locale.resolveLanguage('zh-Hans')).toBe('zh-CN');
+        });
+
+        it('should fall back to the default language for an unknown language', function() {
+            expect(locale.resolveLanguage('xx')).toBe('en');
+            expect(locale.resolveLanguage()).toBe('en');
+        });
+    });
+
+    describe('getLocaleText()', function() {
+        it('should return the locale text having titles, formats, meridiem and first day of the week', function() {
+            tui.util.forEach(localeTexts, function(localeText, language) {
+                var text = locale.getLocaleText(language);
+
+                expect(text.titles.DD.length).toBe(7);
+                expect(text.titles.D.length).toBe(7);
+                expect(text.titles.MMM.length).toBe(12);
+                expect(text.titles.MMMM.length).toBe(12);
+                expect(text.titles.A.length).toBe(2);
+                expect(text.titleFormat).toEqual(jasmine.any(String));
+                expect(text.todayFormat).toEqual(jasmine.any(String));
+                expect(text.firstDayOfWeek).toEqual(jasmine.any(Number));
+            });
+        });
+    });
+
+    describe('registerLocale()', function() {
+        afterEach(function() {
+            delete localeTexts['en-GB'];
+        });
+
+        it('should register a locale text inheriting the fallback', function() {
+            var registered = locale.registerLocale('en-GB', {
+                firstDayOfWeek: 1,
+                titles: {
+                    A: ['am', 'pm']
+                },
+                validationMessages: {
+                    invalid: 'Not a valid date, mate'
+                }
+            });
+
+            expect(locale.resolveLanguage('en-GB')).toBe('en-GB');
+            expect(locale.getLocaleText('en-gb')).toBe(registered);
+            expect(registered.firstDayOfWeek).toBe(1);
+            expect(registered.titleFormat).toBe(localeTexts.en.titleFormat);
+            expect(registered.titles.A).toEqual(['am', 'pm']);
+            expect(registered.titles.MMMM).toBe(localeTexts.en.titles.MMMM);
+            expect(registered.validationMessages.invalid).toBe('Not a valid date, mate');
+            expect(registered.validationMessages.beforeMin).toBe(localeTexts.en.validationMessages.beforeMin);
+        });
+    });
+
+    describe('with the Intl API', function() {
+        var isIntlSupported = typeof Intl !== 'undefined'
+            && !!Intl.DateTimeFormat
+            && !!Intl.DateTimeFormat.prototype.formatToParts;
+
+        afterEach(function() {
+            delete localeTexts.sv;
+            delete localeTexts['pt-PT'];
+        });
+
+        it('"createLocaleText()" should return null for an unsupported tag', function() {
+            expect(locale.createLocaleText('xx')).toBeNull();
+        });
+
+        it('"createLocaleText()" should generate titles and formats', function() {
+            var localeText;
+
+            if (!isIntlSupported) {
+                pending('The Intl API is not supported');
+            }
+            localeText = locale.createLocaleText('en-US');
+
+            expect(localeText.titles.DD[0]).toBe('Sunday');
+            expect(localeText.titles.D[6]).toBe('Sat');
+            expect(localeText.titles.MMM[0]).toBe('Jan');
+            expect(localeText.titles.MMMM[11]).toBe('December');
+            expect(localeText.titles.A).toEqual(['AM', 'PM']);
+            expect(localeText.meridiemPosition).toBe('right');
+            expect(localeText.titleFormat).toBe('MMMM yyyy');
+            expect(localeText.todayFormat).toBe('[Today]: DD, MMMM d, yyyy');
+            expect(localeText.date).toBe(localeTexts.en.date);
+        });
+
+        it('"createLocaleText()" should use numeric tokens for numeric parts', function() {
+            var localeText;
+
+            if (!isIntlSupported) {
+                pending('The Intl API is not supported');
+            }
+            localeText = locale.createLocaleText('ja-JP');
+
+            expect(localeText.titleFormat).toBe('yyyy年M月');
+            expect(localeText.titles.A).toEqual(['午前', '午後']);
+            expect(localeText.meridiemPosition).toBe('left');
+        });
+
+        it('"resolveLanguage()" should register a language generated by the Intl API', function() {
+            if (!isIntlSupported) {
+                pending('The Intl API is not supported');
+            }
+
+            expect(locale.resolveLanguage('sv')).toBe('sv');
+            expect(localeTexts.sv.titles.MMMM[0]).toBe('januari');
+        });
+
+        it('"resolveLanguage()" should generate a region before using another region of the language', function() {
+            if (!isIntlSupported) {
+                pending('The Intl API is not supported');
+            }
+
+            expect(locale.resolveLanguage('pt-PT')).toBe('pt-PT');
+        });
+    });
+
+    describe('without the Intl API', function() {
+        beforeEach(function() {
+            spyOn(intlLocaleText, 'create').and.returnValue(null);
+        });
+
+        it('"createLocaleText()" should return null', function() {
+            expect(locale.createLocaleText('sv')).toBeNull();
+        });
+
+        it('"resolveLanguage()" should fall back to another region of the language or the default language', function() {
+            expect(locale.resolveLanguage('pt-PT')).toBe('pt-BR');
+            expect(locale.resolveLanguage('sv')).toBe('en');
+            expect(localeTexts.sv).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Relative date parser spec
+ * @author NHN Ent. FE Development Lab <dl_javascript@nhnent.com>
+ */
+'use strict';
+
+var relativeDate = require('../src/js/relativeDate');
+var localeTexts = require('../src/js/localeTexts');
+
+describe('relativeDate', function() {
+    var baseDate = new Date(2017, 2, 15, 13, 30); // wednesday
+
+    describe('in english', function() {
+        var parse = function(text) {
+            return relativeDate.parse(text, baseDate, localeTexts.en);
+        };
+
+        it('should parse the phrases keeping the time of the base date', function() {
+            expect(parse('today')).toEqual(baseDate);
+            expect(parse(' Tomorrow ')).toEqual(new Date(2017, 2, 16, 13, 30));
+            expect(parse('yesterday')).toEqual(new Date(2017, 2, 14, 13, 30));
+            expect(parse('end  of month')).toEqual(new Date(2017, 2, 31, 13, 30));
+        });
+
+        it('should parse the offsets', function() {
+            expect(parse('+3d')).toEqual(new Date(2017, 2, 18, 13, 30));
+            expect(parse('-2w')).toEqual(new Date(2017, 2, 1, 13, 30));
+            expect(parse('+ 1 y')).toEqual(new Date(2018, 2, 15, 13, 30));
+            expect(relativeDate.parse('+1m', new Date(2017, 0, 31), localeTexts.en)).toEqual(new Date(2017, 1, 28));
+        });
+
+        it('should parse the next and last days of the week', function() {
+            expect(parse('next friday')).toEqual(new Date(2017, 2, 17, 13, 30));
+            expect(parse('next Wed')).toEqual(new Date(2017, 2, 22, 13, 30));
+            expect(parse('last monday')).toEqual(new Date(2017, 2, 13, 13, 30));
+        });
+
+        it('should return null for the other texts', function() {
+            expect(parse('2017-03-15')).toBeNull();
+            expect(parse('+3x')).toBeNull();
+            expect(parse('next month')).toBeNull();
+            expect(parse('')).toBeNull();
+        });
+    });
+
+    it('should parse the localized expressions', function() {
+        expect(relativeDate.parse('내일', baseDate, localeTexts.ko)).toEqual(new Date(2017, 2, 16, 13, 30));
+        expect(relativeDate.parse('+1주', baseDate, localeTexts.ko)).toEqual(new Date(2017, 2, 22, 13, 30));
+        expect(relativeDate.parse('다음 금요일', baseDate, localeTexts.ko)).toEqual(new Date(2017, 2, 17, 13, 30));
+        expect(relativeDate.parse('vendredi prochain', baseDate, localeTexts.fr))
+            .toEqual(new Date(2017, 2, 17, 13, 30));
+        expect(relativeDate.parse('tomorrow', baseDate, localeTexts.ko)).toBeNull();
+    });
+});
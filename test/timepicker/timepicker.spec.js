@@ -96,4 +96,151 @@ describe('Timepicker', function() {
             expect(timepickerNoMeridiem.getMinute()).toEqual(prev);
         });
     });
+
+    describe('seconds', function() {
+        var timepicker;
+
+        beforeEach(function() {
+            timepicker = new TimePicker(document.createElement('div'), {
+                initialHour: 13,
+                initialMinute: 45,
+                initialSecond: 30,
+                showSecond: true
+            });
+        });
+
+        afterEach(function() {
+            timepicker.destroy();
+        });
+
+        it('should not render the second input by default', function() {
+            expect(timepickerMeridiem._$element.find('.tui-timepicker-second').length).toBe(0);
+            expect(timepickerMeridiem.getSecond()).toBe(0);
+        });
+
+        it('should render the second input with the initial value', function() {
+            expect(timepicker._$element.find('.tui-timepicker-second').length).toBe(1);
+            expect(timepicker._secondInput.getValue()).toBe(30);
+            expect(timepicker.getSecond()).toBe(30);
+        });
+
+        it('setSecond, getSecond', function() {
+            var handler = jasmine.createSpy('change handler');
+
+            timepicker.on('change', handler);
+            timepicker.setSecond(15);
+
+            expect(timepicker.getSecond()).toBe(15);
+            expect(timepicker._secondInput.getValue()).toBe(15);
+            expect(handler).toHaveBeenCalledWith({
+                hour: 13,
+                minute: 45,
+                second: 15
+            });
+        });
+
+        it('should keep the second when the hour or minute changes', function() {
+            timepicker.setHour(10);
+            timepicker.setMinute(5);
+
+            expect(timepicker.getSecond()).toBe(30);
+        });
+
+        it('should keep the second when "setTime" omits the second', function() {
+            timepicker.setTime(10, 5);
+
+            expect(timepicker.getHour()).toBe(10);
+            expect(timepicker.getMinute()).toBe(5);
+            expect(timepicker.getSecond()).toBe(30);
+        });
+
+        it('should be changed from the second input', function() {
+            timepicker._secondInput.setValue(59);
+
+            expect(timepicker.getSecond()).toBe(59);
+        });
+
+        it('should not change from invalid second', function() {
+            timepicker.setSecond(60);
+
+            expect(timepicker.getSecond()).toBe(30);
+        });
+
+        it('should render the second spinbox', function() {
+            var spinboxTimepicker = new TimePicker(document.createElement('div'), {
+                inputType: 'spinbox',
+                initialSecond: 10,
+                showSecond: true
+            });
+
+            expect(spinboxTimepicker._secondInput.getValue()).toBe(10);
+
+            spinboxTimepicker.destroy();
+        });
+    });
+
+    describe('changeLanguage', function() {
+        it('should localize the meridiem titles keeping the time', function() {
+            var $options;
+
+            timepickerMeridiem.changeLanguage('ko');
+            $options = timepickerMeridiem._$meridiemElement.find('option');
+
+            expect($options.eq(0).text()).toBe('오전');
+            expect($options.eq(1).text()).toBe('오후');
+            expect(timepickerMeridiem._$pmEl.attr('selected')).toBe('selected');
+            expect(timepickerMeridiem.getHour()).toBe(13);
+            expect(timepickerMeridiem._hourInput.getValue()).toBe(1);
+        });
+
+        it('should keep the changing events of the inputs', function() {
+            timepickerMeridiem.changeLanguage('ko');
+            timepickerMeridiem._hourInput.setValue(3);
+            timepickerMeridiem._hourInput.fire('change');
+
+            expect(timepickerMeridiem.getHour()).toBe(15);
+        });
+
+        it('should move the meridiem before the hour for the language', function() {
+            var $columns;
+
+            timepickerMeridiem.changeLanguage('ko');
+            $columns = timepickerMeridiem._$element.find('.tui-timepicker-column');
+
+            expect($columns.first().hasClass('tui-timepicker-meridiem')).toBe(true);
+            expect($columns.first().hasClass('tui-has-left')).toBe(true);
+
+            timepickerMeridiem.changeLanguage('en');
+            $columns = timepickerMeridiem._$element.find('.tui-timepicker-column');
+
+            expect($columns.last().hasClass('tui-timepicker-meridiem')).toBe(true);
+        });
+    });
+
+    describe('meridiemPosition option', function() {
+        it('should put the meridiem before the hour', function() {
+            var timepicker = new TimePicker(document.createElement('div'), {
+                inputType: 'spinbox',
+                meridiemPosition: 'left'
+            });
+            var $columns = timepicker._$element.find('.tui-timepicker-column');
+
+            expect($columns.first().hasClass('tui-timepicker-meridiem')).toBe(true);
+
+            timepicker.destroy();
+        });
+
+        it('should take precedence over the language', function() {
+            var timepicker = new TimePicker(document.createElement('div'), {
+                language: 'ko',
+                meridiemPosition: 'right'
+            });
+            var $columns = timepicker._$element.find('.tui-timepicker-column');
+
+            expect($columns.last().hasClass('tui-timepicker-meridiem')).toBe(true);
+            expect($columns.last().find('option').eq(0).text()).toBe('오전');
+
+            timepicker.destroy();
+        });
+    });
 });